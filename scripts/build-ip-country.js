@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const zlib = require('zlib');
+const { DEFAULT_TABLE } = require('../src/utils/geoip');
+
+/**
+ * Build the IP-to-country table
+ *
+ * Inputs are the regional internet registries' statistics files
+ * (delegated-<rir>-extended-latest from AFRINIC, APNIC, ARIN, LACNIC and
+ * RIPE NCC) or `start,end,CC` CSV files such as ip-location-db's
+ * geo-whois-asn-country-ipv4.csv. Their IPv4 records become `start,end,CC`
+ * ranges, with adjacent ranges of the same country merged. Outputs ending in
+ * .gz are gzipped.
+ *
+ * The data is published by the NRO under CC BY 4.0, so the table keeps an
+ * attribution line.
+ *
+ * Usage: npm run geoip:table -- <input-file...> [--out <file>]
+ */
+
+const numberToIpv4 = (value) =>
+  [24, 16, 8, 0].map((shift) => Math.floor(value / 2 ** shift) % 256).join('.');
+
+const ipv4ToNumber = (ip) =>
+  ip.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+
+const IPV4_PATTERN = /^\d{1,3}(\.\d{1,3}){3}$/;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+// IPv4 range of an input line, or null for other lines
+const parseLine = (line) => {
+  // Delegation record: registry|CC|ipv4|start|count|date|status
+  if (line.includes('|')) {
+    const [, country, type, start, count, , status] = line.split('|');
+    if (
+      type !== 'ipv4' ||
+      !COUNTRY_PATTERN.test(country || '') ||
+      !['allocated', 'assigned'].includes(status)
+    ) {
+      return null;
+    }
+
+    const first = ipv4ToNumber(start);
+    return { start: first, end: first + Number(count) - 1, country };
+  }
+
+  // CSV range: start,end,CC
+  const [start, end, country] = line.split(',').map((field) => field.trim());
+  if (
+    !IPV4_PATTERN.test(start || '') ||
+    !IPV4_PATTERN.test(end || '') ||
+    !COUNTRY_PATTERN.test(country || '')
+  ) {
+    return null;
+  }
+  return { start: ipv4ToNumber(start), end: ipv4ToNumber(end), country };
+};
+
+const main = () => {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const output = outIndex === -1 ? DEFAULT_TABLE : args[outIndex + 1];
+  const inputs =
+    outIndex === -1
+      ? args
+      : [...args.slice(0, outIndex), ...args.slice(outIndex + 2)];
+
+  if (!inputs.length || !output) {
+    throw new Error(
+      'Usage: npm run geoip:table -- <input-file...> [--out <file>]'
+    );
+  }
+
+  const ranges = [];
+  for (const input of inputs) {
+    for (const line of fs.readFileSync(input, 'utf8').split(/\r?\n/)) {
+      const range = parseLine(line);
+      if (range) ranges.push(range);
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && last.country === range.country && last.end + 1 >= range.start) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  const lines = merged.map(
+    (range) =>
+      `${numberToIpv4(range.start)},${numberToIpv4(range.end)},${range.country}`
+  );
+  const text =
+    [
+      `# IPv4 ranges by country, built ${new Date().toISOString().slice(0, 10)}`,
+      '# Data: NRO (https://www.nro.net/), CC BY 4.0 (https://creativecommons.org/licenses/by/4.0/)',
+      '# start,end,country',
+      ...lines,
+    ].join('\n') + '\n';
+  fs.writeFileSync(
+    output,
+    output.endsWith('.gz') ? zlib.gzipSync(text, { level: 9 }) : text
+  );
+  console.log(`✅ Wrote ${merged.length} ranges to ${output}`);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
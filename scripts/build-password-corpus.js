@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { DEFAULT_CORPUS, sha1 } = require('../src/utils/breachedPasswords');
+
+/**
+ * Build the breached password corpus from wordlists
+ *
+ * Each input line is either a plaintext password or a SHA-1 hash (optionally
+ * followed by `:COUNT`, as in Have I Been Pwned downloads). The output holds
+ * only sorted, de-duplicated hashes.
+ *
+ * Usage: npm run passwords:corpus -- <wordlist...> [--out <file>]
+ */
+
+const HASH_LINE = /^([0-9a-f]{40})(:\d+)?$/i;
+
+const main = () => {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const output = outIndex === -1 ? DEFAULT_CORPUS : args[outIndex + 1];
+  const inputs =
+    outIndex === -1
+      ? args
+      : [...args.slice(0, outIndex), ...args.slice(outIndex + 2)];
+
+  if (!inputs.length || !output) {
+    throw new Error(
+      'Usage: npm run passwords:corpus -- <wordlist...> [--out <file>]'
+    );
+  }
+
+  const hashes = new Set();
+  for (const input of inputs) {
+    for (const line of fs.readFileSync(input, 'utf8').split(/\r?\n/)) {
+      if (!line) continue;
+
+      const match = HASH_LINE.exec(line.trim());
+      hashes.add(match ? match[1].toUpperCase() : sha1(line));
+    }
+  }
+
+  fs.writeFileSync(output, [...hashes].sort().join('\n') + '\n');
+  console.log(`✅ Wrote ${hashes.size} password hashes to ${output}`);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { generateFieldKey } = require('../src/utils/fieldKeyring');
+
+/**
+ * Generate a field encryption key and make it the active key
+ *
+ * Usage: npm run fields:keygen -- [--id <id>] [--file <path>]
+ *
+ * The keyring file defaults to FIELD_ENCRYPTION_KEYS_FILE and is created,
+ * with a blind index key, if it does not exist. Reload running servers, then
+ * run `npm run fields:rotate` to rewrap existing data with the new key.
+ */
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const file = args.file || process.env.FIELD_ENCRYPTION_KEYS_FILE;
+  const id = args.id || `k-${new Date().toISOString().slice(0, 10)}`;
+
+  if (!file) {
+    throw new Error('Set FIELD_ENCRYPTION_KEYS_FILE or pass --file <path>');
+  }
+
+  const keyring = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : { keys: [], blindIndexKey: generateFieldKey() };
+
+  if (keyring.keys.some((key) => key.id === id)) {
+    throw new Error(`Key "${id}" already exists in ${file}`);
+  }
+
+  keyring.keys.push({ id, key: generateFieldKey() });
+  keyring.activeKeyId = id;
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(keyring, null, 2)}\n`, {
+    mode: 0o600,
+  });
+
+  console.log(`🔑 Added field encryption key "${id}" as the active key`);
+  console.log(
+    '   Reload running servers with SIGHUP or a restart, then run npm run fields:rotate.'
+  );
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Generate a JWT signing key and schedule it in the key manifest
+ *
+ * Usage:
+ *   npm run jwt:keygen -- [--alg ES256|RS256] [--activates <ISO date>]
+ *                         [--kid <id>] [--manifest <path>]
+ *
+ * The manifest defaults to JWT_KEYS_FILE. Schedule the next key at least a
+ * cache lifetime (5 minutes) ahead so verifiers see it in the JWKS first.
+ */
+
+const KEY_OPTIONS = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'prime256v1' }],
+};
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const alg = (args.alg || 'ES256').toUpperCase();
+  const manifestPath = args.manifest || process.env.JWT_KEYS_FILE;
+  const activatesAt = new Date(args.activates || Date.now());
+
+  if (!KEY_OPTIONS[alg]) {
+    throw new Error(`Unsupported algorithm ${alg}. Use ES256 or RS256`);
+  }
+  if (!manifestPath) {
+    throw new Error('Set JWT_KEYS_FILE or pass --manifest <path>');
+  }
+  if (Number.isNaN(activatesAt.getTime())) {
+    throw new Error('--activates must be a valid date');
+  }
+
+  const kid =
+    args.kid ||
+    `${alg.toLowerCase()}-${activatesAt
+      .toISOString()
+      .slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+
+  const manifest = fs.existsSync(manifestPath)
+    ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    : { keys: [] };
+
+  if (manifest.keys.some((key) => key.kid === kid)) {
+    throw new Error(`Key "${kid}" already exists in ${manifestPath}`);
+  }
+
+  const [type, options] = KEY_OPTIONS[alg];
+  const { privateKey } = crypto.generateKeyPairSync(type, {
+    ...options,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+
+  const manifestDir = path.dirname(path.resolve(manifestPath));
+  const privateKeyFile = `${kid}.pem`;
+
+  fs.mkdirSync(manifestDir, { recursive: true });
+  fs.writeFileSync(path.join(manifestDir, privateKeyFile), privateKey, {
+    mode: 0o600,
+  });
+
+  manifest.keys.push({
+    kid,
+    alg,
+    privateKeyFile,
+    activatesAt: activatesAt.toISOString(),
+  });
+  fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+  console.log(
+    `🔑 Added ${alg} key "${kid}" activating ${activatesAt.toISOString()}`
+  );
+  console.log('   Reload running servers with SIGHUP or a restart.');
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
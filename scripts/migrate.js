@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { connectDB, closeDB } = require('../src/config/database');
+const { runMigrations } = require('../src/migrations');
+
+/**
+ * Apply pending database migrations
+ *
+ * Usage: npm run migrate
+ */
+
+const main = async () => {
+  await connectDB();
+
+  try {
+    const applied = await runMigrations();
+    console.log(
+      applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database is up to date'
+    );
+  } finally {
+    await closeDB();
+  }
+};
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
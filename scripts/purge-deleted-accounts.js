@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { connectDB, closeDB } = require('../src/config/database');
+const { purgeDeletedAccounts } = require('../src/services/accountService');
+
+/**
+ * Permanently erase accounts whose deletion grace period has passed
+ *
+ * Usage: npm run accounts:purge
+ */
+
+const main = async () => {
+  await connectDB();
+
+  try {
+    const purged = await purgeDeletedAccounts();
+    console.log(`✅ Erased ${purged} deleted account(s)`);
+  } finally {
+    await closeDB();
+  }
+};
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
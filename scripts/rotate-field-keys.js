@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { connectDB, closeDB } = require('../src/config/database');
+const User = require('../src/models/User');
+
+/**
+ * Rewrap encrypted medical data with the active field encryption key
+ *
+ * Usage: npm run fields:rotate [-- --reindex]
+ *
+ * Run after making a new key active (npm run fields:keygen). Once it
+ * finishes, the previous keys can be removed from the keyring. Pass
+ * --reindex after changing the blind index key.
+ */
+
+const main = async () => {
+  const reindex = process.argv.includes('--reindex');
+  await connectDB();
+
+  try {
+    const updated = await User.rotateEncryptedFields({ reindex });
+    console.log(`✅ Updated encrypted fields of ${updated} user(s)`);
+  } finally {
+    await closeDB();
+  }
+};
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -2,11 +2,16 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 // Import database connection
 const { connectDB } = require('./config/database');
+const { runMigrations } = require('./migrations');
+const { purgeDeletedAccounts } = require('./services/accountService');
+const { ACCOUNT_DELETION } = require('./config/security');
+const { isKeyringEnabled, reloadKeyring } = require('./utils/keyring');
+const { reloadFieldKeyring } = require('./utils/fieldKeyring');
+const { requestId } = require('./middleware/requestId');
 const {
   handleAuthError,
   handleValidationError,
@@ -20,20 +25,60 @@ const {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB and apply pending migrations (disable with
+// MIGRATIONS_ON_STARTUP=false when running `npm run migrate` on deploy)
+connectDB()
+  .then(() => {
+    if (process.env.MIGRATIONS_ON_STARTUP !== 'false') {
+      return runMigrations();
+    }
+  })
+  .catch((error) => {
+    console.error('❌ Migration error:', error.message);
+    process.exit(1);
+  });
 
-// Rate limiting middleware
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes default
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP',
-    message: 'Please try again later',
-  },
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-});
+// Erase accounts whose deletion grace period has passed (disable with
+// ACCOUNT_PURGE_ENABLED=false when `npm run accounts:purge` runs from cron)
+if (process.env.ACCOUNT_PURGE_ENABLED !== 'false') {
+  setInterval(() => {
+    purgeDeletedAccounts()
+      .then((purged) => {
+        if (purged > 0) console.log(`🗑️  Erased ${purged} deleted account(s)`);
+      })
+      .catch((error) => console.error('Account purge error:', error));
+  }, ACCOUNT_DELETION.purgeInterval).unref();
+}
+
+// Load JWT signing keys up front so a broken key manifest fails at startup
+if (isKeyringEnabled()) {
+  reloadKeyring();
+
+  // Pick up keys added to the manifest without a restart
+  process.on('SIGHUP', () => {
+    try {
+      reloadKeyring();
+      console.log('🔑 JWT signing keys reloaded');
+    } catch (error) {
+      console.error('JWT key reload failed, keeping previous keys:', error);
+    }
+  });
+}
+
+// Pick up field encryption keys added with `npm run fields:keygen`
+if (process.env.FIELD_ENCRYPTION_KEYS_FILE) {
+  process.on('SIGHUP', () => {
+    try {
+      reloadFieldKeyring();
+      console.log('🔑 Field encryption keys reloaded');
+    } catch (error) {
+      console.error(
+        'Field encryption key reload failed, keeping previous keys:',
+        error
+      );
+    }
+  });
+}
 
 // CORS configuration for React Native
 const corsOptions = {
@@ -53,14 +98,25 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'X-Requested-With',
+    'X-Device-Name',
+    'X-Device-Platform',
+    'X-Request-Id',
+  ],
+  exposedHeaders: ['X-Request-Id'],
 };
 
+// Prefix access log lines with the request ID (see middleware/requestId)
+morgan.token('request-id', (req) => req.id);
+
 // Middleware
+app.use(requestId); // X-Request-Id for logs and audit events
 app.use(helmet()); // Security headers
 app.use(cors(corsOptions)); // Enable CORS for React Native
-app.use(limiter); // Apply rate limiting
-app.use(morgan('combined')); // Logging
+app.use(morgan(`:request-id ${morgan.combined}`)); // Logging
 app.use(express.json({ limit: '10mb' })); // Parse JSON bodies with size limit
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Parse URL-encoded bodies
 
@@ -81,12 +137,14 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// API routes
+// API routes (rate limits are applied per router, see middleware/rateLimiter)
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/onboarding', require('./routes/onboarding'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/service', require('./routes/service'));
 app.use('/api/health', require('./routes/health'));
+app.use('/.well-known', require('./routes/wellKnown'));
 
 // Error handling middleware (order matters!)
 app.use(handleAuthError);
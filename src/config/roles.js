@@ -0,0 +1,81 @@
+/**
+ * Role-Based Access Control
+ * Roles and the named permissions each one grants, and the scopes that
+ * service API keys can hold
+ */
+
+const ROLES = {
+  USER: 'user',
+  COACH: 'coach',
+  NUTRITIONIST: 'nutritionist',
+  SUPPORT: 'support',
+  ADMIN: 'admin',
+};
+
+const PERMISSIONS = {
+  USERS_READ: 'users:read', // List users and view their profiles
+  USERS_READ_MEDICAL: 'users:read:medical', // View medical history
+  USERS_UNLOCK: 'users:unlock',
+  USERS_DELETE: 'users:delete',
+  USERS_MANAGE_ROLES: 'users:roles',
+  USERS_IMPERSONATE: 'users:impersonate', // Act as a regular user
+  AUDIT_READ: 'audit:read', // Review the audit and impersonation logs
+  STATS_READ: 'stats:read',
+  PLANS_MANAGE: 'plans:manage', // Update plan request status
+  API_KEYS_MANAGE: 'api-keys:manage', // Issue and revoke service API keys
+  CONSENTS_MANAGE: 'consents:manage', // Publish consent document versions
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.USER]: [],
+  [ROLES.COACH]: [PERMISSIONS.USERS_READ, PERMISSIONS.PLANS_MANAGE],
+  [ROLES.NUTRITIONIST]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_READ_MEDICAL,
+    PERMISSIONS.PLANS_MANAGE,
+  ],
+  [ROLES.SUPPORT]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_UNLOCK,
+    PERMISSIONS.USERS_IMPERSONATE,
+    PERMISSIONS.STATS_READ,
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+// Permissions granted to a role (none for unknown roles)
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const roleHasPermission = (role, permission) =>
+  getRolePermissions(role).includes(permission);
+
+// Staff roles can use the admin API in some capacity
+const isStaffRole = (role) => getRolePermissions(role).length > 0;
+
+// Scopes for service API keys (/api/service)
+const SCOPES = {
+  PROFILES_READ: 'profiles:read', // Completed profiles without medical data
+  PROFILES_READ_MEDICAL: 'profiles:read:medical', // Medical history and labs
+  PLANS_READ: 'plans:read', // Pending plan requests
+  PLANS_WRITE: 'plans:write', // Update plan request status
+};
+
+// Staff using /api/service with their own token need the permission
+// matching each scope
+const SCOPE_PERMISSIONS = {
+  [SCOPES.PROFILES_READ]: PERMISSIONS.USERS_READ,
+  [SCOPES.PROFILES_READ_MEDICAL]: PERMISSIONS.USERS_READ_MEDICAL,
+  [SCOPES.PLANS_READ]: PERMISSIONS.USERS_READ,
+  [SCOPES.PLANS_WRITE]: PERMISSIONS.PLANS_MANAGE,
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  roleHasPermission,
+  isStaffRole,
+  SCOPES,
+  SCOPE_PERMISSIONS,
+};
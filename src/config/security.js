@@ -1,3 +1,6 @@
+const { parseDuration } = require('../utils/duration');
+const { isBreachedPassword } = require('../utils/breachedPasswords');
+
 /**
  * Security Configuration and Best Practices
  * Implements security measures for the authentication system
@@ -19,18 +22,44 @@ const PASSWORD_REQUIREMENTS = {
     'admin123',
     'password123',
   ],
+  // Reject passwords found in the breached password corpus (the bundled
+  // src/data/breached-passwords.txt unless PASSWORD_BREACH_CORPUS is set)
+  checkBreached: process.env.PASSWORD_BREACH_CHECK !== 'false',
+  breachCorpusPath: process.env.PASSWORD_BREACH_CORPUS || null,
+  // Previous passwords that cannot be reused (0 turns the check off)
+  historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE ?? '5', 10),
+  // Passwords older than this must be reset before signing in (unset: never)
+  maxAge: process.env.PASSWORD_MAX_AGE
+    ? parseDuration(process.env.PASSWORD_MAX_AGE)
+    : null,
 };
 
 // Rate limiting configurations
+// Each profile is applied per router by src/middleware/rateLimiter.js and
+// keyed by user ID when authenticated, by IP otherwise
 const RATE_LIMITS = {
   auth: {
     windowMs: 15 * 60 * 1000, // 15 minutes
-    maxRequests: 5, // 5 attempts per window
+    maxRequests: 5, // 5 failed attempts per window
+    skipSuccessfulRequests: true, // Only failed attempts count
     message: 'Too many authentication attempts, please try again later',
   },
+  // Routes that email an address (password reset, verification, magic
+  // links). They answer 200 whether or not the account exists, so every
+  // request counts: per caller, and separately per target address.
+  email: {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    maxRequests: 10, // 10 emails per hour per IP or user
+    message: 'Too many email requests, please try again later',
+  },
+  emailTarget: {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    maxRequests: 5, // 5 emails per hour to one address, from any caller
+    message: 'Too many email requests, please try again later',
+  },
   general: {
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    maxRequests: 100, // 100 requests per window
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+    maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // 100 requests per window
     message: 'Too many requests, please try again later',
   },
   signup: {
@@ -38,6 +67,26 @@ const RATE_LIMITS = {
     maxRequests: 3, // 3 signups per hour per IP
     message: 'Too many signup attempts, please try again later',
   },
+  onboarding: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    maxRequests: 60, // 60 onboarding updates per window
+    message: 'Too many profile updates, please try again later',
+  },
+  admin: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    maxRequests: 300, // 300 admin requests per window
+    message: 'Too many admin requests, please try again later',
+  },
+  export: {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    maxRequests: 5, // 5 data exports per hour per user
+    message: 'Too many data export requests, please try again later',
+  },
+  service: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    maxRequests: 1000, // 1000 requests per window per API key
+    message: 'Too many service requests, please try again later',
+  },
 };
 
 // JWT Configuration
@@ -81,6 +130,172 @@ const EMAIL_CONFIG = {
   blockedDomains: ['tempmail.org', '10minutemail.com', 'guerrillamail.com'],
 };
 
+// Email verification configuration
+const EMAIL_VERIFICATION = {
+  tokenBytes: 32,
+  tokenExpiry: 24 * 60 * 60 * 1000, // 24 hours
+  resendCooldown: 60 * 1000, // 1 minute between verification emails
+};
+
+// Password reset configuration
+const PASSWORD_RESET = {
+  tokenBytes: 32,
+  tokenExpiry: 60 * 60 * 1000, // 1 hour
+  resendCooldown: 60 * 1000, // 1 minute between emails per account
+};
+
+// Email address change configuration
+const EMAIL_CHANGE = {
+  tokenBytes: 32,
+  tokenExpiry: 24 * 60 * 60 * 1000, // 24 hours to confirm the new address
+  revertExpiry: 7 * 24 * 60 * 60 * 1000, // 7 days to undo from the old one
+};
+
+// Self-service account deletion. Accounts are erased once the grace period
+// has passed unless the user restores them first.
+const ACCOUNT_DELETION = {
+  gracePeriod: parseDuration(
+    process.env.ACCOUNT_DELETION_GRACE_PERIOD || '30d'
+  ),
+  purgeInterval: 60 * 60 * 1000, // check for due accounts hourly
+};
+
+// Passwordless (magic link / one-time code) login configuration
+const MAGIC_LINK = {
+  tokenBytes: 32, // link token and device challenge token
+  codeDigits: 6,
+  codeHashRounds: 10,
+  expiry: 15 * 60 * 1000, // 15 minutes
+  maxAttempts: 5, // wrong codes or links before the challenge is discarded
+  resendCooldown: 60 * 1000, // 1 minute between emails
+};
+
+// Two-factor authentication (TOTP) configuration
+const MFA_CONFIG = {
+  issuer: process.env.MFA_ISSUER || 'Slim',
+  digits: 6,
+  period: 30, // seconds per code
+  window: 1, // accept codes one step either side for clock drift
+  challengeExpiry: '5m', // lifetime of the signin challenge token
+  recoveryCodeCount: 10,
+  // Base32 characters per recovery code (5 bits each, 100 bits in all), so
+  // their unsalted hashes cannot be brute-forced
+  recoveryCodeLength: 20,
+  // Staff (any role other than user) must enroll, or register a passkey,
+  // before using admin endpoints
+  requireForAdmins: process.env.MFA_REQUIRED_FOR_ADMINS === 'true',
+};
+
+// Authentication method references for the `amr` token claim (RFC 8176
+// values where one exists)
+const AUTH_METHODS = {
+  PASSWORD: 'pwd',
+  OTP: 'otp', // TOTP or recovery code
+  PASSKEY: 'hwk', // passkey with user verification
+  EMAIL: 'email', // magic link or emailed code
+  FEDERATED: 'fed', // Google or Apple ID token
+  MFA: 'mfa', // added when more than one factor was used
+};
+
+// Service-to-service API keys. Keys are shown once when issued; only their
+// SHA-256 hash is stored.
+const API_KEY_CONFIG = {
+  prefix: 'slim_',
+  tokenBytes: 32,
+  defaultExpiry: parseDuration(process.env.API_KEY_DEFAULT_EXPIRY || '90d'),
+  maxExpiry: parseDuration(process.env.API_KEY_MAX_EXPIRY || '365d'),
+  lastUsedPrecision: 60 * 1000, // update lastUsedAt at most once a minute
+};
+
+// Re-authentication (step-up) for sensitive operations
+const REAUTH_CONFIG = {
+  // Lifetime of the elevated access token from POST /api/auth/reauthenticate
+  tokenExpiry: process.env.REAUTH_TOKEN_EXPIRES_IN || '5m',
+  // Default window for requireRecentAuth()
+  maxAge: parseDuration(process.env.REAUTH_MAX_AGE || '5m'),
+};
+
+// Staff impersonation (POST /api/admin/users/:id/impersonate)
+const IMPERSONATION_CONFIG = {
+  // Lifetime of an impersonation token; it cannot be refreshed
+  tokenExpiry: process.env.IMPERSONATION_TOKEN_EXPIRES_IN || '15m',
+};
+
+// Suspicious login detection. Each signin is compared with the user's
+// recent logins; the weights of the anomalies found add up to a risk score
+// and logins at or above the threshold are flagged.
+const SUSPICIOUS_LOGIN = {
+  enabled: process.env.SUSPICIOUS_LOGIN_DETECTION !== 'false',
+  // Confirm flagged password signins with an emailed link or code (users
+  // with 2FA always get their second factor challenge instead)
+  stepUp: process.env.SUSPICIOUS_LOGIN_STEP_UP === 'true',
+  alertNewDevice: process.env.NEW_DEVICE_ALERTS !== 'false',
+  threshold: 2,
+  historySize: 50, // recent logins compared against
+  minHistoryForHours: 10, // logins needed before hours are judged unusual
+  // Logins from two countries closer together than this are a country change
+  countryChangeWindow: parseDuration(process.env.COUNTRY_CHANGE_WINDOW || '4h'),
+  retention: parseDuration(process.env.LOGIN_HISTORY_RETENTION || '180d'),
+  weights: {
+    new_device: 1,
+    new_network: 1,
+    new_country: 2,
+    unusual_hour: 1,
+    country_change: 3,
+  },
+};
+
+// Comma-separated env list
+const listFromEnv = (value) =>
+  (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// OpenID Connect sign-in providers. ID tokens must be issued by one of
+// `issuers` for one of our `clientIds` (the app's OAuth client IDs, or the
+// bundle/service IDs for Apple). Issuer and JWKS URLs can be overridden to
+// test against a local mock issuer.
+const OIDC_PROVIDERS = {
+  google: {
+    issuers: process.env.OIDC_GOOGLE_ISSUER
+      ? [process.env.OIDC_GOOGLE_ISSUER]
+      : ['https://accounts.google.com', 'accounts.google.com'],
+    jwksUri:
+      process.env.OIDC_GOOGLE_JWKS_URI ||
+      'https://www.googleapis.com/oauth2/v3/certs',
+    clientIds: listFromEnv(process.env.GOOGLE_CLIENT_IDS),
+  },
+  apple: {
+    issuers: [process.env.OIDC_APPLE_ISSUER || 'https://appleid.apple.com'],
+    jwksUri:
+      process.env.OIDC_APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+    clientIds: listFromEnv(process.env.APPLE_CLIENT_IDS),
+  },
+};
+
+const OIDC_CONFIG = {
+  jwksCacheTtl: 60 * 60 * 1000, // 1 hour unless the provider says otherwise
+  jwksRefreshCooldown: 60 * 1000, // min time between refreshes for unknown kids
+  requestTimeout: 5000,
+  clockTolerance: 60, // seconds
+  nonceBytes: 32,
+  nonceExpiry: 10 * 60 * 1000, // 10 minutes to finish the provider signin
+};
+
+// WebAuthn passkey configuration. The relying party ID is the domain passkeys
+// are bound to; origins are the web/app origins allowed to use them.
+const WEBAUTHN_CONFIG = {
+  rpId: process.env.WEBAUTHN_RP_ID || 'localhost',
+  rpName: process.env.WEBAUTHN_RP_NAME || 'Slim',
+  origins: process.env.WEBAUTHN_ORIGINS
+    ? listFromEnv(process.env.WEBAUTHN_ORIGINS)
+    : ['http://localhost:19006'],
+  timeout: 5 * 60 * 1000, // ceremony timeout sent to the client
+  challengeExpiry: 5 * 60 * 1000, // 5 minutes
+  maxPasskeys: 10,
+};
+
 // Session configuration
 const SESSION_CONFIG = {
   maxConcurrentSessions: 5,
@@ -88,6 +303,15 @@ const SESSION_CONFIG = {
   refreshTokenRotation: true,
 };
 
+// Authentication response configuration
+const AUTH_RESPONSE = {
+  // Top-level `token` alias of `tokens.accessToken`, kept for clients built
+  // against the original /api/auth response shape
+  includeLegacyToken: process.env.AUTH_LEGACY_TOKEN_FIELD !== 'false',
+  // HTTP date after which deprecated endpoints may be removed (optional)
+  legacySunset: process.env.AUTH_LEGACY_SUNSET || null,
+};
+
 // Input sanitization rules
 const SANITIZATION_RULES = {
   name: {
@@ -102,31 +326,46 @@ const SANITIZATION_RULES = {
 };
 
 // Validation functions
-const validatePassword = (password) => {
-  const errors = [];
+// Check a new password against PASSWORD_REQUIREMENTS. Each violation has a
+// code and a message; `errors` lists the messages alone. Reuse of earlier
+// passwords is checked by the User model (isPasswordReused).
+const validatePassword = (password, { email } = {}) => {
+  const violations = [];
+  const addViolation = (code, message) => violations.push({ code, message });
 
   if (password.length < PASSWORD_REQUIREMENTS.minLength) {
-    errors.push(
+    addViolation(
+      'PASSWORD_TOO_SHORT',
       `Password must be at least ${PASSWORD_REQUIREMENTS.minLength} characters long`
     );
   }
 
   if (password.length > PASSWORD_REQUIREMENTS.maxLength) {
-    errors.push(
+    addViolation(
+      'PASSWORD_TOO_LONG',
       `Password cannot exceed ${PASSWORD_REQUIREMENTS.maxLength} characters`
     );
   }
 
   if (PASSWORD_REQUIREMENTS.requireUppercase && !/[A-Z]/.test(password)) {
-    errors.push('Password must contain at least one uppercase letter');
+    addViolation(
+      'PASSWORD_NO_UPPERCASE',
+      'Password must contain at least one uppercase letter'
+    );
   }
 
   if (PASSWORD_REQUIREMENTS.requireLowercase && !/[a-z]/.test(password)) {
-    errors.push('Password must contain at least one lowercase letter');
+    addViolation(
+      'PASSWORD_NO_LOWERCASE',
+      'Password must contain at least one lowercase letter'
+    );
   }
 
   if (PASSWORD_REQUIREMENTS.requireNumbers && !/\d/.test(password)) {
-    errors.push('Password must contain at least one number');
+    addViolation(
+      'PASSWORD_NO_NUMBER',
+      'Password must contain at least one number'
+    );
   }
 
   if (PASSWORD_REQUIREMENTS.requireSpecialChars) {
@@ -137,21 +376,42 @@ const validatePassword = (password) => {
       )}]`
     );
     if (!specialCharRegex.test(password)) {
-      errors.push(
+      addViolation(
+        'PASSWORD_NO_SPECIAL_CHAR',
         `Password must contain at least one special character (${PASSWORD_REQUIREMENTS.specialChars})`
       );
     }
   }
 
+  const localPart = email?.split('@')[0].toLowerCase();
+  if (localPart?.length >= 3 && password.toLowerCase().includes(localPart)) {
+    addViolation(
+      'PASSWORD_CONTAINS_EMAIL',
+      'Password must not contain your email address'
+    );
+  }
+
   if (
     PASSWORD_REQUIREMENTS.forbiddenPasswords.includes(password.toLowerCase())
   ) {
-    errors.push('Password is too common, please choose a different password');
+    addViolation(
+      'PASSWORD_TOO_COMMON',
+      'Password is too common, please choose a different password'
+    );
+  } else if (
+    PASSWORD_REQUIREMENTS.checkBreached &&
+    isBreachedPassword(password, PASSWORD_REQUIREMENTS.breachCorpusPath)
+  ) {
+    addViolation(
+      'PASSWORD_BREACHED',
+      'This password has appeared in a data breach, please choose a different password'
+    );
   }
 
   return {
-    isValid: errors.length === 0,
-    errors,
+    isValid: violations.length === 0,
+    errors: violations.map((violation) => violation.message),
+    violations,
   };
 };
 
@@ -223,7 +483,22 @@ module.exports = {
   SECURITY_HEADERS,
   ACCOUNT_LOCKOUT,
   EMAIL_CONFIG,
+  EMAIL_VERIFICATION,
+  PASSWORD_RESET,
+  EMAIL_CHANGE,
+  ACCOUNT_DELETION,
+  MAGIC_LINK,
+  MFA_CONFIG,
+  AUTH_METHODS,
+  REAUTH_CONFIG,
+  IMPERSONATION_CONFIG,
+  SUSPICIOUS_LOGIN,
+  API_KEY_CONFIG,
+  OIDC_PROVIDERS,
+  OIDC_CONFIG,
+  WEBAUTHN_CONFIG,
   SESSION_CONFIG,
+  AUTH_RESPONSE,
   SANITIZATION_RULES,
   validatePassword,
   validateEmail,
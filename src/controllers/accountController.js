@@ -0,0 +1,166 @@
+const accountService = require('../services/accountService');
+const {
+  AUDIT_ACTIONS,
+  recordAuditEvent,
+  getSecurityTimeline,
+} = require('../services/auditService');
+
+/**
+ * Start changing the current user's email address. A confirmation link is
+ * sent to the new address.
+ * @route POST /api/users/email/change
+ */
+const requestEmailChange = async (req, res, next) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    const { pendingEmail, expiresAt } = await accountService.requestEmailChange(
+      req.userId,
+      { newEmail, password }
+    );
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.EMAIL_CHANGE_REQUEST,
+      target: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `We sent a confirmation link to ${pendingEmail}. Your email address changes once you open it`,
+      data: {
+        pendingEmail,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download everything we hold about the current user, as JSON (default) or
+ * as a ZIP of CSV files with ?format=zip
+ * @route GET /api/users/me/export
+ */
+const exportData = async (req, res, next) => {
+  try {
+    const user = req.user;
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `slim-export-${date}`;
+
+    res.set('Cache-Control', 'no-store');
+
+    if (req.query.format === 'zip') {
+      res.attachment(`${filename}.zip`);
+      return res
+        .type('application/zip')
+        .send(accountService.buildDataExportArchive(user));
+    }
+
+    res.attachment(`${filename}.json`);
+    res.status(200).json({
+      success: true,
+      message: 'Data export created successfully',
+      data: accountService.buildDataExport(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request deletion of the current user's account. The account is erased
+ * after a grace period unless it is restored first.
+ * @route DELETE /api/users/me
+ */
+const deleteAccount = async (req, res, next) => {
+  try {
+    const { password, confirmEmail } = req.body;
+
+    const deletionScheduledFor = await accountService.requestAccountDeletion(
+      req.userId,
+      { password, confirmEmail }
+    );
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.DELETION_REQUEST,
+      target: req.user._id,
+      metadata: { deletionScheduledFor },
+    });
+
+    res.status(202).json({
+      success: true,
+      message:
+        'Your account is scheduled for deletion. Sign in before the date below to restore it',
+      data: {
+        deletionScheduledFor,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a pending deletion of the current user's account
+ * @route POST /api/users/me/restore
+ */
+const restoreAccount = async (req, res, next) => {
+  try {
+    await accountService.cancelAccountDeletion(req.user);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.DELETION_CANCEL,
+      target: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account has been restored',
+      data: {
+        deletionScheduledFor: null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Security timeline of the current user: signins, failed attempts,
+ * credential changes and admin actions on the account, newest first
+ * @route GET /api/users/me/security-events
+ */
+const getSecurityEvents = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { events, total } = await getSecurityTimeline(req.user._id, {
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Security events retrieved successfully',
+      data: {
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total,
+          hasNextPage: page * limit < total,
+          limit,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requestEmailChange,
+  exportData,
+  getSecurityEvents,
+  deleteAccount,
+  restoreAccount,
+};
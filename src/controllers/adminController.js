@@ -1,5 +1,18 @@
 const User = require('../models/User');
-const { validationResult } = require('express-validator');
+const RevokedToken = require('../models/RevokedToken');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const AuditEvent = require('../models/AuditEvent');
+const LoginEvent = require('../models/LoginEvent');
+const accountService = require('../services/accountService');
+const authService = require('../services/authService');
+const { AUDIT_ACTIONS, recordAuditEvent } = require('../services/auditService');
+const { getDeviceInfo } = require('../utils/device');
+const {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+} = require('../config/roles');
 
 /**
  * Get all users with pagination, search, and filtering
@@ -15,7 +28,9 @@ const getAllUsers = async (req, res, next) => {
       sortOrder = 'desc',
       verified = '',
       onboardingCompleted = '',
+      role = '',
       isAdmin = '',
+      condition = '',
     } = req.query;
 
     // Build search query
@@ -39,9 +54,17 @@ const getAllUsers = async (req, res, next) => {
       query.onboardingCompleted = onboardingCompleted === 'true';
     }
 
-    // Filter by admin status
-    if (isAdmin !== '') {
-      query.isAdmin = isAdmin === 'true';
+    // Filter by role (isAdmin is the deprecated admin-only filter)
+    if (role !== '') {
+      query.role = role;
+    } else if (isAdmin !== '') {
+      query.role = isAdmin === 'true' ? ROLES.ADMIN : { $ne: ROLES.ADMIN };
+    }
+
+    // Filter by a medical condition answered `yes`. Medical history is
+    // encrypted, so this matches its blind index.
+    if (condition !== '') {
+      query.medicalIndex = User.getMedicalIndexToken('condition', condition);
     }
 
     // Calculate pagination
@@ -55,7 +78,7 @@ const getAllUsers = async (req, res, next) => {
 
     // Execute query with pagination
     const users = await User.find(query)
-      .select('-password -refreshTokens')
+      .select('-password -refreshTokens -encryptedFields')
       .sort(sort)
       .skip(skip)
       .limit(limitNum)
@@ -76,7 +99,8 @@ const getAllUsers = async (req, res, next) => {
           id: user._id,
           email: user.email,
           isEmailVerified: user.isEmailVerified,
-          isAdmin: user.isAdmin,
+          role: user.role,
+          isAdmin: user.role === ROLES.ADMIN,
           onboardingCompleted: user.onboardingCompleted,
           onboardingStep: user.onboardingStep,
           profileCompleteness: user.profileCompleteness,
@@ -127,6 +151,7 @@ const getUserDetails = async (req, res, next) => {
       id: user._id,
       email: user.email,
       isEmailVerified: user.isEmailVerified,
+      role: user.role,
       isAdmin: user.isAdmin,
       onboardingCompleted: user.onboardingCompleted,
       onboardingStep: user.onboardingStep,
@@ -138,13 +163,26 @@ const getUserDetails = async (req, res, next) => {
       // Detailed profile sections
       basicInfo: user.basicInfo,
       lifestyle: user.lifestyle,
-      medicalHistory: user.medicalHistory,
+      medicalHistory: req.user.hasPermission(PERMISSIONS.USERS_READ_MEDICAL)
+        ? user.medicalHistory
+        : undefined,
       goals: user.goals,
       preferences: user.preferences,
 
       // Data quality metrics
       dataQuality: user.dataQuality,
 
+      // Latest consent decision per document type
+      consents: user.consents,
+
+      // Account lockout
+      accountLock: {
+        isLocked: user.isLocked(),
+        lockUntil: user.lockUntil || null,
+        failedLoginAttempts: user.failedLoginAttempts,
+        lastFailedLoginAt: user.lastFailedLoginAt || null,
+      },
+
       // Timestamps
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
@@ -165,8 +203,80 @@ const getUserDetails = async (req, res, next) => {
   }
 };
 
+// Change a user's role on behalf of the requesting admin, revoking the
+// user's tokens when they lose permissions. Returns null when the user does
+// not exist.
+const assignRole = async (req, id, role) => {
+  const user = await User.findById(id).select('role email');
+  if (!user) {
+    return null;
+  }
+
+  const previousRole = user.role;
+  const previousPermissions = getRolePermissions(previousRole);
+  const newPermissions = getRolePermissions(role);
+
+  user.role = role;
+  await User.updateOne({ _id: id }, { role }, { runValidators: true });
+
+  // Existing tokens must not keep access the new role no longer grants
+  if (previousPermissions.some((p) => !newPermissions.includes(p))) {
+    await RevokedToken.revokeAllForUser(user._id, 'role_change');
+  }
+
+  await recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.ROLE_CHANGE,
+    target: user._id,
+    metadata: { from: previousRole, to: role },
+  });
+
+  return user;
+};
+
+/**
+ * Assign a role to a user
+ * @route PATCH /api/admin/users/:id/role
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    // Prevents admins from locking themselves (and possibly everyone) out
+    if (req.user.id === id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role',
+      });
+    }
+
+    const user = await assignRole(req, id, role);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `User role set to ${role} successfully`,
+      data: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        permissions: user.getPermissions(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update user admin status
+ * Deprecated: use PATCH /api/admin/users/:id/role
  * @route PATCH /api/admin/users/:id/admin-status
  */
 const updateUserAdminStatus = async (req, res, next) => {
@@ -181,19 +291,33 @@ const updateUserAdminStatus = async (req, res, next) => {
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      id,
-      { isAdmin },
-      { new: true, runValidators: true }
-    ).select('-password -refreshTokens');
+    if (req.user.id === id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role',
+      });
+    }
+
+    const existing = await User.findById(id).select('role');
 
-    if (!user) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         message: 'User not found',
       });
     }
 
+    // Revoking admin status makes the user a regular user; granting it
+    // replaces any other staff role
+    let role = existing.role;
+    if (isAdmin) {
+      role = ROLES.ADMIN;
+    } else if (existing.role === ROLES.ADMIN) {
+      role = ROLES.USER;
+    }
+
+    const user = await assignRole(req, id, role);
+
     res.status(200).json({
       success: true,
       message: `User admin status ${
@@ -203,6 +327,72 @@ const updateUserAdminStatus = async (req, res, next) => {
         id: user._id,
         email: user.email,
         isAdmin: user.isAdmin,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List roles and the permissions they grant
+ * @route GET /api/admin/roles
+ */
+const getRoles = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: 'Roles retrieved successfully',
+      data: {
+        roles: Object.entries(ROLE_PERMISSIONS).map(([name, permissions]) => ({
+          name,
+          permissions,
+        })),
+        permissions: Object.values(PERMISSIONS),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlock a user account locked after failed login attempts
+ * @route POST /api/admin/users/:id/unlock
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const wasLocked = user.isLocked();
+    user.resetLoginAttempts();
+    await user.save();
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.USER_UNLOCK,
+      target: user._id,
+      metadata: { wasLocked },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: wasLocked
+        ? 'User account unlocked successfully'
+        : 'User account was not locked; failed attempts have been reset',
+      data: {
+        id: user._id,
+        email: user.email,
+        isLocked: user.isLocked(),
+        failedLoginAttempts: user.failedLoginAttempts,
       },
     });
   } catch (error) {
@@ -305,10 +495,12 @@ const deleteUser = async (req, res, next) => {
       });
     }
 
-    // Instead of deleting, we can deactivate the account
-    // For this implementation, we'll actually delete the user
-    // In production, you might want to implement soft delete
-    await User.findByIdAndDelete(id);
+    await accountService.eraseUser(user._id);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.USER_DELETE,
+      target: user._id,
+      metadata: { role: user.role },
+    });
 
     res.status(200).json({
       success: true,
@@ -322,10 +514,255 @@ const deleteUser = async (req, res, next) => {
   }
 };
 
+/**
+ * Issue a short-lived token to act as a regular user
+ * @route POST /api/admin/users/:id/impersonate
+ */
+const impersonateUser = async (req, res, next) => {
+  try {
+    const { ipAddress, userAgent } = getDeviceInfo(req);
+    const impersonation = await authService.startImpersonation(
+      req.user,
+      req.params.id,
+      { reason: req.body.reason, ipAddress, userAgent }
+    );
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.IMPERSONATION_START,
+      target: impersonation.user.id,
+      metadata: { reason: req.body.reason },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation token issued',
+      data: impersonation,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List impersonation log entries, newest first
+ * @route GET /api/admin/impersonation-logs
+ */
+const getImpersonationLogs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, actor, subject, tokenId } = req.query;
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (subject) query.subject = subject;
+    if (tokenId) query.tokenId = tokenId;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [logs, total] = await Promise.all([
+      ImpersonationLog.find(query)
+        .populate('actor', 'email role')
+        .populate('subject', 'email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ImpersonationLog.countDocuments(query),
+    ]);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation logs retrieved successfully',
+      data: {
+        logs,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          total,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+          limit: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Search the security audit log, newest first
+ * @route GET /api/admin/audit
+ */
+const getAuditEvents = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      action,
+      outcome,
+      actor,
+      target,
+      requestId,
+      from,
+      to,
+    } = req.query;
+
+    const query = {};
+    if (action) {
+      // A trailing `.*` matches an area, e.g. admin.*
+      query.action = action.endsWith('.*')
+        ? { $regex: `^${action.slice(0, -1).replace('.', '\\.')}` }
+        : action;
+    }
+    if (outcome) query.outcome = outcome;
+    if (actor) query.actor = actor;
+    if (target) query.target = target;
+    if (requestId) query.requestId = requestId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .populate('actor', 'email role')
+        .populate('target', 'email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      AuditEvent.countDocuments(query),
+    ]);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: 'Audit events retrieved successfully',
+      data: {
+        events,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          total,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+          limit: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List logins flagged as suspicious, newest first
+ * @route GET /api/admin/logins/flagged
+ */
+const getFlaggedLogins = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, user, reviewed } = req.query;
+
+    const query = { flagged: true };
+    if (user) query.user = user;
+    if (reviewed !== undefined) {
+      query.reviewedAt = reviewed === 'true' ? { $ne: null } : null;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [logins, total] = await Promise.all([
+      LoginEvent.find(query)
+        .select('-deviceHash -expiresAt')
+        .populate('user', 'email role')
+        .populate('reviewedBy', 'email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      LoginEvent.countDocuments(query),
+    ]);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: 'Flagged logins retrieved successfully',
+      data: {
+        logins,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          total,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+          limit: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a flagged login as reviewed
+ * @route PATCH /api/admin/logins/:id/review
+ */
+const reviewFlaggedLogin = async (req, res, next) => {
+  try {
+    const login = await LoginEvent.findOne({
+      _id: req.params.id,
+      flagged: true,
+    }).select('-deviceHash -expiresAt');
+
+    if (!login) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flagged login not found',
+      });
+    }
+
+    if (!login.reviewedAt) {
+      login.reviewedAt = new Date();
+      login.reviewedBy = req.user._id;
+      await login.save();
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.LOGIN_REVIEW,
+        target: login.user,
+        metadata: { loginId: login._id, riskFlags: login.riskFlags },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Login marked as reviewed',
+      data: {
+        login,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserDetails,
+  updateUserRole,
   updateUserAdminStatus,
+  getRoles,
+  unlockUser,
   getUserStats,
   deleteUser,
+  impersonateUser,
+  getImpersonationLogs,
+  getAuditEvents,
+  getFlaggedLogins,
+  reviewFlaggedLogin,
 };
@@ -0,0 +1,119 @@
+const ApiKey = require('../models/ApiKey');
+const { AppError } = require('../middleware/errorHandler');
+const { API_KEY_CONFIG } = require('../config/security');
+const { AUDIT_ACTIONS, recordAuditEvent } = require('../services/auditService');
+
+/**
+ * List service API keys, newest first
+ * @route GET /api/admin/api-keys
+ */
+const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: {
+        apiKeys,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue a service API key. The key is only returned in this response.
+ * @route POST /api/admin/api-keys
+ */
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes } = req.body;
+    const expiresAt = req.body.expiresAt
+      ? new Date(req.body.expiresAt)
+      : new Date(Date.now() + API_KEY_CONFIG.defaultExpiry);
+
+    if (expiresAt <= new Date()) {
+      throw new AppError(
+        'Expiration date must be in the future',
+        400,
+        'INVALID_EXPIRATION'
+      );
+    }
+    if (expiresAt > new Date(Date.now() + API_KEY_CONFIG.maxExpiry)) {
+      throw new AppError(
+        `API keys can be valid for at most ${Math.round(
+          API_KEY_CONFIG.maxExpiry / 86400000
+        )} days`,
+        400,
+        'INVALID_EXPIRATION'
+      );
+    }
+
+    const { apiKey, key } = await ApiKey.issue({
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+      createdBy: req.user._id,
+    });
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.API_KEY_CREATE,
+      metadata: { apiKeyId: apiKey._id, name, scopes: apiKey.scopes },
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        'API key created. Store the key now; it cannot be retrieved again',
+      data: {
+        apiKey,
+        key,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a service API key immediately
+ * @route DELETE /api/admin/api-keys/:id
+ */
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revoke(req.user._id);
+      await apiKey.save();
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.API_KEY_REVOKE,
+        metadata: { apiKeyId: apiKey._id, name: apiKey.name },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: {
+        apiKey,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
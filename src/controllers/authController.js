@@ -1,350 +1,685 @@
 const User = require('../models/User');
-const { generateToken, generateRefreshToken } = require('../middleware/auth');
+const RevokedToken = require('../models/RevokedToken');
+const authService = require('../services/authService');
+const { AUTH_RESPONSE, AUTH_METHODS } = require('../config/security');
+const { getDeviceInfo } = require('../utils/device');
+const { sendMail } = require('../utils/mailer');
+const { buildPasswordResetEmail } = require('../utils/emailTemplates');
+const accountService = require('../services/accountService');
+const loginRiskService = require('../services/loginRiskService');
+const {
+  AUDIT_ACTIONS,
+  recordAuditEvent,
+  recordAuditFailure,
+} = require('../services/auditService');
+const { verifyToken, decodeToken } = require('../utils/jwt');
+
+// Token pair response shared by every login and registration endpoint
+const sendAuthResponse = (res, statusCode, message, user, tokens) => {
+  const body = {
+    success: true,
+    message,
+    user: authService.formatAuthUser(user),
+    tokens,
+  };
+
+  // Deprecated: use tokens.accessToken
+  if (AUTH_RESPONSE.includeLegacyToken) {
+    body.token = tokens.accessToken;
+  }
+
+  return res.status(statusCode).json(body);
+};
+
+// Pass service errors on, telling locked-out clients when to retry
+const handleAuthFailure = (error, res, next) => {
+  if (error.code === 'ACCOUNT_LOCKED') {
+    res.set('Retry-After', String(error.details.retryAfter));
+  }
+  next(error);
+};
+
+// Audit a signin that issued tokens
+const auditSignin = (req, user, amr, riskFlags = []) =>
+  recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.LOGIN,
+    actor: user._id,
+    target: user._id,
+    metadata: { amr, ...(riskFlags.length && { riskFlags }) },
+  });
+
+// Issue tokens for a completed signin, audit it and add it to the user's
+// login history, which alerts them to new devices and suspicious logins.
+// Logins not assessed yet are assessed here.
+const completeSignin = async (req, user, amr, assessment) => {
+  const deviceInfo = getDeviceInfo(req);
+  const risk =
+    assessment || (await loginRiskService.assessLogin(user, deviceInfo));
+
+  const tokens = await authService.startSession(user, deviceInfo, { amr });
+  await auditSignin(req, user, amr, risk.riskFlags);
+  await loginRiskService.recordLogin(user, risk, { amr });
+
+  return tokens;
+};
 
-// Register new user
-const register = async (req, res) => {
+// Audit a failed signin, then pass the error on. `userId` is the account
+// the attempt was aimed at, when known.
+const handleSigninFailure = async (error, req, res, next, details) => {
+  await recordAuditFailure(req, AUDIT_ACTIONS.LOGIN, error, {
+    actor: null,
+    target: details.userId,
+    metadata: { method: details.method },
+  });
+  handleAuthFailure(error, res, next);
+};
+
+// User a valid MFA challenge token was issued to
+const getMfaChallengeUserId = (mfaToken) => {
   try {
-    const { name, email, password } = req.body;
+    return verifyToken(mfaToken, 'mfa').userId;
+  } catch (error) {
+    return undefined;
+  }
+};
 
-    // Check if user already exists
-    const existingUser = await User.findByEmail(email);
-    if (existingUser) {
-      return res.status(400).json({
-        error: 'User Already Exists',
-        message: 'A user with this email address already exists',
+// Signup new user
+// Serves /api/auth/signup and the legacy /api/users/register
+const signup = async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body;
+
+    const user = await authService.registerUser({ email, password, name });
+    const deviceInfo = getDeviceInfo(req);
+    const amr = [AUTH_METHODS.PASSWORD];
+    const tokens = await authService.startSession(user, deviceInfo, { amr });
+    // First entry of the login history, so this device is known next time
+    await loginRiskService.recordLogin(
+      user,
+      await loginRiskService.assessLogin(user, deviceInfo),
+      { amr }
+    );
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.SIGNUP,
+      actor: user._id,
+      target: user._id,
+      metadata: { method: AUTH_METHODS.PASSWORD },
+    });
+
+    sendAuthResponse(res, 201, 'User registered successfully', user, tokens);
+  } catch (error) {
+    handleAuthFailure(error, res, next);
+  }
+};
+
+// Signin user
+// Serves /api/auth/signin and the legacy /api/users/login
+const signin = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await authService.authenticateUser({ email, password });
+    const amr = [AUTH_METHODS.PASSWORD];
+
+    if (authService.requiresSecondFactor(user)) {
+      const challenge = await authService.createMfaChallenge(user, { amr });
+
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        ...challenge,
       });
     }
 
-    // Create new user
-    const user = new User({
-      name,
-      email,
-      password,
-    });
+    // Suspicious logins can be held back until the user confirms them with
+    // an emailed link or code (POST /api/auth/magic-link/verify)
+    const deviceInfo = getDeviceInfo(req);
+    const assessment = await loginRiskService.assessLogin(user, deviceInfo);
+    if (loginRiskService.requiresStepUp(assessment)) {
+      await loginRiskService.recordLogin(user, assessment, {
+        status: 'challenged',
+        amr,
+      });
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.LOGIN_STEP_UP,
+        actor: user._id,
+        target: user._id,
+        metadata: { riskFlags: assessment.riskFlags },
+      });
+      const { challengeToken, expiresAt, retryAfter } =
+        await authService.requestMagicLink(user.email, deviceInfo);
+
+      // A link was emailed moments ago: the challenge token returned with it
+      // still works, and the new one was never stored
+      if (retryAfter) {
+        return res.json({
+          success: true,
+          message:
+            'Please confirm this sign-in with the link or code already sent to your email',
+          stepUpRequired: true,
+          retryAfter,
+        });
+      }
 
-    await user.save();
+      return res.json({
+        success: true,
+        message:
+          'Please confirm this sign-in with the link or code sent to your email',
+        stepUpRequired: true,
+        challengeToken,
+        expiresAt,
+      });
+    }
 
-    // Generate tokens
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const tokens = await completeSignin(req, user, amr, assessment);
 
-    // Save refresh token to user
-    user.refreshTokens.push({
-      token: refreshToken,
-      createdAt: new Date(),
+    sendAuthResponse(res, 200, 'Login successful', user, tokens);
+  } catch (error) {
+    const target = await User.findByEmail(req.body.email)
+      .select('_id')
+      .catch(() => null);
+    await handleSigninFailure(error, req, res, next, {
+      method: AUTH_METHODS.PASSWORD,
+      userId: target?._id,
     });
-    await user.save();
+  }
+};
 
-    // Update last login
-    user.lastLoginAt = new Date();
-    await user.save();
+// Nonce for the app to pass to the Google or Apple SDK
+const getProviderNonce = async (req, res, next) => {
+  try {
+    const { nonce, expiresAt } = await authService.createProviderNonce(
+      req.params.provider
+    );
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        isEmailVerified: user.isEmailVerified,
-        createdAt: user.createdAt,
-      },
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-      },
+    res.json({
+      success: true,
+      message: 'Sign-in nonce created',
+      nonce,
+      expiresAt,
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({
-      error: 'Registration Failed',
-      message: 'An error occurred during registration',
-    });
+    next(error);
   }
 };
 
-// Login user
-const login = async (req, res) => {
+// Sign in (or sign up) with a Google or Apple ID token
+const signinWithProvider = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { idToken, nonce, name } = req.body;
 
-    // Find user and include password for comparison
-    const user = await User.findByEmail(email).select('+password');
-    if (!user) {
-      return res.status(401).json({
-        error: 'Invalid Credentials',
-        message: 'Email or password is incorrect',
+    const { user, isNewUser } = await authService.signInWithProvider({
+      provider: req.params.provider,
+      idToken,
+      nonce,
+      name,
+    });
+    const amr = [AUTH_METHODS.FEDERATED];
+
+    if (authService.requiresSecondFactor(user)) {
+      const challenge = await authService.createMfaChallenge(user, { amr });
+
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        ...challenge,
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        error: 'Invalid Credentials',
-        message: 'Email or password is incorrect',
+    if (isNewUser) {
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.SIGNUP,
+        actor: user._id,
+        target: user._id,
+        metadata: {
+          method: AUTH_METHODS.FEDERATED,
+          provider: req.params.provider,
+        },
       });
     }
+    const tokens = await completeSignin(req, user, amr);
+
+    if (isNewUser) {
+      return sendAuthResponse(
+        res,
+        201,
+        'Account created successfully',
+        user,
+        tokens
+      );
+    }
+
+    sendAuthResponse(res, 200, 'Login successful', user, tokens);
+  } catch (error) {
+    await handleSigninFailure(error, req, res, next, {
+      method: AUTH_METHODS.FEDERATED,
+    });
+  }
+};
+
+// Email a passwordless sign-in link and code
+const requestMagicLink = async (req, res, next) => {
+  try {
+    const { challengeToken, expiresAt } = await authService.requestMagicLink(
+      req.body.email,
+      getDeviceInfo(req)
+    );
+
+    // Same response in every case so account existence is not revealed
+    res.json({
+      success: true,
+      message:
+        'If an account exists for this email, a sign-in link and code have been sent',
+      challengeToken,
+      expiresAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Generate tokens
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+// Sign in with the emailed link token or code
+const verifyMagicLink = async (req, res, next) => {
+  try {
+    const { challengeToken, token, code } = req.body;
 
-    // Save refresh token to user
-    user.refreshTokens.push({
-      token: refreshToken,
-      createdAt: new Date(),
+    const user = await authService.verifyMagicLink({
+      challengeToken,
+      token,
+      code,
     });
+    const amr = [AUTH_METHODS.EMAIL];
 
-    // Clean up old refresh tokens (keep only last 5)
-    if (user.refreshTokens.length > 5) {
-      user.refreshTokens = user.refreshTokens.slice(-5);
+    if (authService.requiresSecondFactor(user)) {
+      const challenge = await authService.createMfaChallenge(user, { amr });
+
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        ...challenge,
+      });
     }
 
-    // Update last login
-    user.lastLoginAt = new Date();
-    await user.save();
+    const tokens = await completeSignin(req, user, amr);
+
+    sendAuthResponse(res, 200, 'Login successful', user, tokens);
+  } catch (error) {
+    await handleSigninFailure(error, req, res, next, {
+      method: AUTH_METHODS.EMAIL,
+    });
+  }
+};
+
+// Challenge and options for navigator.credentials.get()
+const getPasskeySigninOptions = async (req, res, next) => {
+  try {
+    const options = await authService.createPasskeySigninOptions();
 
     res.json({
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        isEmailVerified: user.isEmailVerified,
-        lastLoginAt: user.lastLoginAt,
-        profilePicture: user.profilePicture,
-      },
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-      },
+      success: true,
+      message: 'Passkey sign-in options created',
+      options,
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      error: 'Login Failed',
-      message: 'An error occurred during login',
+    next(error);
+  }
+};
+
+// Sign in with a passkey assertion
+const signinWithPasskey = async (req, res, next) => {
+  try {
+    const user = await authService.verifyPasskeySignin(req.body.credential);
+    const amr = [AUTH_METHODS.PASSKEY];
+    const tokens = await completeSignin(req, user, amr);
+
+    sendAuthResponse(res, 200, 'Login successful', user, tokens);
+  } catch (error) {
+    await handleSigninFailure(error, req, res, next, {
+      method: AUTH_METHODS.PASSKEY,
     });
   }
 };
 
-// Signup new user (for /api/auth/signup)
-const signup = async (req, res) => {
+// Complete a two-step signin with a TOTP or recovery code
+const verifySigninMfa = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { mfaToken, code, recoveryCode } = req.body;
 
-    // Check if user already exists
-    const existingUser = await User.findByEmail(email);
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'A user with this email address already exists',
-      });
-    }
+    const { user, amr } = await authService.completeMfaChallenge({
+      mfaToken,
+      code,
+      recoveryCode,
+    });
+    const tokens = await completeSignin(req, user, amr);
 
-    // Create new user (only email and password for signup)
-    const user = new User({
-      email,
-      password,
+    sendAuthResponse(res, 200, 'Login successful', user, tokens);
+  } catch (error) {
+    await handleSigninFailure(error, req, res, next, {
+      method: AUTH_METHODS.MFA,
+      userId: getMfaChallengeUserId(req.body.mfaToken),
     });
+  }
+};
 
-    await user.save();
+// Passkey options for re-authenticating the signed-in user
+const getReauthPasskeyOptions = async (req, res, next) => {
+  try {
+    const options = await authService.createReauthPasskeyOptions(req.user);
+
+    res.json({
+      success: true,
+      message: 'Passkey options created',
+      options,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Generate tokens
-    const accessToken = generateToken(user._id);
+// Confirm the signed-in user again (password, plus a code with 2FA, or a
+// passkey) and issue a short-lived access token for sensitive operations
+const reauthenticate = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode, credential } = req.body;
+
+    const { accessToken, expiresIn, authTime, amr } =
+      await authService.reauthenticate(
+        { userId: req.userId, sessionId: req.sessionId },
+        { password, code, recoveryCode, credential }
+      );
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.REAUTHENTICATE,
+      target: req.user._id,
+      metadata: { amr },
+    });
 
-    // Update last login
-    user.lastLoginAt = new Date();
-    await user.save();
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'User registered successfully',
-      token: accessToken,
-      user: {
-        id: user._id,
-        email: user.email,
-        onboardingCompleted: user.onboardingCompleted,
-        onboardingStep: user.onboardingStep,
-      },
+      message: 'Identity confirmed',
+      tokens: { accessToken, expiresIn },
+      authTime,
+      amr,
     });
   } catch (error) {
-    console.error('Signup error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'An error occurred during registration',
+    await recordAuditFailure(req, AUDIT_ACTIONS.REAUTHENTICATE, error, {
+      target: req.user._id,
     });
+    handleAuthFailure(error, res, next);
   }
 };
 
-// Signin user (for /api/auth/signin)
-const signin = async (req, res) => {
+// Verify email address with the token from the verification email
+const verifyEmail = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { token } = req.body;
 
-    // Find user and include password for comparison
-    const user = await User.findByEmail(email).select('+password');
+    const user = await User.findByEmailVerificationToken(token);
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password',
-      });
-    }
-
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
+      return res.status(400).json({
         success: false,
-        message: 'Invalid email or password',
+        message: 'Verification link is invalid or has expired',
+        code: 'INVALID_VERIFICATION_TOKEN',
       });
     }
 
-    // Generate token
-    const accessToken = generateToken(user._id);
-
-    // Update last login
-    user.lastLoginAt = new Date();
+    user.markEmailVerified();
     await user.save();
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.EMAIL_VERIFY,
+      actor: user._id,
+      target: user._id,
+    });
+
     res.json({
       success: true,
-      message: 'Login successful',
-      token: accessToken,
+      message: 'Email verified successfully',
       user: {
         id: user._id,
         email: user.email,
-        onboardingCompleted: user.onboardingCompleted,
-        onboardingStep: user.onboardingStep,
+        isEmailVerified: user.isEmailVerified,
+        emailVerifiedAt: user.emailVerifiedAt,
       },
     });
   } catch (error) {
-    console.error('Signin error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'An error occurred during login',
+    next(error);
+  }
+};
+
+// Complete an email change from the link sent to the new address
+const confirmEmailChange = async (req, res, next) => {
+  try {
+    const user = await accountService.confirmEmailChange(req.body.token);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.EMAIL_CHANGE,
+      actor: user._id,
+      target: user._id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Email address changed successfully. Please login again.',
+      user: authService.formatAuthUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Undo an email change from the link sent to the old address
+const revertEmailChange = async (req, res, next) => {
+  try {
+    const user = await accountService.revertEmailChange(req.body.token);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.EMAIL_CHANGE_REVERT,
+      actor: user._id,
+      target: user._id,
+    });
+
+    res.json({
+      success: true,
+      message:
+        'Your previous email address has been restored and all devices were signed out. If you did not make the change, reset your password now.',
+      user: authService.formatAuthUser(user),
     });
+  } catch (error) {
+    next(error);
   }
 };
 
-// Refresh access token
-const refreshToken = async (req, res) => {
+// Resend the verification email
+const resendVerification = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    const { email } = req.body;
 
-    if (!refreshToken) {
-      return res.status(400).json({
-        error: 'Refresh Token Required',
-        message: 'Please provide a refresh token',
-      });
+    const user = await User.findByEmail(email).select(
+      '+emailVerificationSentAt'
+    );
+
+    // Only send when the account exists, is unverified and not rate limited
+    if (user && !user.isEmailVerified && user.canResendVerificationEmail()) {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+      await authService.sendVerificationEmail(user, verificationToken);
     }
 
-    // Verify refresh token
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET, {
-      issuer: 'fitness-app',
-      audience: 'fitness-app-users',
+    // Same response in every case so account existence is not revealed
+    res.json({
+      success: true,
+      message:
+        'If an unverified account exists for this email, a verification email has been sent',
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({
-        error: 'Invalid Token Type',
-        message: 'Please provide a valid refresh token',
+// Request a password reset email
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findByEmail(email).select('+passwordResetExpires');
+
+    // A link sent moments ago is still valid; don't send another
+    if (user && !user.isPasswordResetCoolingDown()) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.PASSWORD_RESET_REQUEST,
+        actor: null,
+        target: user._id,
       });
+
+      try {
+        await sendMail(
+          buildPasswordResetEmail({
+            email: user.email,
+            token: resetToken,
+            expiresAt: user.passwordResetExpires,
+          })
+        );
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
     }
 
-    // Find user and check if refresh token exists
-    const user = await User.findById(decoded.userId);
+    // Same response in every case so account existence is not revealed
+    res.json({
+      success: true,
+      message:
+        'If an account exists for this email, a password reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reset password with the token from the reset email
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
     if (!user) {
-      return res.status(401).json({
-        error: 'Invalid Token',
-        message: 'User no longer exists',
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.PASSWORD_RESET,
+        outcome: 'failure',
+        code: 'INVALID_RESET_TOKEN',
+        actor: null,
       });
-    }
-
-    const tokenExists = user.refreshTokens.some(
-      (tokenObj) => tokenObj.token === refreshToken
-    );
-    if (!tokenExists) {
-      return res.status(401).json({
-        error: 'Invalid Refresh Token',
-        message: 'Refresh token is not valid or has been revoked',
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN',
       });
     }
 
-    // Generate new access token
-    const newAccessToken = generateToken(user._id);
+    await authService.assertPasswordAllowed(newPassword, { user });
+
+    // Consumes the token, logs out from all devices and removes passkeys
+    const passkeysRemoved = user.passkeys.length;
+    user.resetPassword(newPassword);
+    await user.save();
+    await RevokedToken.revokeAllForUser(user._id, 'password_reset');
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.PASSWORD_RESET,
+      actor: user._id,
+      target: user._id,
+      metadata: { passkeysRemoved },
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please login again.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Refresh access token (rotates the refresh token)
+const refreshToken = async (req, res, next) => {
+  try {
+    const { tokens } = await authService.refreshSession(
+      req.body.refreshToken,
+      getDeviceInfo(req)
+    );
 
     res.json({
+      success: true,
       message: 'Token refreshed successfully',
-      tokens: {
-        accessToken: newAccessToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-      },
+      tokens,
     });
   } catch (error) {
-    if (
-      error.name === 'JsonWebTokenError' ||
-      error.name === 'TokenExpiredError'
-    ) {
-      return res.status(401).json({
-        error: 'Invalid Refresh Token',
-        message: 'Please login again',
+    // A rotated refresh token was presented again: its family and the
+    // session's access tokens were revoked
+    if (error.code === 'REFRESH_TOKEN_REUSED') {
+      const { userId, family } = decodeToken(req.body.refreshToken).payload;
+      await recordAuditFailure(req, AUDIT_ACTIONS.TOKEN_REJECTED, error, {
+        actor: null,
+        target: userId,
+        metadata: { family },
       });
     }
-
-    console.error('Token refresh error:', error);
-    res.status(500).json({
-      error: 'Token Refresh Failed',
-      message: 'An error occurred while refreshing token',
-    });
+    next(error);
   }
 };
 
 // Logout user
-const logout = async (req, res) => {
+const logout = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
-    const userId = req.userId;
+    // Ends this device session, and the one the refresh token belongs to
+    // when the client sends it
+    await authService.endSession(req.userId, {
+      refreshToken: req.body.refreshToken,
+      sessionId: req.sessionId,
+    });
 
-    if (refreshToken) {
-      // Remove specific refresh token
-      await User.findByIdAndUpdate(userId, {
-        $pull: { refreshTokens: { token: refreshToken } },
+    // Every access token of the session stops working immediately. Tokens
+    // without one (e.g. impersonation) are revoked on their own.
+    if (req.sessionId) {
+      await RevokedToken.revokeSession(req.userId, req.sessionId, 'logout');
+    } else {
+      await RevokedToken.revokeToken({
+        jti: req.tokenId,
+        userId: req.userId,
+        expiresAt: req.tokenExpiresAt,
+        reason: 'logout',
       });
     }
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.LOGOUT,
+      target: req.user._id,
+    });
 
     res.json({
+      success: true,
       message: 'Logout successful',
     });
   } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({
-      error: 'Logout Failed',
-      message: 'An error occurred during logout',
-    });
+    next(error);
   }
 };
 
 // Logout from all devices
-const logoutAll = async (req, res) => {
+const logoutAll = async (req, res, next) => {
   try {
-    const userId = req.userId;
-
-    // Remove all refresh tokens
-    await User.findByIdAndUpdate(userId, {
-      $set: { refreshTokens: [] },
+    await authService.endAllSessions(req.userId);
+    await RevokedToken.revokeAllForUser(req.userId, 'logout_all');
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.LOGOUT_ALL,
+      target: req.user._id,
     });
 
     res.json({
+      success: true,
       message: 'Logged out from all devices successfully',
     });
   } catch (error) {
-    console.error('Logout all error:', error);
-    res.status(500).json({
-      error: 'Logout Failed',
-      message: 'An error occurred during logout',
-    });
+    next(error);
   }
 };
 
@@ -454,13 +789,15 @@ const updateProfile = async (req, res) => {
 };
 
 // Change password
-const changePassword = async (req, res) => {
+const changePassword = async (req, res, next) => {
   try {
     const { currentPassword, newPassword } = req.body;
     const userId = req.userId;
 
     // Get user with password
-    const user = await User.findById(userId).select('+password');
+    const user = await User.findById(userId).select(
+      '+password +passwordHistory'
+    );
     if (!user) {
       return res.status(404).json({
         error: 'User Not Found',
@@ -471,29 +808,39 @@ const changePassword = async (req, res) => {
     // Verify current password
     const isCurrentPasswordValid = await user.comparePassword(currentPassword);
     if (!isCurrentPasswordValid) {
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+        outcome: 'failure',
+        code: 'INVALID_CURRENT_PASSWORD',
+        target: user._id,
+      });
       return res.status(400).json({
         error: 'Invalid Current Password',
         message: 'The current password you entered is incorrect',
       });
     }
 
-    // Update password
-    user.password = newPassword;
-    await user.save();
+    await authService.assertPasswordAllowed(newPassword, { user });
 
-    // Logout from all devices for security
+    // Update password, logout from all devices and remove passkeys for
+    // security
+    const passkeysRemoved = user.passkeys.length;
+    user.setPassword(newPassword);
     user.refreshTokens = [];
+    user.passkeys = [];
     await user.save();
+    await RevokedToken.revokeAllForUser(user._id, 'password_change');
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+      target: user._id,
+      metadata: { passkeysRemoved },
+    });
 
     res.json({
       message: 'Password changed successfully. Please login again.',
     });
   } catch (error) {
-    console.error('Change password error:', error);
-    res.status(500).json({
-      error: 'Password Change Failed',
-      message: 'An error occurred while changing password',
-    });
+    next(error);
   }
 };
 
@@ -539,10 +886,26 @@ const updatePlanRequest = async (req, res) => {
 };
 
 module.exports = {
-  register,
-  login,
   signup,
   signin,
+  getProviderNonce,
+  signinWithProvider,
+  requestMagicLink,
+  verifyMagicLink,
+  getPasskeySigninOptions,
+  signinWithPasskey,
+  verifySigninMfa,
+  getReauthPasskeyOptions,
+  reauthenticate,
+  // Legacy /api/users aliases
+  register: signup,
+  login: signin,
+  verifyEmail,
+  confirmEmailChange,
+  revertEmailChange,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   refreshToken,
   logout,
   logoutAll,
@@ -0,0 +1,159 @@
+const ConsentDocument = require('../models/ConsentDocument');
+const consentService = require('../services/consentService');
+const { AUDIT_ACTIONS, recordAuditEvent } = require('../services/auditService');
+
+/**
+ * Get the current consent documents and the current user's decisions
+ * @route GET /api/users/me/consents
+ */
+const getMyConsents = async (req, res, next) => {
+  try {
+    const consents = await consentService.getConsentStatus(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Consents retrieved successfully',
+      data: {
+        consents,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept the current version of a consent document, or withdraw consent
+ * @route POST /api/users/me/consents
+ */
+const updateMyConsent = async (req, res, next) => {
+  try {
+    const { type, version, action } = req.body;
+    const user = req.user;
+    let message;
+    let erased = [];
+
+    if (action === 'accept') {
+      await consentService.acceptConsent(user, { type, version });
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.CONSENT_ACCEPT,
+        target: user._id,
+        metadata: { type, version },
+      });
+      message = 'Consent accepted successfully';
+    } else {
+      const result = await consentService.withdrawConsent(user, type);
+      erased = result.erased;
+      if (result.withdrawn || erased.length) {
+        await recordAuditEvent(req, {
+          action: AUDIT_ACTIONS.CONSENT_WITHDRAW,
+          target: user._id,
+          metadata: { type, erased },
+        });
+      }
+      message = erased.length
+        ? 'Consent withdrawn. Your medical history and lab results have been deleted'
+        : 'Consent withdrawn successfully';
+    }
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: {
+        type,
+        consent: user.getConsent(type) || null,
+        ...(action === 'withdraw' && { erased }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List every published consent document version, newest first
+ * @route GET /api/admin/consent-documents
+ */
+const getConsentDocuments = async (req, res, next) => {
+  try {
+    const query = req.query.type ? { type: req.query.type } : {};
+    const documents = await ConsentDocument.find(query).sort({
+      type: 1,
+      version: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Consent documents retrieved successfully',
+      data: {
+        documents,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Publish a new version of a consent document. Users are asked to accept it
+ * again, and health data routes stay blocked until they do.
+ * @route POST /api/admin/consent-documents
+ */
+const publishConsentDocument = async (req, res, next) => {
+  try {
+    const { type, title, url, summary } = req.body;
+
+    const document = await ConsentDocument.publish({
+      type,
+      title,
+      url,
+      summary,
+      publishedBy: req.user._id,
+    });
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.CONSENT_PUBLISH,
+      metadata: {
+        documentId: document._id,
+        type,
+        version: document.version,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${document.version} of the ${type} document published`,
+      data: {
+        document,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report how many users accepted, withdrew or have yet to accept the current
+ * version of each consent document
+ * @route GET /api/admin/consents/report
+ */
+const getConsentReport = async (req, res, next) => {
+  try {
+    const report = await consentService.buildConsentReport();
+
+    res.status(200).json({
+      success: true,
+      message: 'Consent report generated successfully',
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyConsents,
+  updateMyConsent,
+  getConsentDocuments,
+  publishConsentDocument,
+  getConsentReport,
+};
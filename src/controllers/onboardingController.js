@@ -1,5 +1,18 @@
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const { canReadMedicalData } = require('../middleware/auth');
+const { canProcessHealthData } = require('../services/consentService');
+
+// Full profile for the response, without medical sections when the caller
+// may not see them or the user has not accepted the current health data
+// consent
+const formatProfile = async (req, user) => {
+  const { medicalHistory, labResults, ...profile } = user.getFullProfile();
+
+  return canReadMedicalData(req) && (await canProcessHealthData(user))
+    ? { ...profile, medicalHistory, labResults }
+    : profile;
+};
 
 /**
  * Get current onboarding status and progress
@@ -319,7 +332,7 @@ const getProfile = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'Profile retrieved successfully',
-      data: user.getFullProfile(),
+      data: await formatProfile(req, user),
     });
   } catch (error) {
     next(error);
@@ -371,7 +384,6 @@ const updateLabResults = async (req, res, next) => {
     // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      console.log('Validation errors:', errors.array());
       return res.status(400).json({
         success: false,
         message: 'Validation failed',
@@ -393,7 +405,6 @@ const updateLabResults = async (req, res, next) => {
     } = req.body;
 
     console.log('Updating lab results for user:', userId);
-    console.log('Lab results data:', req.body);
 
     const user = await User.findById(userId);
     if (!user) {
@@ -421,8 +432,6 @@ const updateLabResults = async (req, res, next) => {
       labData.prolactin = prolactin;
     }
 
-    console.log('Prepared lab data:', labData);
-
     // Update the user's lab results using the updateOnboardingSection method
     user.updateOnboardingSection('labResults', labData);
 
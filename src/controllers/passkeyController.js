@@ -0,0 +1,187 @@
+const User = require('../models/User');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const { AppError } = require('../middleware/errorHandler');
+const { WEBAUTHN_CONFIG } = require('../config/security');
+const webauthn = require('../utils/webauthn');
+const { AUDIT_ACTIONS, recordAuditEvent } = require('../services/auditService');
+
+/**
+ * Format a stored passkey for the passkey list
+ */
+const formatPasskey = (passkey) => ({
+  id: passkey._id,
+  name: passkey.name,
+  transports: passkey.transports,
+  backedUp: passkey.backedUp,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt || null,
+});
+
+// Authenticator responses that fail verification are client errors
+const invalidResponseError = (error) =>
+  new AppError(error.message, 400, 'INVALID_PASSKEY_RESPONSE');
+
+/**
+ * Start passkey registration with options for navigator.credentials.create()
+ * @route POST /api/users/passkeys/register/options
+ */
+const getRegistrationOptions = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.passkeys.length >= WEBAUTHN_CONFIG.maxPasskeys) {
+      throw new AppError(
+        `You can register at most ${WEBAUTHN_CONFIG.maxPasskeys} passkeys`,
+        400,
+        'PASSKEY_LIMIT_REACHED'
+      );
+    }
+
+    const challenge = await WebAuthnChallenge.issue({
+      type: 'registration',
+      userId: user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Passkey registration options created',
+      data: {
+        options: webauthn.buildRegistrationOptions({
+          user,
+          challenge,
+          // Stops the same authenticator being registered twice
+          excludeCredentials: user.passkeys,
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify the authenticator's response and store the new passkey
+ * @route POST /api/users/passkeys/register
+ */
+const registerPasskey = async (req, res, next) => {
+  try {
+    const { credential, name } = req.body;
+
+    let challenge;
+    try {
+      challenge = webauthn.getResponseChallenge(credential, 'webauthn.create');
+    } catch (error) {
+      throw invalidResponseError(error);
+    }
+
+    const isChallengeValid = await WebAuthnChallenge.consume({
+      challenge,
+      type: 'registration',
+      userId: req.userId,
+    });
+    if (!isChallengeValid) {
+      throw new AppError(
+        'Passkey challenge is invalid or has expired. Please try again',
+        400,
+        'INVALID_PASSKEY_CHALLENGE'
+      );
+    }
+
+    let credentialData;
+    try {
+      credentialData = webauthn.verifyRegistrationResponse({
+        credential,
+        expectedChallenge: challenge,
+      });
+    } catch (error) {
+      throw invalidResponseError(error);
+    }
+
+    if (await User.findByPasskey(credentialData.credentialId)) {
+      throw new AppError(
+        'This passkey is already registered',
+        409,
+        'PASSKEY_ALREADY_REGISTERED'
+      );
+    }
+
+    const user = await User.findById(req.userId);
+    const passkey = user.addPasskey(credentialData, name);
+    await user.save();
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.PASSKEY_ADD,
+      target: user._id,
+      metadata: { passkeyId: passkey._id, name: passkey.name },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered successfully',
+      data: {
+        passkey: formatPasskey(passkey),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the passkeys of the current user
+ * @route GET /api/users/passkeys
+ */
+const getPasskeys = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: 'Passkeys retrieved successfully',
+      data: {
+        passkeys: req.user.passkeys.map(formatPasskey),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a passkey from the current user
+ * @route DELETE /api/users/passkeys/:id
+ */
+const deletePasskey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    if (!user.removePasskey(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found',
+      });
+    }
+
+    await user.save();
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.PASSKEY_REMOVE,
+      target: user._id,
+      metadata: { passkeyId: id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Passkey removed successfully',
+      data: {
+        removedPasskeyId: id,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRegistrationOptions,
+  registerPasskey,
+  getPasskeys,
+  deletePasskey,
+};
@@ -0,0 +1,194 @@
+const User = require('../models/User');
+const { SCOPES } = require('../config/roles');
+const { hasScope } = require('../middleware/auth');
+const {
+  CONSENT_TYPES,
+  getCurrentDocument,
+  hasCurrentConsent,
+} = require('../services/consentService');
+
+// Users visible to services: finished onboarding, not scheduled for deletion
+const ACTIVE_PROFILE_QUERY = {
+  onboardingCompleted: true,
+  deletionScheduledFor: null,
+};
+
+const getPagination = (query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 20;
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const buildPagination = ({ page, limit }, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  hasNextPage: page * limit < total,
+  limit,
+});
+
+// Current health data consent document when the key may read medical data,
+// otherwise null
+const getMedicalConsentDocument = (req) =>
+  hasScope(req, SCOPES.PROFILES_READ_MEDICAL)
+    ? getCurrentDocument(CONSENT_TYPES.HEALTH_DATA)
+    : null;
+
+// Profile data for services; medical history and lab results need the
+// profiles:read:medical scope (`healthDocument` is set) and the user's
+// consent to the current health data document
+const formatServiceProfile = (user, healthDocument) => {
+  const { medicalHistory, labResults, ...profile } = user.getFullProfile();
+
+  return {
+    ...profile,
+    planRequest: user.planRequest,
+    ...(hasCurrentConsent(user, healthDocument) && {
+      medicalHistory,
+      labResults,
+    }),
+  };
+};
+
+/**
+ * List completed profiles, most recently updated first
+ * @route GET /api/service/profiles
+ */
+const getProfiles = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    const query = { ...ACTIVE_PROFILE_QUERY };
+    if (req.query.updatedSince) {
+      query.updatedAt = { $gte: new Date(req.query.updatedSince) };
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      User.countDocuments(query),
+    ]);
+
+    const healthDocument = await getMedicalConsentDocument(req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profiles retrieved successfully',
+      data: {
+        profiles: users.map((user) =>
+          formatServiceProfile(user, healthDocument)
+        ),
+        pagination: buildPagination(pagination, total),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one completed profile
+ * @route GET /api/service/profiles/:id
+ */
+const getProfile = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.id,
+      ...ACTIVE_PROFILE_QUERY,
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile retrieved successfully',
+      data: formatServiceProfile(user, await getMedicalConsentDocument(req)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List users waiting for a plan, oldest request first
+ * @route GET /api/service/plan-requests
+ */
+const getPlanRequests = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    const query = { ...ACTIVE_PROFILE_QUERY, planRequest: true };
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('email basicInfo.name goals profileCompleteness updatedAt')
+        .sort({ updatedAt: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .lean(),
+      User.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Plan requests retrieved successfully',
+      data: {
+        planRequests: users.map((user) => ({
+          userId: user._id,
+          email: user.email,
+          name: user.basicInfo?.name || null,
+          goals: user.goals,
+          profileCompleteness: user.profileCompleteness,
+          updatedAt: user.updatedAt,
+        })),
+        pagination: buildPagination(pagination, total),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a user's plan request status, e.g. clear it once a plan is ready
+ * @route PATCH /api/service/plan-requests/:id
+ */
+const updatePlanRequest = async (req, res, next) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, ...ACTIVE_PROFILE_QUERY },
+      { planRequest: req.body.planRequest },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Plan request status updated successfully',
+      data: {
+        userId: user._id,
+        planRequest: user.planRequest,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProfiles,
+  getProfile,
+  getPlanRequests,
+  updatePlanRequest,
+};
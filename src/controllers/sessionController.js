@@ -0,0 +1,88 @@
+const RevokedToken = require('../models/RevokedToken');
+const { SESSION_CONFIG } = require('../config/security');
+const { AUDIT_ACTIONS, recordAuditEvent } = require('../services/auditService');
+
+/**
+ * Format a refresh token family as a device session
+ */
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceName: session.deviceName || null,
+  platform: session.platform || null,
+  ipAddress: session.ipAddress || null,
+  userAgent: session.userAgent || null,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt || session.createdAt,
+  expiresAt: session.expiresAt || null,
+  current: !!currentSessionId && session._id.toString() === currentSessionId,
+});
+
+/**
+ * List the active device sessions of the current user
+ * @route GET /api/users/sessions
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    user.cleanExpiredTokens();
+
+    const sessions = [...user.refreshTokens]
+      .sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0))
+      .map((session) => formatSession(session, req.sessionId));
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: {
+        sessions,
+        maxConcurrentSessions: SESSION_CONFIG.maxConcurrentSessions,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a single device session of the current user
+ * @route DELETE /api/users/sessions/:id
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    if (!user.revokeSession(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await user.save();
+    // Access tokens of the session stop working now, not when they expire
+    await RevokedToken.revokeSession(user._id, id);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.SESSION_REVOKE,
+      target: user._id,
+      metadata: { sessionId: id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        revokedSessionId: id,
+        current: id === req.sessionId,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession,
+};
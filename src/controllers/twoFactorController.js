@@ -0,0 +1,166 @@
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { MFA_CONFIG } = require('../config/security');
+const { buildOtpAuthUrl } = require('../utils/totp');
+const authService = require('../services/authService');
+const {
+  AUDIT_ACTIONS,
+  recordAuditEvent,
+  recordAuditFailure,
+} = require('../services/auditService');
+
+/**
+ * Start two-factor enrollment by generating a TOTP secret
+ * @route POST /api/users/2fa/setup
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select(User.TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      throw new AppError(
+        'Two-factor authentication is already enabled',
+        400,
+        'TWO_FACTOR_ALREADY_ENABLED'
+      );
+    }
+
+    const secret = user.beginTwoFactorSetup();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message:
+        'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpAuthUrl({
+          secret,
+          accountName: user.email,
+          issuer: MFA_CONFIG.issuer,
+          digits: MFA_CONFIG.digits,
+          period: MFA_CONFIG.period,
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm enrollment with a code and enable two-factor authentication
+ * @route POST /api/users/2fa/verify
+ */
+const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId).select(User.TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      throw new AppError(
+        'Two-factor authentication is already enabled',
+        400,
+        'TWO_FACTOR_ALREADY_ENABLED'
+      );
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      throw new AppError(
+        'Start two-factor setup before verifying a code',
+        400,
+        'TWO_FACTOR_SETUP_REQUIRED'
+      );
+    }
+
+    if (!user.confirmTwoFactorSetup(code)) {
+      throw new AppError(
+        'Invalid authentication code',
+        400,
+        'INVALID_MFA_CODE'
+      );
+    }
+
+    // Shown once; only hashes are stored
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.TWO_FACTOR_ENABLE,
+      target: user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled successfully',
+      data: {
+        enabled: true,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication. The user confirms their identity as for
+ * re-authentication: password (if set) and a code, or a passkey.
+ * @route POST /api/users/2fa/disable
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode, credential } = req.body;
+
+    const user = await User.findById(req.userId).select(
+      `+password ${User.TWO_FACTOR_FIELDS}`
+    );
+
+    if (!user.twoFactor.enabled) {
+      throw new AppError(
+        'Two-factor authentication is not enabled',
+        400,
+        'TWO_FACTOR_NOT_ENABLED'
+      );
+    }
+
+    // Wrong passwords and codes count towards the account lockout
+    try {
+      await authService.confirmIdentity(user, {
+        password,
+        code,
+        recoveryCode,
+        credential,
+      });
+    } catch (error) {
+      await recordAuditFailure(req, AUDIT_ACTIONS.TWO_FACTOR_DISABLE, error, {
+        target: user._id,
+      });
+      throw error;
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.TWO_FACTOR_DISABLE,
+      target: user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled successfully',
+      data: {
+        enabled: false,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+};
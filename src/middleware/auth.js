@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const ApiKey = require('../models/ApiKey');
+const ImpersonationLog = require('../models/ImpersonationLog');
 const {
   generateAccessToken,
   generateRefreshToken: generateRefreshTokenUtil,
@@ -8,15 +11,89 @@ const {
   isValidTokenFormat,
 } = require('../utils/jwt');
 const { AppError } = require('./errorHandler');
+const { MFA_CONFIG, REAUTH_CONFIG } = require('../config/security');
+const { parseDuration } = require('../utils/duration');
+const { getDeviceInfo } = require('../utils/device');
+const { AUDIT_ACTIONS, recordAuditEvent } = require('../services/auditService');
+const {
+  ROLES,
+  PERMISSIONS,
+  SCOPE_PERMISSIONS,
+  isStaffRole,
+} = require('../config/roles');
 
 // Generate JWT token (backward compatibility)
-const generateToken = (userId) => {
-  return generateAccessToken(userId);
+const generateToken = (userId, options = {}) => {
+  return generateAccessToken(userId, options);
 };
 
 // Generate refresh token (updated)
-const generateRefreshToken = (userId) => {
-  return generateRefreshTokenUtil(userId);
+const generateRefreshToken = (userId, options = {}) => {
+  return generateRefreshTokenUtil(userId, options);
+};
+
+// Audit a request turned away for missing permissions. Not awaited: the
+// request fails either way and recording never throws.
+const auditAccessDenied = (req, code, required) => {
+  recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.ACCESS_DENIED,
+    outcome: 'failure',
+    code,
+    metadata: { method: req.method, path: req.originalUrl, required },
+  });
+};
+
+// Audit a verified access token that was refused, e.g. after logout
+const auditTokenRejected = (req, code, decoded) =>
+  recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.TOKEN_REJECTED,
+    outcome: 'failure',
+    code,
+    actor: null,
+    target: decoded.userId,
+    metadata: { method: req.method, path: req.originalUrl },
+  });
+
+// Staff member behind an impersonation token (`act` claim). They must still
+// exist, hold users:impersonate and not have had their own tokens revoked
+// (e.g. logout from all devices), otherwise the token stops working.
+const resolveImpersonator = async (req, decoded) => {
+  const actorId = decoded.act.sub;
+  const actor = await User.findById(actorId);
+
+  if (
+    !actor ||
+    !actor.hasPermission(PERMISSIONS.USERS_IMPERSONATE) ||
+    (await RevokedToken.isRevoked({ ...decoded, userId: actorId }))
+  ) {
+    await auditTokenRejected(req, 'IMPERSONATION_REVOKED', decoded);
+    throw new AppError(
+      'Impersonation is no longer allowed',
+      401,
+      'IMPERSONATION_REVOKED'
+    );
+  }
+
+  return actor;
+};
+
+// Log a request made with an impersonation token once its response is sent
+const recordImpersonatedRequest = (req, res) => {
+  const { ipAddress, userAgent } = getDeviceInfo(req);
+
+  res.on('finish', () => {
+    ImpersonationLog.create({
+      actor: req.impersonator._id,
+      subject: req.user._id,
+      tokenId: req.tokenId,
+      event: 'request',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ipAddress,
+      userAgent,
+    }).catch((error) => console.error('Impersonation log error:', error));
+  });
 };
 
 // Verify JWT token middleware
@@ -37,6 +114,16 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = verifyToken(token, 'access');
 
+    // Check the token was not revoked before expiry
+    if (await RevokedToken.isRevoked(decoded)) {
+      await auditTokenRejected(req, 'TOKEN_REVOKED', decoded);
+      throw new AppError(
+        'Authentication token has been revoked',
+        401,
+        'TOKEN_REVOKED'
+      );
+    }
+
     // Check if user still exists
     const user = await User.findById(decoded.userId);
     if (!user) {
@@ -47,6 +134,17 @@ const authenticateToken = async (req, res, next) => {
     req.user = user;
     req.userId = decoded.userId;
     req.tokenId = decoded.jti;
+    req.tokenExpiresAt = new Date(decoded.exp * 1000);
+    req.sessionId = decoded.sid;
+    req.authTime = decoded.auth_time
+      ? new Date(decoded.auth_time * 1000)
+      : null;
+    req.authMethods = decoded.amr || [];
+
+    if (decoded.act) {
+      req.impersonator = await resolveImpersonator(req, decoded);
+      recordImpersonatedRequest(req, res);
+    }
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -73,12 +171,28 @@ const optionalAuth = async (req, res, next) => {
 
     if (token && isValidTokenFormat(token)) {
       const decoded = verifyToken(token, 'access');
-      const user = await User.findById(decoded.userId);
+      const impersonator = decoded.act
+        ? await resolveImpersonator(req, decoded)
+        : null;
+      const user = (await RevokedToken.isRevoked(decoded))
+        ? null
+        : await User.findById(decoded.userId);
 
       if (user) {
         req.user = user;
         req.userId = decoded.userId;
         req.tokenId = decoded.jti;
+        req.tokenExpiresAt = new Date(decoded.exp * 1000);
+        req.sessionId = decoded.sid;
+        req.authTime = decoded.auth_time
+          ? new Date(decoded.auth_time * 1000)
+          : null;
+        req.authMethods = decoded.amr || [];
+
+        if (impersonator) {
+          req.impersonator = impersonator;
+          recordImpersonatedRequest(req, res);
+        }
       }
     }
 
@@ -101,6 +215,56 @@ const requireVerifiedUser = (req, res, next) => {
   next();
 };
 
+// Middleware factory for sensitive operations: the access token must come
+// from a signin or POST /api/auth/reauthenticate within maxAge (ms or a
+// duration string such as '5m'). Refreshed tokens carry no auth_time.
+const requireRecentAuth = (maxAge = REAUTH_CONFIG.maxAge) => {
+  const maxAgeMs = typeof maxAge === 'number' ? maxAge : parseDuration(maxAge);
+
+  return (req, res, next) => {
+    if (!req.authTime || Date.now() - req.authTime.getTime() > maxAgeMs) {
+      throw new AppError(
+        'Please confirm your identity to continue',
+        403,
+        'REAUTHENTICATION_REQUIRED',
+        { maxAge: Math.floor(maxAgeMs / 1000) }
+      );
+    }
+    next();
+  };
+};
+
+// Reject actions a staff member may not take while impersonating a user,
+// such as changing credentials or deleting the account
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    throw new AppError(
+      'This action is not available while impersonating a user',
+      403,
+      'IMPERSONATION_FORBIDDEN'
+    );
+  }
+  next();
+};
+
+// Whether the request may see the user's medical history and lab results.
+// Staff impersonating the user need users:read:medical, as in the admin API.
+const canReadMedicalData = (req) =>
+  !req.impersonator ||
+  req.impersonator.hasPermission(PERMISSIONS.USERS_READ_MEDICAL);
+
+// Staff must enroll in two-factor authentication or register a passkey when
+// MFA_REQUIRED_FOR_ADMINS is set
+const assertStaffTwoFactor = (user) => {
+  if (MFA_CONFIG.requireForAdmins && !user.hasStrongAuthenticator()) {
+    throw new AppError(
+      'Two-factor authentication or a passkey is required to access admin resources',
+      403,
+      'MFA_ENROLLMENT_REQUIRED'
+    );
+  }
+};
+
 // Middleware to check if user is admin
 const requireAdminUser = (req, res, next) => {
   if (!req.user) {
@@ -111,25 +275,164 @@ const requireAdminUser = (req, res, next) => {
     );
   }
 
-  if (!req.user.isAdmin) {
+  if (req.user.role !== ROLES.ADMIN) {
+    auditAccessDenied(req, 'ADMIN_ACCESS_REQUIRED', [ROLES.ADMIN]);
     throw new AppError(
       'Admin privileges required to access this resource',
       403,
       'ADMIN_ACCESS_REQUIRED'
     );
   }
+
+  assertStaffTwoFactor(req.user);
+  next();
+};
+
+// Middleware factory requiring every listed permission, e.g.
+// requirePermission('users:delete')
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!req.user) {
+      throw new AppError(
+        'Authentication required to access this resource',
+        401,
+        'AUTHENTICATION_REQUIRED'
+      );
+    }
+
+    const missing = permissions.filter(
+      (permission) => !req.user.hasPermission(permission)
+    );
+    if (missing.length > 0) {
+      auditAccessDenied(req, 'PERMISSION_DENIED', missing);
+      throw new AppError(
+        'You do not have permission to access this resource',
+        403,
+        'PERMISSION_DENIED',
+        { required: missing }
+      );
+    }
+
+    assertStaffTwoFactor(req.user);
+    next();
+  };
+
+// Middleware allowing any role with admin API permissions
+const requireStaffUser = (req, res, next) => {
+  if (!req.user) {
+    throw new AppError(
+      'Authentication required to access this resource',
+      401,
+      'AUTHENTICATION_REQUIRED'
+    );
+  }
+
+  if (!isStaffRole(req.user.role)) {
+    auditAccessDenied(req, 'STAFF_ACCESS_REQUIRED');
+    throw new AppError(
+      'Staff privileges required to access this resource',
+      403,
+      'STAFF_ACCESS_REQUIRED'
+    );
+  }
+
+  assertStaffTwoFactor(req.user);
   next();
 };
 
+// Authenticate a service by the key in the X-API-Key header, or fall back to
+// a user access token when the header is absent. API key requests have
+// req.apiKey and no req.user.
+const authenticateApiKeyOrToken = async (req, res, next) => {
+  const key = req.get('X-API-Key');
+  if (!key) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const apiKey = await ApiKey.findActiveByKey(key);
+    if (!apiKey) {
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.TOKEN_REJECTED,
+        outcome: 'failure',
+        code: 'INVALID_API_KEY',
+        actor: null,
+        metadata: { method: req.method, path: req.originalUrl },
+      });
+      throw new AppError(
+        'API key is invalid, expired or revoked',
+        401,
+        'INVALID_API_KEY'
+      );
+    }
+
+    await apiKey.recordUse(req.ip);
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Whether the request's API key holds a scope, or its user has the
+// permission matching it (SCOPE_PERMISSIONS)
+const hasScope = (req, scope) =>
+  req.apiKey
+    ? req.apiKey.hasScope(scope)
+    : !!req.user?.hasPermission(SCOPE_PERMISSIONS[scope]);
+
+// Middleware factory requiring every listed scope, e.g.
+// requireScope('profiles:read')
+const requireScope =
+  (...scopes) =>
+  (req, res, next) => {
+    if (!req.apiKey && !req.user) {
+      throw new AppError(
+        'Authentication required to access this resource',
+        401,
+        'AUTHENTICATION_REQUIRED'
+      );
+    }
+
+    const missing = scopes.filter((scope) => !hasScope(req, scope));
+    if (missing.length > 0) {
+      auditAccessDenied(req, 'INSUFFICIENT_SCOPE', missing);
+      throw new AppError(
+        'Your credentials do not grant access to this resource',
+        403,
+        'INSUFFICIENT_SCOPE',
+        { required: missing }
+      );
+    }
+
+    if (req.user) {
+      assertStaffTwoFactor(req.user);
+    }
+    next();
+  };
+
 // Combined middleware for admin routes (auth + admin check)
 const requireAdmin = [authenticateToken, requireAdminUser];
 
+// Combined middleware for staff routes (auth + staff check)
+const requireStaff = [authenticateToken, requireStaffUser];
+
 module.exports = {
   generateToken,
   generateRefreshToken,
   authenticateToken,
   optionalAuth,
   requireVerifiedUser,
+  requireRecentAuth,
+  blockImpersonation,
+  canReadMedicalData,
   requireAdminUser,
   requireAdmin,
+  requireStaffUser,
+  requireStaff,
+  requirePermission,
+  authenticateApiKeyOrToken,
+  hasScope,
+  requireScope,
 };
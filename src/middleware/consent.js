@@ -0,0 +1,47 @@
+const { AppError } = require('./errorHandler');
+const {
+  getCurrentDocument,
+  hasCurrentConsent,
+} = require('../services/consentService');
+
+/**
+ * Consent Middleware
+ * Gates routes on the user's consent to a document type
+ */
+
+// Block a route until the user has accepted the current version of a consent
+// document. Routes stay closed while no version has been published, since
+// there is nothing the user could have agreed to.
+const requireConsent = (type) => async (req, res, next) => {
+  try {
+    const document = await getCurrentDocument(type);
+
+    if (!document) {
+      throw new AppError(
+        'This feature is not available until its consent document is published',
+        503,
+        'CONSENT_UNAVAILABLE',
+        { type }
+      );
+    }
+
+    if (!hasCurrentConsent(req.user, document)) {
+      const consent = req.user.getConsent(type);
+      throw new AppError(
+        consent && !consent.withdrawnAt
+          ? 'Please review and accept the updated consent to continue'
+          : 'Please accept the consent for this data to continue',
+        403,
+        'CONSENT_REQUIRED',
+        { type, version: document.version, url: document.url }
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireConsent,
+};
@@ -0,0 +1,28 @@
+const { AUTH_RESPONSE } = require('../config/security');
+
+/**
+ * Deprecation Middleware
+ * Marks legacy endpoints with Deprecation, Link and Sunset headers
+ */
+
+// Flag a route as deprecated in favour of its successor path, given as a
+// string or built from the request
+const deprecatedRoute = (successorPath) => (req, res, next) => {
+  res.set('Deprecation', 'true');
+
+  const successor =
+    typeof successorPath === 'function' ? successorPath(req) : successorPath;
+  if (successor) {
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+  }
+
+  if (AUTH_RESPONSE.legacySunset) {
+    res.set('Sunset', new Date(AUTH_RESPONSE.legacySunset).toUTCString());
+  }
+
+  next();
+};
+
+module.exports = {
+  deprecatedRoute,
+};
@@ -0,0 +1,95 @@
+const rateLimit = require('express-rate-limit');
+const { RATE_LIMITS } = require('../config/security');
+const MongoRateLimitStore = require('../utils/mongoRateLimitStore');
+
+/**
+ * Rate Limiting Middleware
+ * Builds limiters from the RATE_LIMITS profiles in src/config/security.js
+ */
+
+// Authenticated requests are limited per user or API key, anonymous ones
+// per IP
+const rateLimitKey = (req) => {
+  if (req.apiKey) return `apikey:${req.apiKey._id}`;
+  return req.userId ? `user:${req.userId}` : `ip:${req.ip}`;
+};
+
+// Address an email-sending request targets (`email`, or `newEmail` for an
+// email change), lower-cased; null when missing or not a string
+const getEmailTarget = (req) => {
+  const email = req.body?.email || req.body?.newEmail;
+  return typeof email === 'string' ? email.trim().toLowerCase() : null;
+};
+
+// Email-sending routes have a second counter per target address, shared by
+// every caller, so many IPs cannot flood one address. The per-caller counter
+// (emailLimiter) stops one IP cycling through addresses.
+const emailTargetKey = (req) => `email:${getEmailTarget(req)}`;
+
+// Limit writes only (e.g. onboarding updates)
+const isReadRequest = (req) => ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+
+// Counters live in MongoDB unless RATE_LIMIT_STORE=memory (single instance)
+const createStore = (profileName) =>
+  process.env.RATE_LIMIT_STORE === 'memory'
+    ? undefined
+    : new MongoRateLimitStore({ prefix: `${profileName}:` });
+
+// Create a limiter for a named profile; options override the profile
+const createRateLimiter = (profileName, options = {}) => {
+  const profile = RATE_LIMITS[profileName];
+  if (!profile) {
+    throw new Error(`Unknown rate limit profile "${profileName}"`);
+  }
+
+  return rateLimit({
+    windowMs: profile.windowMs,
+    limit: profile.maxRequests,
+    skipSuccessfulRequests: !!profile.skipSuccessfulRequests,
+    keyGenerator: rateLimitKey,
+    store: createStore(profileName),
+    passOnStoreError: true, // Fail open if the store is unavailable
+    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+    legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+    message: {
+      success: false,
+      message: profile.message,
+      code: 'RATE_LIMIT_EXCEEDED',
+    },
+    ...options,
+  });
+};
+
+// Shared limiter instances, one per profile
+const authLimiter = createRateLimiter('auth');
+const signupLimiter = createRateLimiter('signup');
+const emailLimiter = createRateLimiter('email');
+// Runs after validation, so the address has been normalized and requests
+// without one were already rejected
+const emailTargetLimiter = createRateLimiter('emailTarget', {
+  keyGenerator: emailTargetKey,
+  skip: (req) => !getEmailTarget(req),
+});
+const generalLimiter = createRateLimiter('general');
+const onboardingLimiter = createRateLimiter('onboarding', {
+  skip: isReadRequest,
+});
+const adminLimiter = createRateLimiter('admin');
+const exportLimiter = createRateLimiter('export');
+const serviceLimiter = createRateLimiter('service');
+
+module.exports = {
+  createRateLimiter,
+  rateLimitKey,
+  emailTargetKey,
+  isReadRequest,
+  authLimiter,
+  signupLimiter,
+  emailLimiter,
+  emailTargetLimiter,
+  generalLimiter,
+  onboardingLimiter,
+  adminLimiter,
+  exportLimiter,
+  serviceLimiter,
+};
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * Request ID Middleware
+ * Tags every request with an ID for correlating logs and audit events
+ */
+
+// IDs a client or proxy may supply in X-Request-Id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Use the caller's X-Request-Id when well-formed, otherwise generate one;
+// either way it is echoed in the response
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = REQUEST_ID_PATTERN.test(incoming || '')
+    ? incoming
+    : crypto.randomUUID();
+
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = {
+  requestId,
+};
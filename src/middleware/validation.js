@@ -1,4 +1,5 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { CONSENT_TYPES } = require('../models/ConsentDocument');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -17,6 +18,17 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// New password fields. Strength, breach and reuse rules are applied by the
+// password policy (see assertPasswordAllowed in authService), which reports
+// each violation with its own code.
+const passwordField = (field, label = 'Password') =>
+  body(field)
+    .notEmpty()
+    .withMessage(`${label} is required`)
+    .bail()
+    .isString()
+    .withMessage(`${label} must be a string`);
+
 // User registration validation
 const validateRegistration = [
   body('name')
@@ -32,13 +44,7 @@ const validateRegistration = [
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
 
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage(
-      'Password must contain at least one uppercase letter, one lowercase letter, and one number'
-    ),
+  passwordField('password'),
 
   body('confirmPassword').custom((value, { req }) => {
     if (value !== req.body.password) {
@@ -73,13 +79,7 @@ const validateSignup = [
     .isLength({ max: 254 })
     .withMessage('Email address is too long'),
 
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage(
-      'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character (@$!%*?&)'
-    ),
+  passwordField('password'),
 
   body('confirmPassword').custom((value, { req }) => {
     if (value !== req.body.password) {
@@ -193,13 +193,7 @@ const validatePasswordChange = [
     .notEmpty()
     .withMessage('Current password is required'),
 
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage(
-      'New password must contain at least one uppercase letter, one lowercase letter, and one number'
-    ),
+  passwordField('newPassword', 'New password'),
 
   body('confirmNewPassword').custom((value, { req }) => {
     if (value !== req.body.newPassword) {
@@ -222,17 +216,48 @@ const validateEmail = [
   handleValidationErrors,
 ];
 
+// Email verification token validation
+const validateEmailVerification = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification token is required')
+    .isHexadecimal()
+    .withMessage('Verification token is malformed'),
+
+  handleValidationErrors,
+];
+
+// Email change request validation
+const validateEmailChange = [
+  body('newEmail')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+    .isLength({ max: 254 })
+    .withMessage('Email address is too long'),
+
+  body('password').notEmpty().withMessage('Password is required'),
+
+  handleValidationErrors,
+];
+
+// Email change confirm/revert token validation
+const validateEmailChangeToken = [
+  body('token')
+    .trim()
+    .matches(/^[a-f0-9]{64}$/i)
+    .withMessage('A valid token is required'),
+
+  handleValidationErrors,
+];
+
 // Password reset validation
 const validatePasswordReset = [
   body('token').notEmpty().withMessage('Reset token is required'),
 
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage(
-      'New password must contain at least one uppercase letter, one lowercase letter, and one number'
-    ),
+  passwordField('newPassword', 'New password'),
 
   body('confirmNewPassword').custom((value, { req }) => {
     if (value !== req.body.newPassword) {
@@ -700,6 +725,277 @@ const validateLabResults = [
   handleValidationErrors,
 ];
 
+// Exactly one second factor: a TOTP code or a recovery code
+const requireSecondFactor = body('code').custom((value, { req }) => {
+  if (!value && !req.body.recoveryCode) {
+    throw new Error('An authentication code or recovery code is required');
+  }
+  if (value && !/^\d{6}$/.test(String(value))) {
+    throw new Error('Authentication code must be 6 digits');
+  }
+  return true;
+});
+
+// Passwordless login verification: the device's challenge token plus
+// exactly one of the emailed link token or code
+const validateMagicLinkVerify = [
+  body('challengeToken')
+    .matches(/^[a-f0-9]{64}$/i)
+    .withMessage('A valid challenge token is required'),
+
+  body('token').custom((value, { req }) => {
+    const { code } = req.body;
+    if (!value === !code) {
+      throw new Error('Provide either the link token or the code');
+    }
+    // Strings only: a JSON number would drop leading zeros of the code
+    if (
+      value &&
+      !(typeof value === 'string' && /^[a-f0-9]{64}$/i.test(value))
+    ) {
+      throw new Error('Invalid sign-in link token');
+    }
+    if (code && !(typeof code === 'string' && /^\d{6}$/.test(code))) {
+      throw new Error('Code must be a string of 6 digits');
+    }
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+// Supported identity providers in the route
+const oidcProvider = param('provider')
+  .isIn(['google', 'apple'])
+  .withMessage('Provider must be google or apple');
+
+// Identity provider nonce request validation
+const validateOidcNonce = [oidcProvider, handleValidationErrors];
+
+// Identity provider sign-in validation
+const validateOidcSignin = [
+  oidcProvider,
+
+  body('idToken').isJWT().withMessage('A valid ID token is required'),
+
+  body('nonce')
+    .isString()
+    .isLength({ min: 1, max: 256 })
+    .withMessage('A sign-in nonce is required'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  handleValidationErrors,
+];
+
+// Two-factor setup confirmation validation
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+
+  handleValidationErrors,
+];
+
+// Two-step signin validation
+const validateMfaChallenge = [
+  body('mfaToken').notEmpty().withMessage('Two-factor challenge is required'),
+
+  requireSecondFactor,
+
+  handleValidationErrors,
+];
+
+// WebAuthn credential fields are base64url strings
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const credentialField = (field, message) =>
+  body(field).matches(BASE64URL_PATTERN).withMessage(message);
+
+// Passkey registration validation (PublicKeyCredential JSON from create())
+const validatePasskeyRegistration = [
+  credentialField('credential.id', 'A valid credential ID is required'),
+  credentialField(
+    'credential.response.clientDataJSON',
+    'Credential client data is required'
+  ),
+  credentialField(
+    'credential.response.attestationObject',
+    'Credential attestation object is required'
+  ),
+
+  body('credential.response.transports')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Transports must be a list'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Passkey name must be between 1 and 64 characters'),
+
+  handleValidationErrors,
+];
+
+// Passkey signin validation (PublicKeyCredential JSON from get())
+const validatePasskeySignin = [
+  credentialField('credential.id', 'A valid credential ID is required'),
+  credentialField(
+    'credential.response.clientDataJSON',
+    'Credential client data is required'
+  ),
+  credentialField(
+    'credential.response.authenticatorData',
+    'Authenticator data is required'
+  ),
+  credentialField('credential.response.signature', 'Signature is required'),
+
+  body('credential.response.userHandle')
+    .optional({ values: 'null' })
+    .matches(BASE64URL_PATTERN)
+    .withMessage('Invalid user handle'),
+
+  handleValidationErrors,
+];
+
+// Re-authentication validation: a passkey assertion, or the password and/or
+// a two-factor code (which of these the account needs is checked on use)
+const whenPasskey = body('credential').exists();
+
+const validateReauthentication = [
+  body('credential').custom((value, { req }) => {
+    const { password, code, recoveryCode } = req.body;
+    if (!value && !password && !code && !recoveryCode) {
+      throw new Error(
+        'Provide your password, an authentication code or a passkey'
+      );
+    }
+    return true;
+  }),
+
+  body('credential.id')
+    .if(whenPasskey)
+    .matches(BASE64URL_PATTERN)
+    .withMessage('A valid credential ID is required'),
+  body('credential.response.clientDataJSON')
+    .if(whenPasskey)
+    .matches(BASE64URL_PATTERN)
+    .withMessage('Credential client data is required'),
+  body('credential.response.authenticatorData')
+    .if(whenPasskey)
+    .matches(BASE64URL_PATTERN)
+    .withMessage('Authenticator data is required'),
+  body('credential.response.signature')
+    .if(whenPasskey)
+    .matches(BASE64URL_PATTERN)
+    .withMessage('Signature is required'),
+
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+
+  handleValidationErrors,
+];
+
+// Two-factor disable validation: the same factors as re-authentication
+const validateTwoFactorDisable = validateReauthentication;
+
+// Passkey ID validation
+const validatePasskeyId = [
+  param('id').isMongoId().withMessage('Invalid passkey ID format'),
+
+  handleValidationErrors,
+];
+
+// Data export format validation
+const validateDataExport = [
+  query('format')
+    .optional()
+    .isIn(['json', 'zip'])
+    .withMessage('Format must be json or zip'),
+
+  handleValidationErrors,
+];
+
+const validateSecurityEventsQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors,
+];
+
+// Account deletion confirmation: the password, or the account email for
+// accounts without one
+const validateAccountDeletion = [
+  body('password').custom((value, { req }) => {
+    if (!value && !req.body.confirmEmail) {
+      throw new Error('Password is required to delete your account');
+    }
+    if (value && typeof value !== 'string') {
+      throw new Error('Password must be a string');
+    }
+    return true;
+  }),
+
+  body('confirmEmail')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email address'),
+
+  handleValidationErrors,
+];
+
+// Consent decision: accepting names the document version the user was shown
+const validateConsentUpdate = [
+  body('type')
+    .isIn(Object.values(CONSENT_TYPES))
+    .withMessage(
+      `Type must be one of: ${Object.values(CONSENT_TYPES).join(', ')}`
+    ),
+
+  body('action')
+    .isIn(['accept', 'withdraw'])
+    .withMessage('Action must be accept or withdraw'),
+
+  body('version')
+    .if(body('action').equals('accept'))
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+// Session ID validation
+const validateSessionId = [
+  param('id').isMongoId().withMessage('Invalid session ID format'),
+
+  handleValidationErrors,
+];
+
 // Plan Request validation
 const validatePlanRequest = [
   body('planRequest')
@@ -717,6 +1013,9 @@ module.exports = {
   validateProfileUpdate,
   validatePasswordChange,
   validateEmail,
+  validateEmailVerification,
+  validateEmailChange,
+  validateEmailChangeToken,
   validatePasswordReset,
   validateBasicInfo,
   validateLifestyle,
@@ -725,5 +1024,20 @@ module.exports = {
   validatePreferences,
   validateLabResults,
   validatePlanRequest,
+  validateSessionId,
+  validateMagicLinkVerify,
+  validateOidcNonce,
+  validateOidcSignin,
+  validateTwoFactorCode,
+  validateMfaChallenge,
+  validateTwoFactorDisable,
+  validatePasskeyRegistration,
+  validatePasskeySignin,
+  validateReauthentication,
+  validatePasskeyId,
+  validateDataExport,
+  validateSecurityEventsQuery,
+  validateAccountDeletion,
+  validateConsentUpdate,
   handleValidationErrors,
 };
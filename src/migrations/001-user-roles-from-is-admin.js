@@ -0,0 +1,26 @@
+const User = require('../models/User');
+const { ROLES } = require('../config/roles');
+const { dropIndexIfExists } = require('./helpers');
+
+// Replace the isAdmin boolean with the role field: admins become the admin
+// role and everyone else a regular user
+const up = async () => {
+  const users = User.collection;
+
+  await users.updateMany(
+    { isAdmin: true, role: { $exists: false } },
+    { $set: { role: ROLES.ADMIN } }
+  );
+  await users.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: ROLES.USER } }
+  );
+  await users.updateMany(
+    { isAdmin: { $exists: true } },
+    { $unset: { isAdmin: '' } }
+  );
+
+  await dropIndexIfExists(users, 'isAdmin_1');
+};
+
+module.exports = { up };
@@ -0,0 +1,21 @@
+const User = require('../models/User');
+const { getIndexes } = require('./helpers');
+
+// Earlier versions declared a TTL index on refreshTokens.createdAt. TTL
+// indexes delete whole documents, so it removed user accounts 7 days after
+// their oldest session started. Expired tokens are now pruned by the model.
+const up = async () => {
+  const users = User.collection;
+  const indexes = await getIndexes(users);
+
+  for (const index of indexes) {
+    if (
+      index.key['refreshTokens.createdAt'] !== undefined &&
+      index.expireAfterSeconds !== undefined
+    ) {
+      await users.dropIndex(index.name);
+    }
+  }
+};
+
+module.exports = { up };
@@ -0,0 +1,26 @@
+const User = require('../models/User');
+const { hashSensitiveData } = require('../config/security');
+const { dropIndexIfExists } = require('./helpers');
+
+// Sessions used to store refresh tokens in plaintext. Replace each stored
+// token with its SHA-256 hash so a database dump no longer yields usable
+// tokens, and drop the index on the old field.
+const up = async () => {
+  const users = User.collection;
+  const cursor = users.find(
+    { 'refreshTokens.token': { $exists: true } },
+    { projection: { refreshTokens: 1 } }
+  );
+
+  for await (const user of cursor) {
+    const refreshTokens = user.refreshTokens.map(({ token, ...session }) =>
+      token ? { ...session, tokenHash: hashSensitiveData(token) } : session
+    );
+
+    await users.updateOne({ _id: user._id }, { $set: { refreshTokens } });
+  }
+
+  await dropIndexIfExists(users, 'refreshTokens.token_1');
+};
+
+module.exports = { up };
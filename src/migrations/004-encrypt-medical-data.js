@@ -0,0 +1,36 @@
+const User = require('../models/User');
+
+// Medical history and lab results used to be stored in plaintext. Encrypt
+// each section into encryptedFields, build the medical blind index and
+// remove the plaintext.
+const up = async () => {
+  const users = User.collection;
+  const sections = User.ENCRYPTED_SECTIONS;
+  const cursor = users.find(
+    { $or: sections.map((section) => ({ [section]: { $exists: true } })) },
+    { projection: Object.fromEntries(sections.map((section) => [section, 1])) }
+  );
+
+  for await (const user of cursor) {
+    const $set = {};
+    const $unset = {};
+
+    for (const section of sections) {
+      if (user[section] === undefined) continue;
+
+      $set[`encryptedFields.${section}`] = User.encryptSection(
+        user._id,
+        section,
+        user[section]
+      );
+      $unset[section] = '';
+    }
+    if (user.medicalHistory !== undefined) {
+      $set.medicalIndex = User.buildMedicalIndex(user.medicalHistory);
+    }
+
+    await users.updateOne({ _id: user._id }, { $set, $unset });
+  }
+};
+
+module.exports = { up };
@@ -0,0 +1,47 @@
+const ConsentDocument = require('../models/ConsentDocument');
+
+const { CONSENT_TYPES } = ConsentDocument;
+
+// Where the texts are published: LEGAL_DOCUMENTS_URL, or /legal on the
+// client app
+const getLegalDocumentsUrl = () =>
+  (
+    process.env.LEGAL_DOCUMENTS_URL ||
+    `${process.env.CLIENT_APP_URL || 'http://localhost:19006'}/legal`
+  ).replace(/\/$/, '');
+
+const INITIAL_DOCUMENTS = [
+  { type: CONSENT_TYPES.TERMS, title: 'Terms of Service', path: 'terms' },
+  { type: CONSENT_TYPES.PRIVACY, title: 'Privacy Policy', path: 'privacy' },
+  {
+    type: CONSENT_TYPES.HEALTH_DATA,
+    title: 'Health Data Consent',
+    path: 'health-data',
+  },
+  {
+    type: CONSENT_TYPES.MARKETING,
+    title: 'Marketing Communications',
+    path: 'marketing',
+  },
+];
+
+// Publish version 1 of every consent document type that has none yet.
+// Routes requiring a consent answer 503 until its document exists, so a
+// fresh deployment would otherwise block medical data until an admin
+// publishes one.
+const up = async () => {
+  const baseUrl = getLegalDocumentsUrl();
+
+  for (const { type, title, path } of INITIAL_DOCUMENTS) {
+    if (await ConsentDocument.exists({ type })) continue;
+
+    await ConsentDocument.create({
+      type,
+      version: 1,
+      title,
+      url: `${baseUrl}/${path}/v1`,
+    });
+  }
+};
+
+module.exports = { up };
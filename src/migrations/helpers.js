@@ -0,0 +1,26 @@
+/**
+ * Migration Helpers
+ */
+
+// Indexes of a collection, or none when the collection does not exist yet
+const getIndexes = async (collection) => {
+  try {
+    return await collection.indexes();
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  }
+};
+
+// Drop an index by name if it exists
+const dropIndexIfExists = async (collection, name) => {
+  const indexes = await getIndexes(collection);
+  if (indexes.some((index) => index.name === name)) {
+    await collection.dropIndex(name);
+  }
+};
+
+module.exports = {
+  getIndexes,
+  dropIndexIfExists,
+};
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const Migration = require('../models/Migration');
+
+/**
+ * Migration Runner
+ * Applies the numbered migrations in this directory (`001-name.js`, ...)
+ * once per database, in order. Each migration exports `up()`.
+ */
+
+const MIGRATION_FILE = /^\d+-[\w-]+\.js$/;
+
+// Migration names in the order they run
+const listMigrations = () =>
+  fs
+    .readdirSync(__dirname)
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort()
+    .map((file) => path.basename(file, '.js'));
+
+// Run every pending migration. Instances starting together race to claim
+// each migration through the unique name, so only one of them runs it.
+const runMigrations = async () => {
+  const applied = [];
+
+  for (const name of listMigrations()) {
+    const existing = await Migration.findOne({ name }).lean();
+    if (existing?.status === 'applied') continue;
+
+    if (existing) {
+      console.warn(
+        `⚠️  Migration ${name} was started at ${existing.startedAt.toISOString()} but never finished. Remove its record from the migrations collection to retry.`
+      );
+      break;
+    }
+
+    try {
+      await Migration.create({ name });
+    } catch (error) {
+      if (error.code === 11000) {
+        // Claimed by another instance
+        break;
+      }
+      throw error;
+    }
+
+    try {
+      const migration = require(path.join(__dirname, name));
+      await migration.up();
+    } catch (error) {
+      await Migration.deleteOne({ name });
+      throw new Error(`Migration ${name} failed: ${error.message}`);
+    }
+
+    await Migration.updateOne(
+      { name },
+      { status: 'applied', appliedAt: new Date() }
+    );
+    console.log(`📦 Applied migration ${name}`);
+    applied.push(name);
+  }
+
+  return applied;
+};
+
+module.exports = {
+  listMigrations,
+  runMigrations,
+};
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { SCOPES } = require('../config/roles');
+const {
+  API_KEY_CONFIG,
+  generateSecureToken,
+  hashSensitiveData,
+} = require('../config/security');
+
+// API key for a trusted internal service. The key itself is shown once when
+// issued; only its hash is stored, with a short prefix to tell keys apart.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    keyPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: Object.values(SCOPES),
+        },
+      ],
+      validate: [
+        (scopes) => scopes.length > 0,
+        'At least one scope is required',
+      ],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+apiKeySchema.index({ createdAt: -1 });
+
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+// Record a request made with the key, at most once per lastUsedPrecision so
+// busy services do not write on every request
+apiKeySchema.methods.recordUse = async function (ipAddress) {
+  const now = new Date();
+  if (
+    this.lastUsedAt &&
+    now - this.lastUsedAt < API_KEY_CONFIG.lastUsedPrecision
+  ) {
+    return;
+  }
+
+  this.lastUsedAt = now;
+  this.lastUsedIp = ipAddress;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: now, lastUsedIp: ipAddress }
+  );
+};
+
+apiKeySchema.methods.revoke = function (revokedBy) {
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+};
+
+apiKeySchema.methods.toJSON = function () {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  apiKey.id = apiKey._id;
+  delete apiKey._id;
+  apiKey.active = this.isActive();
+  return apiKey;
+};
+
+// Create a key; returns the document and the key to hand to the service
+apiKeySchema.statics.issue = async function ({
+  name,
+  scopes,
+  expiresAt,
+  createdBy,
+}) {
+  const key = `${API_KEY_CONFIG.prefix}${generateSecureToken(
+    API_KEY_CONFIG.tokenBytes
+  )}`;
+
+  const apiKey = await this.create({
+    name,
+    scopes,
+    expiresAt,
+    createdBy,
+    keyHash: hashSensitiveData(key),
+    keyPrefix: key.slice(0, API_KEY_CONFIG.prefix.length + 8),
+  });
+
+  return { apiKey, key };
+};
+
+// Find the unrevoked, unexpired key matching a presented key
+apiKeySchema.statics.findActiveByKey = function (key) {
+  return this.findOne({
+    keyHash: hashSensitiveData(key),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
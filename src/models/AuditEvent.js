@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// Security-relevant actions, grouped by area
+const AUDIT_ACTIONS = {
+  SIGNUP: 'auth.signup',
+  LOGIN: 'auth.login',
+  LOGIN_STEP_UP: 'auth.login_step_up',
+  LOGOUT: 'auth.logout',
+  LOGOUT_ALL: 'auth.logout_all',
+  REAUTHENTICATE: 'auth.reauthenticate',
+  EMAIL_VERIFY: 'auth.email_verify',
+  PASSWORD_CHANGE: 'auth.password_change',
+  PASSWORD_RESET_REQUEST: 'auth.password_reset_request',
+  PASSWORD_RESET: 'auth.password_reset',
+  EMAIL_CHANGE_REQUEST: 'account.email_change_request',
+  EMAIL_CHANGE: 'account.email_change',
+  EMAIL_CHANGE_REVERT: 'account.email_change_revert',
+  DELETION_REQUEST: 'account.deletion_request',
+  DELETION_CANCEL: 'account.deletion_cancel',
+  CONSENT_ACCEPT: 'consent.accept',
+  CONSENT_WITHDRAW: 'consent.withdraw',
+  TWO_FACTOR_ENABLE: 'mfa.enable',
+  TWO_FACTOR_DISABLE: 'mfa.disable',
+  PASSKEY_ADD: 'passkey.add',
+  PASSKEY_REMOVE: 'passkey.remove',
+  SESSION_REVOKE: 'session.revoke',
+  ACCESS_DENIED: 'access.denied',
+  TOKEN_REJECTED: 'access.token_rejected',
+  ROLE_CHANGE: 'admin.role_change',
+  USER_DELETE: 'admin.user_delete',
+  USER_UNLOCK: 'admin.user_unlock',
+  IMPERSONATION_START: 'admin.impersonation_start',
+  API_KEY_CREATE: 'admin.api_key_create',
+  API_KEY_REVOKE: 'admin.api_key_revoke',
+  LOGIN_REVIEW: 'admin.login_review',
+  CONSENT_PUBLISH: 'admin.consent_publish',
+};
+
+// Append-only record of a security-relevant action. `actor` performed the
+// action (a user, or a service through `apiKey`), `target` is the account
+// it affected. Events are never updated or deleted by the application.
+const auditEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: Object.values(AUDIT_ACTIONS),
+      required: true,
+    },
+    outcome: {
+      type: String,
+      enum: ['success', 'failure'],
+      required: true,
+    },
+    // Error code of a failed action, e.g. INVALID_CREDENTIALS
+    code: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Staff member acting through an impersonation token
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    ipAddress: String,
+    userAgent: String,
+    requestId: String,
+    metadata: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ target: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ requestId: 1 });
+
+const rejectChange = () => {
+  throw new Error('Audit events are append-only');
+};
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) rejectChange();
+  next();
+});
+auditEventSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  rejectChange
+);
+
+auditEventSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const CONSENT_TYPES = {
+  TERMS: 'terms',
+  PRIVACY: 'privacy',
+  HEALTH_DATA: 'health_data', // Processing of medical history and lab results
+  MARKETING: 'marketing',
+};
+
+// Consent the user may take back at any time. Terms and privacy are
+// accepted for as long as the account exists.
+const WITHDRAWABLE_CONSENT_TYPES = [
+  CONSENT_TYPES.HEALTH_DATA,
+  CONSENT_TYPES.MARKETING,
+];
+
+// A published version of a consent document. Versions are numbered per type
+// and never edited; publishing a new version asks users to accept again.
+const consentDocumentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(CONSENT_TYPES),
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    // Where the full text is published
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // What changed from the previous version, shown when asking again
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: { createdAt: 'publishedAt', updatedAt: false },
+    versionKey: false,
+  }
+);
+
+consentDocumentSchema.index({ type: 1, version: -1 }, { unique: true });
+
+consentDocumentSchema.methods.toJSON = function () {
+  const document = this.toObject();
+  document.id = document._id;
+  delete document._id;
+  return document;
+};
+
+// Publish the next version of a document type
+consentDocumentSchema.statics.publish = async function ({
+  type,
+  title,
+  url,
+  summary,
+  publishedBy,
+}) {
+  const latest = await this.findOne({ type }).sort({ version: -1 });
+
+  return this.create({
+    type,
+    version: latest ? latest.version + 1 : 1,
+    title,
+    url,
+    summary,
+    publishedBy,
+  });
+};
+
+// The latest version of every document type that has been published
+consentDocumentSchema.statics.findCurrent = async function () {
+  const documents = await this.find().sort({ version: -1 });
+  const current = new Map();
+  for (const document of documents) {
+    if (!current.has(document.type)) {
+      current.set(document.type, document);
+    }
+  }
+  return [...current.values()];
+};
+
+consentDocumentSchema.statics.CONSENT_TYPES = CONSENT_TYPES;
+consentDocumentSchema.statics.WITHDRAWABLE_CONSENT_TYPES =
+  WITHDRAWABLE_CONSENT_TYPES;
+
+module.exports = mongoose.model('ConsentDocument', consentDocumentSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Audit trail for staff impersonation: one `start` entry when a token is
+// issued (with the reason given), then one `request` entry for every request
+// made with that token
+const impersonationLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenId: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      enum: ['start', 'request'],
+      required: true,
+    },
+    reason: String,
+    method: String,
+    path: String,
+    statusCode: Number,
+    ipAddress: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+impersonationLogSchema.index({ actor: 1, createdAt: -1 });
+impersonationLogSchema.index({ subject: 1, createdAt: -1 });
+impersonationLogSchema.index({ tokenId: 1 });
+
+module.exports = mongoose.model('ImpersonationLog', impersonationLogSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { SUSPICIOUS_LOGIN } = require('../config/security');
+
+// Anomalies a login can be flagged for, compared with the user's history
+const RISK_FLAGS = {
+  NEW_DEVICE: 'new_device',
+  NEW_NETWORK: 'new_network',
+  NEW_COUNTRY: 'new_country',
+  UNUSUAL_HOUR: 'unusual_hour',
+  COUNTRY_CHANGE: 'country_change',
+};
+
+// Login history used for suspicious login detection. `success` entries
+// issued tokens; `challenged` entries were held back for step-up
+// verification. Entries expire after the configured retention.
+const loginEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['success', 'challenged'],
+      required: true,
+    },
+    amr: [String],
+    ipAddress: String,
+    network: String, // CIDR prefix of ipAddress
+    country: String, // ISO 3166 code, when known
+    userAgent: String,
+    deviceName: String,
+    platform: String,
+    deviceHash: String, // identifies the device across logins
+    riskFlags: [
+      {
+        type: String,
+        enum: Object.values(RISK_FLAGS),
+      },
+    ],
+    riskScore: {
+      type: Number,
+      default: 0,
+    },
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + SUSPICIOUS_LOGIN.retention),
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ flagged: 1, createdAt: -1 });
+loginEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+loginEventSchema.statics.RISK_FLAGS = RISK_FLAGS;
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Pending passwordless login. The requesting device holds the challenge
+// token (stored as `deviceHash`); the emailed link token and code only work
+// together with it. Only hashes are stored.
+const magicLinkSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    deviceHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    deviceName: String,
+    platform: String,
+    ipAddress: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+magicLinkSchema.index({ userId: 1, createdAt: -1 });
+
+// Remove challenges once they expire
+magicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MagicLink', magicLinkSchema);
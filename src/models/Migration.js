@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A schema/data migration that has run (or is running) on this database
+const migrationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'applied'],
+      default: 'running',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    appliedAt: Date,
+  },
+  {
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model('Migration', migrationSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const {
+  OIDC_CONFIG,
+  generateSecureToken,
+  hashSensitiveData,
+} = require('../config/security');
+
+// Nonce issued for one provider signin. The app passes it to the provider,
+// whose ID token then carries it; each nonce can be used once, so a token
+// captured from an earlier signin cannot be replayed. Only its hash is
+// stored.
+const oidcNonceSchema = new mongoose.Schema(
+  {
+    nonceHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// Remove nonces once they expire
+oidcNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Store a new nonce and return it with its expiry
+oidcNonceSchema.statics.issue = async function ({ provider }) {
+  const nonce = generateSecureToken(OIDC_CONFIG.nonceBytes);
+  const { expiresAt } = await this.create({
+    nonceHash: hashSensitiveData(nonce),
+    provider,
+    expiresAt: new Date(Date.now() + OIDC_CONFIG.nonceExpiry),
+  });
+  return { nonce, expiresAt };
+};
+
+// Use up a nonce; false when it is unknown, expired, issued for another
+// provider or already used
+oidcNonceSchema.statics.consume = async function ({ provider, nonce }) {
+  return !!(await this.findOneAndDelete({
+    nonceHash: hashSensitiveData(String(nonce)),
+    provider,
+    expiresAt: { $gt: new Date() },
+  }));
+};
+
+module.exports = mongoose.model('OidcNonce', oidcNonceSchema);
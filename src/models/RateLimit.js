@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Hit counter for one rate limit key and window
+const rateLimitSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    resetAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// Remove counters once their window has ended
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
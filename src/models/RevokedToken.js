@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { getMaxAccessTokenLifetime } = require('../utils/jwt');
+
+// Access tokens revoked before they expire. An entry either names a single
+// token by its jti, every token of one device session by its `sid`, or every
+// token a user was issued before `revokedBefore`. Entries are removed once
+// the tokens they cover have expired.
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    sessionId: {
+      type: String,
+    },
+    revokedBefore: {
+      type: Date,
+    },
+    reason: {
+      type: String,
+      enum: [
+        'logout',
+        'logout_all',
+        'session_revoked',
+        'refresh_token_reuse',
+        'session_evicted',
+        'password_change',
+        'password_reset',
+        'role_change',
+        'account_deleted',
+        'deletion_requested',
+        'email_change',
+        'identity_linked',
+      ],
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+revokedTokenSchema.index({ jti: 1 }, { unique: true, sparse: true });
+revokedTokenSchema.index({ userId: 1, revokedBefore: 1 });
+revokedTokenSchema.index({ userId: 1, sessionId: 1 }, { sparse: true });
+
+// Remove entries once the tokens they cover can no longer be used
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Revoke one access token until it expires
+revokedTokenSchema.statics.revokeToken = async function ({
+  jti,
+  userId,
+  expiresAt,
+  reason,
+}) {
+  if (!jti || !expiresAt || expiresAt <= new Date()) return;
+
+  await this.updateOne(
+    { jti },
+    { $setOnInsert: { jti, userId, reason, expiresAt } },
+    { upsert: true }
+  );
+};
+
+// Revoke every access token issued for one device session (the `sid` claim).
+// Entries covering several tokens last as long as the longest-lived kind.
+revokedTokenSchema.statics.revokeSession = async function (
+  userId,
+  sessionId,
+  reason = 'session_revoked'
+) {
+  await this.create({
+    userId,
+    sessionId: sessionId.toString(),
+    reason,
+    expiresAt: new Date(Date.now() + getMaxAccessTokenLifetime()),
+  });
+};
+
+// Revoke every access token issued to a user up to now. JWT `iat` has
+// one-second precision, so the cutoff is the start of the current second
+// and tokens issued right after (e.g. by a fresh login) stay valid.
+revokedTokenSchema.statics.revokeAllForUser = async function (userId, reason) {
+  const now = Date.now();
+
+  await this.create({
+    userId,
+    reason,
+    revokedBefore: new Date(Math.floor(now / 1000) * 1000),
+    expiresAt: new Date(now + getMaxAccessTokenLifetime()),
+  });
+};
+
+// Whether a verified access token payload has been revoked
+revokedTokenSchema.statics.isRevoked = async function (decoded) {
+  const issuedAt = new Date(decoded.iat * 1000);
+
+  const entry = await this.exists({
+    $or: [
+      { jti: decoded.jti },
+      { userId: decoded.userId, revokedBefore: { $gt: issuedAt } },
+      ...(decoded.sid
+        ? [{ userId: decoded.userId, sessionId: decoded.sid }]
+        : []),
+    ],
+  });
+
+  return !!entry;
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateSecret, verifyTotp, base32Encode } = require('../utils/totp');
+const {
+  encryptValue,
+  decryptValue,
+  needsRewrap,
+  rewrapEnvelope,
+  blindIndex,
+} = require('../utils/fieldEncryption');
+const ConsentDocument = require('./ConsentDocument');
+const { ROLES, getRolePermissions } = require('../config/roles');
+const {
+  ACCOUNT_LOCKOUT,
+  EMAIL_VERIFICATION,
+  EMAIL_CHANGE,
+  PASSWORD_RESET,
+  PASSWORD_REQUIREMENTS,
+  MFA_CONFIG,
+  SESSION_CONFIG,
+  generateSecureToken,
+  hashSensitiveData,
+} = require('../config/security');
 
 const userSchema = new mongoose.Schema(
   {
@@ -15,32 +38,210 @@ const userSchema = new mongoose.Schema(
         'Please enter a valid email address',
       ],
     },
+    // Optional for accounts that only sign in with an identity provider
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      required: [
+        function () {
+          return !this.identities?.length;
+        },
+        'Password is required',
+      ],
       minlength: [8, 'Password must be at least 8 characters long'],
       select: false,
     },
+    passwordChangedAt: Date,
+    // Hashes of earlier passwords, newest first, for reuse prevention
+    passwordHistory: {
+      type: [String],
+      select: false,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
     isEmailVerified: {
       type: Boolean,
       default: false,
     },
-    isAdmin: {
-      type: Boolean,
-      default: false,
+    emailVerifiedAt: Date,
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
+    // Email change: the new address is confirmed from a link sent to it
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    emailChangeToken: {
+      type: String,
+      select: false,
+    },
+    emailChangeExpires: {
+      type: Date,
+      select: false,
+    },
+    // Address before the last change, which can undo it until
+    // emailRevertExpires and stays reserved until then
+    previousEmail: {
+      type: String,
+      select: false,
+    },
+    emailRevertToken: {
+      type: String,
+      select: false,
+    },
+    emailRevertExpires: {
+      type: Date,
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      default: ROLES.USER,
     },
     refreshTokens: [
       {
-        token: String,
+        // SHA-256 hash of the current token in this family; the token
+        // itself is never stored
+        tokenHash: String,
+        jti: String, // ID of the current token in this family
+        family: String, // Shared by every token rotated from the same login
         createdAt: {
           type: Date,
           default: Date.now,
-          expires: 604800, // 7 days in seconds
+        },
+        expiresAt: Date,
+        rotatedAt: Date,
+        // Device that owns the session
+        deviceName: String,
+        platform: String,
+        ipAddress: String,
+        userAgent: String,
+        lastUsedAt: {
+          type: Date,
+          default: Date.now,
         },
       },
     ],
     lastLoginAt: Date,
 
+    // Linked OpenID Connect sign-in identities
+    identities: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          enum: ['google', 'apple'],
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastUsedAt: Date,
+      },
+    ],
+
+    // WebAuthn passkeys (discoverable credentials)
+    passkeys: [
+      {
+        credentialId: {
+          type: String,
+          required: true,
+        },
+        publicKey: {
+          type: String, // SPKI PEM
+          required: true,
+        },
+        algorithm: {
+          type: Number, // COSE algorithm identifier
+          required: true,
+        },
+        signCount: {
+          type: Number,
+          default: 0,
+        },
+        transports: [String],
+        name: {
+          type: String,
+          trim: true,
+          maxlength: 64,
+        },
+        aaguid: String, // authenticator model
+        backedUp: {
+          type: Boolean,
+          default: false,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastUsedAt: Date,
+      },
+    ],
+
+    // Two-Factor Authentication (TOTP)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            hash: String,
+            usedAt: Date,
+          },
+        ],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
+
+    // Self-service deletion; erased after deletionScheduledFor
+    deletionRequestedAt: Date,
+    deletionScheduledFor: Date,
+
+    // Account Lockout
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: Date,
+    lockUntil: Date,
+
     // Onboarding Progress
     onboardingCompleted: {
       type: Boolean,
@@ -61,6 +262,25 @@ const userSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Latest consent decision per document type (see ConsentDocument);
+    // every decision is also recorded in the audit log
+    consents: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: Object.values(ConsentDocument.CONSENT_TYPES),
+          required: true,
+        },
+        version: {
+          type: Number,
+          required: true,
+        },
+        acceptedAt: Date,
+        withdrawnAt: Date,
+      },
+    ],
+
     // Session Info
     sessionInfo: {
       completionTimestamp: Date,
@@ -404,6 +624,18 @@ const userSchema = new mongoose.Schema(
       completedAt: Date,
     },
 
+    // Envelope-encrypted copies of ENCRYPTED_SECTIONS. Only these are stored;
+    // the sections themselves are decrypted into the document when it loads.
+    encryptedFields: {
+      medicalHistory: mongoose.Schema.Types.Mixed,
+      labResults: mongoose.Schema.Types.Mixed,
+    },
+    // Blind index of medical history answers (see buildMedicalIndex)
+    medicalIndex: {
+      type: [String],
+      select: false,
+    },
+
     dataQuality: {
       hasBasicInfo: { type: Boolean, default: false },
       hasLifestyle: { type: Boolean, default: false },
@@ -424,23 +656,47 @@ userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ lastLoginAt: -1 });
 userSchema.index({ isEmailVerified: 1 });
-userSchema.index({ isAdmin: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ lockUntil: 1 }, { sparse: true });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 userSchema.index({ onboardingCompleted: 1 });
 userSchema.index({ onboardingStep: 1 });
-userSchema.index({ 'refreshTokens.token': 1 }); // For token validation
+userSchema.index({ 'refreshTokens.tokenHash': 1 }); // For token validation
+userSchema.index({ 'refreshTokens.family': 1 }); // For rotation and reuse detection
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailChangeToken: 1 }, { sparse: true });
+userSchema.index({ emailRevertToken: 1 }, { sparse: true });
+userSchema.index({ previousEmail: 1 }, { sparse: true });
+userSchema.index({ medicalIndex: 1 });
 userSchema.index(
-  { 'refreshTokens.createdAt': 1 },
-  { expireAfterSeconds: 604800 }
-); // TTL index for refresh tokens
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'identities.subject': { $exists: true } },
+  }
+);
+userSchema.index(
+  { 'passkeys.credentialId': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'passkeys.credentialId': { $exists: true } },
+  }
+);
 
 // Compound indexes for complex queries
 userSchema.index({ email: 1, isEmailVerified: 1 });
 userSchema.index({ onboardingCompleted: 1, onboardingStep: 1 });
 
+// Deprecated: use role. Kept for API responses and clients that still read it
+userSchema.virtual('isAdmin').get(function () {
+  return this.role === ROLES.ADMIN;
+});
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   // Only hash the password if it has been modified (or is new)
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
 
   try {
     // Hash password with cost of 12
@@ -454,9 +710,6 @@ userSchema.pre('save', async function (next) {
 
 // Update profile completeness and data quality before saving
 userSchema.pre('save', function (next) {
-  console.log('Pre-save middleware triggered');
-  console.log('Modified paths:', this.modifiedPaths());
-
   // Ensure email is always lowercase
   if (this.isModified('email')) {
     this.email = this.email.toLowerCase();
@@ -470,14 +723,6 @@ userSchema.pre('save', function (next) {
     this.basicInfo?.weight
   );
 
-  console.log('Basic info check:', {
-    name: this.basicInfo?.name,
-    dateOfBirth: this.basicInfo?.dateOfBirth,
-    height: this.basicInfo?.height,
-    weight: this.basicInfo?.weight,
-    hasBasicInfo: this.dataQuality.hasBasicInfo,
-  });
-
   this.dataQuality.hasLifestyle = !!(
     this.lifestyle?.wakeUpTime &&
     this.lifestyle?.sleepTime &&
@@ -528,13 +773,142 @@ userSchema.pre('save', function (next) {
     this.onboardingCompleted = true;
     this.onboardingStep = 6;
   }
-
-  console.log('Pre-save middleware completed, dataQuality:', this.dataQuality);
   next();
 });
 
+// Medical sections are stored encrypted (utils/fieldEncryption). Each
+// envelope is bound to its user and section, so it cannot be copied into
+// another document.
+const ENCRYPTED_SECTIONS = ['medicalHistory', 'labResults'];
+
+const getSectionContext = (userId, section) => `users/${userId}/${section}`;
+
+const encryptSection = (userId, section, value) =>
+  encryptValue(value, getSectionContext(userId, section));
+
+const decryptSection = (userId, section, envelope) =>
+  decryptValue(envelope, getSectionContext(userId, section));
+
+// Medical history answers admins can filter on without decrypting
+const MEDICAL_CONDITIONS = [
+  'diabetes',
+  'diabetesDT1',
+  'diabetesDT2',
+  'obesity',
+  'hypothyroidism',
+  'sleepApnea',
+  'psychologicalIssues',
+  'digestiveIssues',
+  'gastricBalloon',
+  'bariatricSurgery',
+];
+
+const getMedicalIndexToken = (type, value) => blindIndex(`${type}:${value}`);
+
+// Blind index tokens for a medical history: its gender and every condition
+// answered `yes`
+const buildMedicalIndex = (medicalHistory) => {
+  if (!medicalHistory) return [];
+
+  const tokens = MEDICAL_CONDITIONS.filter(
+    (condition) => medicalHistory.personalMedicalHistory?.[condition] === 'yes'
+  ).map((condition) => getMedicalIndexToken('condition', condition));
+  if (medicalHistory.gender) {
+    tokens.push(getMedicalIndexToken('gender', medicalHistory.gender));
+  }
+  return tokens;
+};
+
+// Put decrypted (or restored) sections into a document without marking them
+// as changed. Defaults applied on load are cleared too, or the next save
+// would write them back in plaintext.
+const setPlaintextSections = (doc, sections) => {
+  const names = Object.keys(sections);
+  const belongsToSection = (path) =>
+    names.some((name) => path === name || path.startsWith(`${name}.`));
+
+  for (const section of names) {
+    doc.set(section, sections[section]);
+  }
+  for (const path of [
+    ...Object.keys(userSchema.paths),
+    ...doc.directModifiedPaths(),
+  ]) {
+    if (belongsToSection(path)) {
+      doc.unmarkModified(path);
+    }
+  }
+};
+
+// Encrypt changed medical sections. Runs after the data quality hook, which
+// reads them; the plaintext is left out of the write and put back once the
+// save is done.
+userSchema.pre('save', function (next) {
+  const changed = ENCRYPTED_SECTIONS.filter(
+    (section) => this.isNew || this.isModified(section)
+  );
+  if (changed.length === 0) return next();
+
+  try {
+    const plaintext = this.toObject({ virtuals: false });
+    const sections = {};
+
+    for (const section of changed) {
+      sections[section] = plaintext[section];
+      this.set(
+        `encryptedFields.${section}`,
+        plaintext[section] === undefined
+          ? undefined
+          : encryptSection(this._id, section, plaintext[section])
+      );
+      this.set(section, undefined);
+    }
+    if (changed.includes('medicalHistory')) {
+      this.medicalIndex = buildMedicalIndex(sections.medicalHistory);
+    }
+
+    this.$locals.plaintextSections = sections;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+function restorePlaintextSections() {
+  const sections = this.$locals.plaintextSections;
+  if (!sections) return;
+
+  delete this.$locals.plaintextSections;
+  setPlaintextSections(this, sections);
+}
+
+userSchema.post('save', restorePlaintextSections);
+userSchema.post('save', function (error, doc, next) {
+  restorePlaintextSections.call(this);
+  next(error);
+});
+
+// Decrypt medical sections as documents load, so the rest of the app reads
+// them as ordinary fields. Documents not migrated yet keep their plaintext.
+userSchema.post('init', function () {
+  const sections = {};
+  for (const section of ENCRYPTED_SECTIONS) {
+    const envelope = this.encryptedFields?.[section];
+    if (envelope) {
+      sections[section] = decryptSection(this._id, section, envelope);
+    }
+  }
+
+  if (Object.keys(sections).length > 0) {
+    setPlaintextSections(this, sections);
+  }
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  // Accounts created through an identity provider may have no password
+  if (!this.password) return false;
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -542,6 +916,49 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
+// Set a new password, keeping the current hash in the reuse history.
+// Load the user with +password +passwordHistory first.
+userSchema.methods.setPassword = function (newPassword) {
+  const { historySize } = PASSWORD_REQUIREMENTS;
+
+  if (this.password && historySize > 0) {
+    this.passwordHistory = [
+      this.password,
+      ...(this.passwordHistory || []),
+    ].slice(0, historySize);
+  }
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
+};
+
+// Whether the candidate matches the current or a recent password
+userSchema.methods.isPasswordReused = async function (candidatePassword) {
+  const { historySize } = PASSWORD_REQUIREMENTS;
+  if (historySize <= 0) return false;
+
+  const hashes = [this.password, ...(this.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, historySize + 1);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
+// Passwords expire PASSWORD_REQUIREMENTS.maxAge after they were set
+userSchema.methods.getPasswordExpiresAt = function () {
+  const { maxAge } = PASSWORD_REQUIREMENTS;
+  const setAt = this.passwordChangedAt || this.createdAt;
+  if (!maxAge || !setAt) return null;
+
+  return new Date(setAt.getTime() + maxAge);
+};
+
+userSchema.methods.isPasswordExpired = function () {
+  const expiresAt = this.getPasswordExpiresAt();
+  return !!expiresAt && expiresAt <= new Date();
+};
+
 // Get user's BMI
 userSchema.methods.getBMI = function () {
   if (!this.basicInfo?.weight || !this.basicInfo?.height) return null;
@@ -586,8 +1003,6 @@ userSchema.methods.getOnboardingStatus = function () {
 
 // Update specific onboarding section
 userSchema.methods.updateOnboardingSection = function (sectionName, data) {
-  console.log(`Updating ${sectionName} with data:`, data);
-
   if (!this[sectionName]) {
     this[sectionName] = {};
   }
@@ -600,14 +1015,10 @@ userSchema.methods.updateOnboardingSection = function (sectionName, data) {
     }
   });
 
-  console.log(`Clean data for ${sectionName}:`, cleanData);
-
   // Use Object.assign to merge the data
   Object.assign(this[sectionName], cleanData);
   this[sectionName].completedAt = new Date();
 
-  console.log(`Updated ${sectionName}:`, this[sectionName]);
-
   // Mark the section as modified for Mongoose
   this.markModified(sectionName);
   // Update onboarding step based on completed sections
@@ -628,11 +1039,145 @@ userSchema.methods.updateOnboardingSection = function (sectionName, data) {
   }
 };
 
+// Identity provider sign-in
+userSchema.methods.findIdentity = function (provider, subject) {
+  return this.identities.find(
+    (identity) =>
+      identity.provider === provider &&
+      (subject === undefined || identity.subject === subject)
+  );
+};
+
+// Link a verified provider identity, or refresh it when already linked
+userSchema.methods.linkIdentity = function ({ provider, subject, email }) {
+  const now = new Date();
+  const identity = this.findIdentity(provider, subject);
+
+  if (identity) {
+    identity.email = email || identity.email;
+    identity.lastUsedAt = now;
+    return identity;
+  }
+
+  this.identities.push({
+    provider,
+    subject,
+    email,
+    linkedAt: now,
+    lastUsedAt: now,
+  });
+  return this.identities[this.identities.length - 1];
+};
+
+// Passkeys
+userSchema.methods.findPasskey = function (credentialId) {
+  return this.passkeys.find((passkey) => passkey.credentialId === credentialId);
+};
+
+// Store a credential returned by webauthn.verifyRegistrationResponse
+userSchema.methods.addPasskey = function (credential, name) {
+  this.passkeys.push({
+    ...credential,
+    name: name || `Passkey ${this.passkeys.length + 1}`,
+  });
+  return this.passkeys[this.passkeys.length - 1];
+};
+
+// Record a successful signin with the new authenticator counter
+userSchema.methods.recordPasskeyUse = function (
+  passkey,
+  { signCount, backedUp }
+) {
+  passkey.signCount = signCount;
+  passkey.backedUp = backedUp;
+  passkey.lastUsedAt = new Date();
+};
+
+// Remove a passkey by its subdocument ID; false when not found
+userSchema.methods.removePasskey = function (passkeyId) {
+  const count = this.passkeys.length;
+  this.passkeys = this.passkeys.filter(
+    (passkey) => passkey._id.toString() !== passkeyId.toString()
+  );
+  return this.passkeys.length < count;
+};
+
+// A second factor stronger than a password: TOTP or a passkey
+userSchema.methods.hasStrongAuthenticator = function () {
+  return !!this.twoFactor?.enabled || this.passkeys?.length > 0;
+};
+
+// Role permissions
+userSchema.methods.getPermissions = function () {
+  return getRolePermissions(this.role);
+};
+
+userSchema.methods.hasPermission = function (permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// Consent
+userSchema.methods.getConsent = function (type) {
+  return this.consents.find((consent) => consent.type === type);
+};
+
+// Whether the user accepted at least `version` of a document type and has
+// not withdrawn since
+userSchema.methods.hasConsented = function (type, version) {
+  const consent = this.getConsent(type);
+  return !!consent && !consent.withdrawnAt && consent.version >= version;
+};
+
+userSchema.methods.acceptConsent = function (type, version) {
+  const consent = this.getConsent(type);
+  if (consent) {
+    consent.version = version;
+    consent.acceptedAt = new Date();
+    consent.withdrawnAt = undefined;
+  } else {
+    this.consents.push({ type, version, acceptedAt: new Date() });
+  }
+};
+
+// Returns false when there was no consent in effect to withdraw
+userSchema.methods.withdrawConsent = function (type) {
+  const consent = this.getConsent(type);
+  if (!consent || consent.withdrawnAt) {
+    return false;
+  }
+  consent.withdrawnAt = new Date();
+  return true;
+};
+
 // Transform output (remove sensitive data)
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
   delete userObject.refreshTokens;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.emailVerificationSentAt;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailChangeToken;
+  delete userObject.emailChangeExpires;
+  delete userObject.previousEmail;
+  delete userObject.emailRevertToken;
+  delete userObject.emailRevertExpires;
+  delete userObject.encryptedFields;
+  delete userObject.medicalIndex;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
+  if (userObject.passkeys) {
+    userObject.passkeys = userObject.passkeys.map(
+      ({ publicKey, signCount, ...passkey }) => passkey
+    );
+  }
   delete userObject.__v;
   return userObject;
 };
@@ -654,7 +1199,8 @@ userSchema.methods.getPublicProfile = function () {
   };
 };
 
-// Get full profile for authenticated user
+// Get full profile for authenticated user (medical sections were decrypted
+// when the document loaded)
 userSchema.methods.getFullProfile = function () {
   return {
     id: this._id,
@@ -680,19 +1226,396 @@ userSchema.methods.getFullProfile = function () {
 };
 
 // Refresh token management
+// Entries are pruned here rather than by a TTL index, which would delete the
+// whole user document instead of the expired array element
+const getRefreshTokenExpiry = (tokenObj) =>
+  tokenObj.expiresAt || new Date(tokenObj.createdAt.getTime() + 604800000); // 7 days
+
+// Whether a refresh token is the current token of a stored session. Entries
+// written before migration 003 have no hash yet and are matched by the
+// token's jti, which is only trusted once the token has been verified.
+const isCurrentToken = (tokenObj, token) => {
+  if (tokenObj.tokenHash) {
+    return tokenObj.tokenHash === hashSensitiveData(token);
+  }
+  return !!tokenObj.jti && tokenObj.jti === jwt.decode(token)?.jti;
+};
+
 userSchema.methods.isValidRefreshToken = function (token) {
   return this.refreshTokens.some(
     (tokenObj) =>
-      tokenObj.token === token &&
-      new Date() < new Date(tokenObj.createdAt.getTime() + 604800000) // 7 days
+      isCurrentToken(tokenObj, token) &&
+      new Date() < getRefreshTokenExpiry(tokenObj)
   );
 };
 
+// Whether a verified refresh token is still the current one of its session
+// (a retired token means it is being replayed)
+userSchema.methods.isCurrentRefreshToken = function (tokenObj, token) {
+  return isCurrentToken(tokenObj, token);
+};
+
 userSchema.methods.cleanExpiredTokens = function () {
   const now = new Date();
   this.refreshTokens = this.refreshTokens.filter(
-    (tokenObj) => new Date(tokenObj.createdAt.getTime() + 604800000) > now
+    (tokenObj) => getRefreshTokenExpiry(tokenObj) > now
+  );
+};
+
+// Store a newly issued refresh token as the head of a new token family.
+// Each family is one device session.
+userSchema.methods.addRefreshToken = function (
+  token,
+  deviceInfo = {},
+  sessionId = undefined
+) {
+  const { jti, family, exp } = jwt.decode(token);
+  const now = new Date();
+
+  this.cleanExpiredTokens();
+  this.refreshTokens.push({
+    _id: sessionId,
+    tokenHash: hashSensitiveData(token),
+    jti,
+    family,
+    createdAt: now,
+    expiresAt: new Date(exp * 1000),
+    ...deviceInfo,
+    lastUsedAt: now,
+  });
+
+  return this.refreshTokens[this.refreshTokens.length - 1];
+};
+
+// Drop the least recently used sessions beyond
+// SESSION_CONFIG.maxConcurrentSessions; returns the IDs of those dropped
+userSchema.methods.evictExcessSessions = function () {
+  const excess =
+    this.refreshTokens.length - SESSION_CONFIG.maxConcurrentSessions;
+  if (excess <= 0) return [];
+
+  const evicted = [...this.refreshTokens]
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt)
+    .slice(0, excess)
+    .map((tokenObj) => tokenObj._id.toString());
+
+  this.refreshTokens = this.refreshTokens.filter(
+    (tokenObj) => !evicted.includes(tokenObj._id.toString())
   );
+  return evicted;
+};
+
+// Find the session a refresh token belongs to. Tokens issued before
+// rotation carry no family claim and are matched by their hash.
+userSchema.methods.findRefreshTokenFamily = function (token, decoded) {
+  if (decoded.family) {
+    return this.refreshTokens.find(
+      (tokenObj) => tokenObj.family === decoded.family
+    );
+  }
+
+  const tokenHash = hashSensitiveData(token);
+  return this.refreshTokens.find(
+    (tokenObj) => tokenObj.tokenHash === tokenHash
+  );
+};
+
+// Replace the family's current token with its successor
+userSchema.methods.rotateRefreshToken = function (
+  tokenObj,
+  newToken,
+  deviceInfo = {}
+) {
+  const { jti, family, exp } = jwt.decode(newToken);
+  const now = new Date();
+
+  tokenObj.tokenHash = hashSensitiveData(newToken);
+  tokenObj.jti = jti;
+  tokenObj.family = family;
+  tokenObj.expiresAt = new Date(exp * 1000);
+  tokenObj.rotatedAt = now;
+  tokenObj.lastUsedAt = now;
+
+  // Keep the stored name and platform; addresses change as devices move
+  if (deviceInfo.ipAddress) tokenObj.ipAddress = deviceInfo.ipAddress;
+  if (deviceInfo.userAgent) tokenObj.userAgent = deviceInfo.userAgent;
+};
+
+// Revoke a single device session by its ID
+userSchema.methods.revokeSession = function (sessionId) {
+  const count = this.refreshTokens.length;
+  this.refreshTokens = this.refreshTokens.filter(
+    (tokenObj) => tokenObj._id.toString() !== sessionId.toString()
+  );
+  return this.refreshTokens.length < count;
+};
+
+userSchema.methods.revokeRefreshTokenFamily = function (family) {
+  this.refreshTokens = this.refreshTokens.filter(
+    (tokenObj) => tokenObj.family !== family
+  );
+};
+
+// Two-factor authentication management
+// Query projection for the secret fields used below
+const TWO_FACTOR_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Start enrollment with a new secret that is confirmed by verifyTwoFactorSetup
+userSchema.methods.beginTwoFactorSetup = function () {
+  this.twoFactor.pendingSecret = generateSecret();
+  return this.twoFactor.pendingSecret;
+};
+
+// Confirm enrollment with a code from the authenticator app
+userSchema.methods.confirmTwoFactorSetup = function (code) {
+  const step = verifyTotp(this.twoFactor.pendingSecret, code, MFA_CONFIG);
+  if (step === null) return false;
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabledAt = new Date();
+  return true;
+};
+
+// Check a TOTP code, rejecting codes already used in this or an earlier step
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  const step = verifyTotp(this.twoFactor.secret, code, MFA_CONFIG);
+  if (step === null) return false;
+  if (
+    this.twoFactor.lastUsedStep != null &&
+    step <= this.twoFactor.lastUsedStep
+  )
+    return false;
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Recovery code as hashed: case, dashes and spaces are ignored
+const normalizeRecoveryCode = (code) =>
+  String(code || '')
+    .replace(/[\s-]/g, '')
+    .toLowerCase();
+
+// Replace recovery codes; returns the plaintext codes to show once, in
+// groups of five characters
+userSchema.methods.generateRecoveryCodes = function () {
+  const { recoveryCodeCount, recoveryCodeLength } = MFA_CONFIG;
+  const codes = Array.from({ length: recoveryCodeCount }, () =>
+    base32Encode(crypto.randomBytes(Math.ceil((recoveryCodeLength * 5) / 8)))
+      .toLowerCase()
+      .slice(0, recoveryCodeLength)
+      .match(/.{1,5}/g)
+      .join('-')
+  );
+
+  this.twoFactor.recoveryCodes = codes.map((code) => ({
+    hash: hashSensitiveData(normalizeRecoveryCode(code)),
+  }));
+
+  return codes;
+};
+
+// Consume a single-use recovery code
+userSchema.methods.useRecoveryCode = function (code) {
+  const hash = hashSensitiveData(normalizeRecoveryCode(code));
+  const recoveryCode = (this.twoFactor.recoveryCodes || []).find(
+    (entry) => entry.hash === hash && !entry.usedAt
+  );
+  if (!recoveryCode) return false;
+
+  recoveryCode.usedAt = new Date();
+  return true;
+};
+
+userSchema.methods.getRemainingRecoveryCodes = function () {
+  return (this.twoFactor.recoveryCodes || []).filter((entry) => !entry.usedAt)
+    .length;
+};
+
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactor = { enabled: false };
+};
+
+// Email verification management
+// Returns the raw token for the email; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = generateSecureToken(EMAIL_VERIFICATION.tokenBytes);
+
+  this.emailVerificationToken = hashSensitiveData(token);
+  this.emailVerificationExpires = new Date(
+    Date.now() + EMAIL_VERIFICATION.tokenExpiry
+  );
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+userSchema.methods.canResendVerificationEmail = function () {
+  if (!this.emailVerificationSentAt) return true;
+
+  return (
+    Date.now() - this.emailVerificationSentAt.getTime() >=
+    EMAIL_VERIFICATION.resendCooldown
+  );
+};
+
+userSchema.methods.markEmailVerified = function () {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  this.emailVerificationSentAt = undefined;
+};
+
+// Email change management
+// Start a change to `newEmail`; returns the raw token for the confirmation
+// email. Only its hash is stored, and a new request replaces the last one.
+userSchema.methods.createEmailChangeToken = function (newEmail) {
+  const token = generateSecureToken(EMAIL_CHANGE.tokenBytes);
+
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = hashSensitiveData(token);
+  this.emailChangeExpires = new Date(Date.now() + EMAIL_CHANGE.tokenExpiry);
+
+  return token;
+};
+
+// Switch to the confirmed pending address and end all sessions. Returns the
+// raw revert token for the notice sent to the old address.
+userSchema.methods.applyEmailChange = function () {
+  const revertToken = generateSecureToken(EMAIL_CHANGE.tokenBytes);
+
+  this.previousEmail = this.email;
+  this.emailRevertToken = hashSensitiveData(revertToken);
+  this.emailRevertExpires = new Date(Date.now() + EMAIL_CHANGE.revertExpiry);
+
+  this.email = this.pendingEmail;
+  this.pendingEmail = undefined;
+  this.emailChangeToken = undefined;
+  this.emailChangeExpires = undefined;
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+
+  // Links already mailed to the old address must not work any more
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.refreshTokens = [];
+
+  return revertToken;
+};
+
+// Restore the address from before the last change and end all sessions
+userSchema.methods.revertEmailChange = function () {
+  this.email = this.previousEmail;
+  this.previousEmail = undefined;
+  this.emailRevertToken = undefined;
+  this.emailRevertExpires = undefined;
+  this.pendingEmail = undefined;
+  this.emailChangeToken = undefined;
+  this.emailChangeExpires = undefined;
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.refreshTokens = [];
+};
+
+// Password reset management
+// Returns the raw token for the email; only its hash is stored
+userSchema.methods.createPasswordResetToken = function () {
+  const token = generateSecureToken(PASSWORD_RESET.tokenBytes);
+
+  this.passwordResetToken = hashSensitiveData(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET.tokenExpiry);
+
+  return token;
+};
+
+// Whether a reset link was sent within PASSWORD_RESET.resendCooldown. Needs
+// passwordResetExpires selected.
+userSchema.methods.isPasswordResetCoolingDown = function () {
+  if (!this.passwordResetExpires) return false;
+
+  const issuedAt =
+    this.passwordResetExpires.getTime() - PASSWORD_RESET.tokenExpiry;
+  return Date.now() - issuedAt < PASSWORD_RESET.resendCooldown;
+};
+
+// Set a new password, consume the reset token, end all sessions and remove
+// passkeys (one may have been added by whoever had access to the account)
+userSchema.methods.resetPassword = function (newPassword) {
+  this.setPassword(newPassword);
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.refreshTokens = [];
+  this.passkeys = [];
+  this.resetLoginAttempts();
+};
+
+// Self-service account deletion
+userSchema.methods.isPendingDeletion = function () {
+  return !!this.deletionScheduledFor;
+};
+
+// Schedule erasure after the grace period and sign out every device
+userSchema.methods.scheduleDeletion = function (gracePeriod) {
+  const now = new Date();
+  this.deletionRequestedAt = now;
+  this.deletionScheduledFor = new Date(now.getTime() + gracePeriod);
+  this.refreshTokens = [];
+  return this.deletionScheduledFor;
+};
+
+userSchema.methods.cancelDeletion = function () {
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+};
+
+// Account lockout management
+userSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+// Seconds until the lock expires (0 when not locked)
+userSchema.methods.getLockRemainingSeconds = function () {
+  if (!this.isLocked()) return 0;
+  return Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000);
+};
+
+// Count a failed login and lock the account once the limit is reached
+userSchema.methods.registerFailedLogin = function () {
+  const now = Date.now();
+
+  // Forget old failures once the reset window has passed
+  if (
+    this.lastFailedLoginAt &&
+    now - this.lastFailedLoginAt.getTime() > ACCOUNT_LOCKOUT.resetTime
+  ) {
+    this.failedLoginAttempts = 0;
+  }
+
+  // A lock that has run out starts a fresh series of attempts
+  if (this.lockUntil && this.lockUntil.getTime() <= now) {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+  }
+
+  this.failedLoginAttempts += 1;
+  this.lastFailedLoginAt = new Date(now);
+
+  if (this.failedLoginAttempts >= ACCOUNT_LOCKOUT.maxFailedAttempts) {
+    this.lockUntil = new Date(now + ACCOUNT_LOCKOUT.lockoutDuration);
+  }
+};
+
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
 };
 
 // Static method to find by email
@@ -700,6 +1623,67 @@ userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Find the user a provider identity is linked to
+userSchema.statics.findByIdentity = function (provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject } },
+  });
+};
+
+userSchema.statics.findByPasskey = function (credentialId) {
+  return this.findOne({ 'passkeys.credentialId': credentialId });
+};
+
+// Find the user owning an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function (token) {
+  return this.findOne({
+    emailVerificationToken: hashSensitiveData(token),
+    emailVerificationExpires: { $gt: new Date() },
+  }).select('+emailVerificationToken +emailVerificationExpires');
+};
+
+// Whether an address belongs to another account, or is held for an account
+// that can still revert its email change
+userSchema.statics.isEmailTaken = async function (email, exceptUserId) {
+  const normalized = email.toLowerCase();
+  const filter = {
+    $or: [
+      { email: normalized },
+      { previousEmail: normalized, emailRevertExpires: { $gt: new Date() } },
+    ],
+  };
+  if (exceptUserId) {
+    filter._id = { $ne: exceptUserId };
+  }
+  return !!(await this.exists(filter));
+};
+
+// Find the user owning an unexpired email change token
+userSchema.statics.findByEmailChangeToken = function (token) {
+  return this.findOne({
+    emailChangeToken: hashSensitiveData(token),
+    emailChangeExpires: { $gt: new Date() },
+  }).select('+emailChangeToken +emailChangeExpires');
+};
+
+// Find the user owning an unexpired email revert token
+userSchema.statics.findByEmailRevertToken = function (token) {
+  return this.findOne({
+    emailRevertToken: hashSensitiveData(token),
+    emailRevertExpires: { $gt: new Date() },
+  }).select('+previousEmail +emailRevertToken +emailRevertExpires');
+};
+
+// Find the user owning an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    passwordResetToken: hashSensitiveData(token),
+    passwordResetExpires: { $gt: new Date() },
+  }).select(
+    '+password +passwordHistory +passwordResetToken +passwordResetExpires'
+  );
+};
+
 // Find users by onboarding status
 userSchema.statics.findByOnboardingStatus = function (completed = true) {
   return this.find({
@@ -753,4 +1737,52 @@ userSchema.statics.getUserStats = async function () {
   );
 };
 
+// Rewrap the data keys of encrypted sections still wrapped with an older
+// key, so that key can be retired. With `reindex`, also rebuild every
+// medical blind index (needed after the blind index key changes). Returns
+// how many users were updated.
+userSchema.statics.rotateEncryptedFields = async function ({
+  reindex = false,
+} = {}) {
+  const cursor = this.collection.find(
+    { encryptedFields: { $exists: true } },
+    { projection: { encryptedFields: 1 } }
+  );
+  let updated = 0;
+
+  for await (const user of cursor) {
+    const $set = {};
+    for (const section of ENCRYPTED_SECTIONS) {
+      const envelope = user.encryptedFields[section];
+      if (needsRewrap(envelope)) {
+        $set[`encryptedFields.${section}`] = rewrapEnvelope(envelope);
+      }
+    }
+    if (reindex && user.encryptedFields.medicalHistory) {
+      $set.medicalIndex = buildMedicalIndex(
+        decryptSection(
+          user._id,
+          'medicalHistory',
+          user.encryptedFields.medicalHistory
+        )
+      );
+    }
+
+    if (Object.keys($set).length > 0) {
+      await this.collection.updateOne({ _id: user._id }, { $set });
+      updated += 1;
+    }
+  }
+
+  return updated;
+};
+
+userSchema.statics.TWO_FACTOR_FIELDS = TWO_FACTOR_FIELDS;
+userSchema.statics.ENCRYPTED_SECTIONS = ENCRYPTED_SECTIONS;
+userSchema.statics.MEDICAL_CONDITIONS = MEDICAL_CONDITIONS;
+userSchema.statics.encryptSection = encryptSection;
+userSchema.statics.decryptSection = decryptSection;
+userSchema.statics.buildMedicalIndex = buildMedicalIndex;
+userSchema.statics.getMedicalIndexToken = getMedicalIndexToken;
+
 module.exports = mongoose.model('User', userSchema);
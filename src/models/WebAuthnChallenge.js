@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { WEBAUTHN_CONFIG } = require('../config/security');
+const { generateChallenge } = require('../utils/webauthn');
+
+// Outstanding WebAuthn ceremony challenge. Registration challenges belong to
+// the signed-in user; signin challenges are anonymous because passkeys are
+// discoverable. Each challenge can be answered once.
+const webAuthnChallengeSchema = new mongoose.Schema(
+  {
+    challenge: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ['registration', 'authentication'],
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// Remove challenges once they expire
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Store a new challenge and return it
+webAuthnChallengeSchema.statics.issue = async function ({ type, userId }) {
+  const { challenge } = await this.create({
+    challenge: generateChallenge(),
+    type,
+    userId,
+    expiresAt: new Date(Date.now() + WEBAUTHN_CONFIG.challengeExpiry),
+  });
+  return challenge;
+};
+
+// Use up a challenge; false when it is unknown, expired or already answered
+webAuthnChallengeSchema.statics.consume = async function ({
+  challenge,
+  type,
+  userId,
+}) {
+  const filter = { challenge, type, expiresAt: { $gt: new Date() } };
+  if (userId) filter.userId = userId;
+
+  return !!(await this.findOneAndDelete(filter));
+};
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
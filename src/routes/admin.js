@@ -3,17 +3,178 @@ const router = express.Router();
 
 // Import controllers and middleware
 const adminController = require('../controllers/adminController');
-const { requireAdmin } = require('../middleware/auth');
+const apiKeyController = require('../controllers/apiKeyController');
+const consentController = require('../controllers/consentController');
+const {
+  requireStaff,
+  requirePermission,
+  requireRecentAuth,
+} = require('../middleware/auth');
+const { adminLimiter } = require('../middleware/rateLimiter');
+const { deprecatedRoute } = require('../middleware/deprecation');
+const { handleValidationErrors } = require('../middleware/validation');
+const { ROLES, PERMISSIONS, SCOPES } = require('../config/roles');
+const { AUDIT_ACTIONS } = require('../services/auditService');
+const User = require('../models/User');
+const { CONSENT_TYPES } = require('../models/ConsentDocument');
 const { body, param, query } = require('express-validator');
 
 // Validation middleware for admin routes
 const validateUserId = [
   param('id').isMongoId().withMessage('Invalid user ID format'),
+  handleValidationErrors,
 ];
 
 const validateAdminStatusUpdate = [
   param('id').isMongoId().withMessage('Invalid user ID format'),
   body('isAdmin').isBoolean().withMessage('isAdmin must be a boolean value'),
+  handleValidationErrors,
+];
+
+const validateRoleUpdate = [
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  body('role')
+    .isIn(Object.values(ROLES))
+    .withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`),
+  handleValidationErrors,
+];
+
+const validateImpersonation = [
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason must be between 1 and 500 characters'),
+  handleValidationErrors,
+];
+
+const validateImpersonationLogQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID format'),
+  query('subject')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid subject ID format'),
+  handleValidationErrors,
+];
+
+// Audit actions, or a whole area such as `admin.*`
+const AUDIT_ACTION_FILTERS = [
+  ...Object.values(AUDIT_ACTIONS),
+  ...new Set(
+    Object.values(AUDIT_ACTIONS).map((action) => `${action.split('.')[0]}.*`)
+  ),
+];
+
+const validateAuditQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('action')
+    .optional()
+    .isIn(AUDIT_ACTION_FILTERS)
+    .withMessage('Unknown audit action'),
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure'])
+    .withMessage('Outcome must be success or failure'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID format'),
+  query('target')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target ID format'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  handleValidationErrors,
+];
+
+const validateFlaggedLoginQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('user').optional().isMongoId().withMessage('Invalid user ID format'),
+  query('reviewed')
+    .optional()
+    .isBoolean()
+    .withMessage('reviewed must be a boolean value'),
+  handleValidationErrors,
+];
+
+const validateLoginEventId = [
+  param('id').isMongoId().withMessage('Invalid login ID format'),
+  handleValidationErrors,
+];
+
+const validateApiKeyId = [
+  param('id').isMongoId().withMessage('Invalid API key ID format'),
+  handleValidationErrors,
+];
+
+const validateApiKeyCreate = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(Object.values(SCOPES))
+    .withMessage(`Scopes must be any of: ${Object.values(SCOPES).join(', ')}`),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date'),
+  handleValidationErrors,
+];
+
+const validateConsentDocumentQuery = [
+  query('type')
+    .optional()
+    .isIn(Object.values(CONSENT_TYPES))
+    .withMessage('Unknown consent document type'),
+  handleValidationErrors,
+];
+
+const validateConsentDocument = [
+  body('type')
+    .isIn(Object.values(CONSENT_TYPES))
+    .withMessage(
+      `Type must be one of: ${Object.values(CONSENT_TYPES).join(', ')}`
+    ),
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('url')
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('URL must be an https URL'),
+  body('summary')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Summary must be at most 2000 characters'),
+  handleValidationErrors,
 ];
 
 const validateUserQuery = [
@@ -39,15 +200,33 @@ const validateUserQuery = [
     .optional()
     .isIn(['asc', 'desc'])
     .withMessage('Sort order must be asc or desc'),
+  query('role')
+    .optional()
+    .isIn(Object.values(ROLES))
+    .withMessage('Invalid role'),
+  query('condition')
+    .optional()
+    .isIn(User.MEDICAL_CONDITIONS)
+    .withMessage(
+      `Condition must be one of: ${User.MEDICAL_CONDITIONS.join(', ')}`
+    ),
+  handleValidationErrors,
 ];
 
-// Apply admin authentication to all routes
-router.use(requireAdmin);
+// Filtering by medical condition reveals medical data
+const requireMedicalFilterPermission = (req, res, next) =>
+  req.query.condition
+    ? requirePermission(PERMISSIONS.USERS_READ_MEDICAL)(req, res, next)
+    : next();
+
+// Apply staff authentication and rate limiting to all routes; each route
+// then requires the permissions it needs (see config/roles)
+router.use(requireStaff, adminLimiter);
 
 /**
  * @route   GET /api/admin/users
  * @desc    Get all users with pagination and filtering
- * @access  Admin only
+ * @access  users:read
  * @params  Query parameters:
  *          - page: Page number (default: 1)
  *          - limit: Results per page (default: 10, max: 100)
@@ -56,40 +235,254 @@ router.use(requireAdmin);
  *          - sortOrder: Sort direction (asc, desc)
  *          - verified: Filter by email verification (true/false)
  *          - onboardingCompleted: Filter by onboarding status (true/false)
- *          - isAdmin: Filter by admin status (true/false)
+ *          - role: Filter by role (user, coach, nutritionist, support, admin)
+ *          - condition: Filter by medical condition (users:read:medical)
+ *          - isAdmin: Deprecated, filter by admin role (true/false)
  */
-router.get('/users', validateUserQuery, adminController.getAllUsers);
+router.get(
+  '/users',
+  requirePermission(PERMISSIONS.USERS_READ),
+  validateUserQuery,
+  requireMedicalFilterPermission,
+  adminController.getAllUsers
+);
 
 /**
  * @route   GET /api/admin/users/:id
  * @desc    Get detailed information about a specific user
- * @access  Admin only
+ * @access  users:read (medical history also needs users:read:medical)
+ */
+router.get(
+  '/users/:id',
+  requirePermission(PERMISSIONS.USERS_READ),
+  validateUserId,
+  adminController.getUserDetails
+);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Assign a role to a user
+ * @access  users:roles (recent authentication required)
  */
-router.get('/users/:id', validateUserId, adminController.getUserDetails);
+router.patch(
+  '/users/:id/role',
+  requirePermission(PERMISSIONS.USERS_MANAGE_ROLES),
+  requireRecentAuth(),
+  validateRoleUpdate,
+  adminController.updateUserRole
+);
 
 /**
  * @route   PATCH /api/admin/users/:id/admin-status
- * @desc    Update user admin status
- * @access  Admin only
+ * @desc    Update user admin status (deprecated, use /users/:id/role)
+ * @access  users:roles (recent authentication required)
  */
 router.patch(
   '/users/:id/admin-status',
+  deprecatedRoute((req) => `/api/admin/users/${req.params.id}/role`),
+  requirePermission(PERMISSIONS.USERS_MANAGE_ROLES),
+  requireRecentAuth(),
   validateAdminStatusUpdate,
   adminController.updateUserAdminStatus
 );
 
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List roles and their permissions
+ * @access  users:roles
+ */
+router.get(
+  '/roles',
+  requirePermission(PERMISSIONS.USERS_MANAGE_ROLES),
+  adminController.getRoles
+);
+
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Unlock an account locked after failed login attempts
+ * @access  users:unlock
+ */
+router.post(
+  '/users/:id/unlock',
+  requirePermission(PERMISSIONS.USERS_UNLOCK),
+  validateUserId,
+  adminController.unlockUser
+);
+
 /**
  * @route   GET /api/admin/stats
  * @desc    Get user statistics and analytics
- * @access  Admin only
+ * @access  stats:read
  */
-router.get('/stats', adminController.getUserStats);
+router.get(
+  '/stats',
+  requirePermission(PERMISSIONS.STATS_READ),
+  adminController.getUserStats
+);
 
 /**
  * @route   DELETE /api/admin/users/:id
  * @desc    Delete a user account
- * @access  Admin only
+ * @access  users:delete (recent authentication required)
+ */
+router.delete(
+  '/users/:id',
+  requirePermission(PERMISSIONS.USERS_DELETE),
+  requireRecentAuth(),
+  validateUserId,
+  adminController.deleteUser
+);
+
+/**
+ * @route   POST /api/admin/users/:id/impersonate
+ * @desc    Issue a short-lived token to act as a regular user; the reason
+ *          and every request made with the token are logged
+ * @access  users:impersonate (recent authentication required)
+ */
+router.post(
+  '/users/:id/impersonate',
+  requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+  requireRecentAuth(),
+  validateImpersonation,
+  adminController.impersonateUser
+);
+
+/**
+ * @route   GET /api/admin/impersonation-logs
+ * @desc    List impersonation log entries, newest first
+ * @access  audit:read
+ * @params  Query parameters:
+ *          - page, limit: Pagination (default 1 and 50, max limit 100)
+ *          - actor: Staff member ID
+ *          - subject: Impersonated user ID
+ *          - tokenId: Entries for one impersonation token
+ */
+router.get(
+  '/impersonation-logs',
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  validateImpersonationLogQuery,
+  adminController.getImpersonationLogs
+);
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Search the security audit log, newest first
+ * @access  audit:read
+ * @params  Query parameters:
+ *          - page, limit: Pagination (default 1 and 50, max limit 100)
+ *          - action: Audit action (e.g. auth.login) or area (e.g. admin.*)
+ *          - outcome: success or failure
+ *          - actor, target: User IDs
+ *          - requestId: Events from one request (X-Request-Id)
+ *          - from, to: Date range (ISO 8601)
+ */
+router.get(
+  '/audit',
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  validateAuditQuery,
+  adminController.getAuditEvents
+);
+
+/**
+ * @route   GET /api/admin/logins/flagged
+ * @desc    List logins flagged as suspicious, newest first
+ * @access  audit:read
+ * @params  Query parameters:
+ *          - page, limit: Pagination (default 1 and 50, max limit 100)
+ *          - user: User ID
+ *          - reviewed: true or false
  */
-router.delete('/users/:id', validateUserId, adminController.deleteUser);
+router.get(
+  '/logins/flagged',
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  validateFlaggedLoginQuery,
+  adminController.getFlaggedLogins
+);
+
+/**
+ * @route   PATCH /api/admin/logins/:id/review
+ * @desc    Mark a flagged login as reviewed
+ * @access  audit:read
+ */
+router.patch(
+  '/logins/:id/review',
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  validateLoginEventId,
+  adminController.reviewFlaggedLogin
+);
+
+/**
+ * @route   GET /api/admin/api-keys
+ * @desc    List service API keys
+ * @access  api-keys:manage
+ */
+router.get(
+  '/api-keys',
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  apiKeyController.getApiKeys
+);
+
+/**
+ * @route   POST /api/admin/api-keys
+ * @desc    Issue a service API key with scopes and an expiration date
+ * @access  api-keys:manage (recent authentication required)
+ */
+router.post(
+  '/api-keys',
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  requireRecentAuth(),
+  validateApiKeyCreate,
+  apiKeyController.createApiKey
+);
+
+/**
+ * @route   DELETE /api/admin/api-keys/:id
+ * @desc    Revoke a service API key
+ * @access  api-keys:manage
+ */
+router.delete(
+  '/api-keys/:id',
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  validateApiKeyId,
+  apiKeyController.revokeApiKey
+);
+
+/**
+ * @route   GET /api/admin/consent-documents
+ * @desc    List published consent document versions
+ * @access  consents:manage
+ * @params  Query parameters:
+ *          - type: Only versions of this document type
+ */
+router.get(
+  '/consent-documents',
+  requirePermission(PERMISSIONS.CONSENTS_MANAGE),
+  validateConsentDocumentQuery,
+  consentController.getConsentDocuments
+);
+
+/**
+ * @route   POST /api/admin/consent-documents
+ * @desc    Publish the next version of a consent document
+ * @access  consents:manage (recent authentication required)
+ */
+router.post(
+  '/consent-documents',
+  requirePermission(PERMISSIONS.CONSENTS_MANAGE),
+  requireRecentAuth(),
+  validateConsentDocument,
+  consentController.publishConsentDocument
+);
+
+/**
+ * @route   GET /api/admin/consents/report
+ * @desc    Accepted, outdated, withdrawn and pending consents per document
+ * @access  stats:read
+ */
+router.get(
+  '/consents/report',
+  requirePermission(PERMISSIONS.STATS_READ),
+  consentController.getConsentReport
+);
 
 module.exports = router;
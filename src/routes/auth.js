@@ -3,13 +3,137 @@ const router = express.Router();
 
 // Import controllers and middleware
 const authController = require('../controllers/authController');
-const { validateSignup, validateSignin } = require('../middleware/validation');
+const {
+  validateSignup,
+  validateSignin,
+  validateEmail,
+  validateEmailVerification,
+  validateEmailChangeToken,
+  validatePasswordReset,
+  validateMfaChallenge,
+  validateOidcNonce,
+  validateOidcSignin,
+  validateMagicLinkVerify,
+  validatePasskeySignin,
+  validateReauthentication,
+} = require('../middleware/validation');
+const { authenticateToken, blockImpersonation } = require('../middleware/auth');
+const {
+  authLimiter,
+  signupLimiter,
+  emailLimiter,
+  emailTargetLimiter,
+  generalLimiter,
+} = require('../middleware/rateLimiter');
 
 // Authentication routes (public)
-router.post('/signup', validateSignup, authController.signup);
-router.post('/signin', validateSignin, authController.signin);
+router.post('/signup', signupLimiter, validateSignup, authController.signup);
+router.post('/signin', authLimiter, validateSignin, authController.signin);
+router.post(
+  '/magic-link',
+  emailLimiter,
+  validateEmail,
+  emailTargetLimiter,
+  authController.requestMagicLink
+);
+router.post(
+  '/magic-link/verify',
+  authLimiter,
+  validateMagicLinkVerify,
+  authController.verifyMagicLink
+);
+router.post(
+  '/passkey/options',
+  authLimiter,
+  authController.getPasskeySigninOptions
+);
+router.post(
+  '/passkey/verify',
+  authLimiter,
+  validatePasskeySignin,
+  authController.signinWithPasskey
+);
+router.post(
+  '/oidc/:provider/nonce',
+  authLimiter,
+  validateOidcNonce,
+  authController.getProviderNonce
+);
+router.post(
+  '/oidc/:provider',
+  authLimiter,
+  validateOidcSignin,
+  authController.signinWithProvider
+);
+router.post(
+  '/signin/2fa',
+  authLimiter,
+  validateMfaChallenge,
+  authController.verifySigninMfa
+);
+
+// Re-authentication for sensitive operations (signed-in users)
+router.post(
+  '/reauthenticate/passkey-options',
+  authenticateToken,
+  blockImpersonation,
+  authLimiter,
+  authController.getReauthPasskeyOptions
+);
+router.post(
+  '/reauthenticate',
+  authenticateToken,
+  blockImpersonation,
+  authLimiter,
+  validateReauthentication,
+  authController.reauthenticate
+);
+
+// Email verification routes (public)
+router.post(
+  '/verify-email',
+  authLimiter,
+  validateEmailVerification,
+  authController.verifyEmail
+);
+router.post(
+  '/resend-verification',
+  emailLimiter,
+  validateEmail,
+  emailTargetLimiter,
+  authController.resendVerification
+);
+
+// Email change routes (public, opened from emailed links)
+router.post(
+  '/email/confirm',
+  authLimiter,
+  validateEmailChangeToken,
+  authController.confirmEmailChange
+);
+router.post(
+  '/email/revert',
+  authLimiter,
+  validateEmailChangeToken,
+  authController.revertEmailChange
+);
+
+// Password reset routes (public)
+router.post(
+  '/forgot-password',
+  emailLimiter,
+  validateEmail,
+  emailTargetLimiter,
+  authController.forgotPassword
+);
+router.post(
+  '/reset-password',
+  authLimiter,
+  validatePasswordReset,
+  authController.resetPassword
+);
 
 // Additional auth routes
-router.post('/refresh-token', authController.refreshToken);
+router.post('/refresh-token', generalLimiter, authController.refreshToken);
 
 module.exports = router;
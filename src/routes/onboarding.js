@@ -12,7 +12,13 @@ const {
   getProfile,
   skipOnboarding,
 } = require('../controllers/onboardingController');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireRecentAuth,
+  blockImpersonation,
+} = require('../middleware/auth');
+const { requireConsent } = require('../middleware/consent');
+const { onboardingLimiter } = require('../middleware/rateLimiter');
 const {
   validateBasicInfo,
   validateLifestyle,
@@ -21,9 +27,10 @@ const {
   validatePreferences,
   validateLabResults,
 } = require('../middleware/validation');
+const { CONSENT_TYPES } = require('../services/consentService');
 
-// All onboarding routes require authentication
-router.use(authenticateToken);
+// All onboarding routes require authentication; writes are rate limited
+router.use(authenticateToken, onboardingLimiter);
 
 /**
  * @route   GET /api/onboarding/status
@@ -34,7 +41,8 @@ router.get('/status', getOnboardingStatus);
 
 /**
  * @route   GET /api/onboarding/profile
- * @desc    Get user's full profile data
+ * @desc    Get user's full profile data (medical sections are left out for
+ *          staff impersonating the user without users:read:medical)
  * @access  Private
  */
 router.get('/profile', getProfile);
@@ -56,9 +64,17 @@ router.put('/lifestyle', validateLifestyle, updateLifestyle);
 /**
  * @route   PUT /api/onboarding/medical-history
  * @desc    Update medical history section
- * @access  Private
+ * @access  Private (recent authentication and health data consent required,
+ *          not while impersonating)
  */
-router.put('/medical-history', validateMedicalHistory, updateMedicalHistory);
+router.put(
+  '/medical-history',
+  blockImpersonation,
+  requireRecentAuth(),
+  requireConsent(CONSENT_TYPES.HEALTH_DATA),
+  validateMedicalHistory,
+  updateMedicalHistory
+);
 
 /**
  * @route   PUT /api/onboarding/goals
@@ -77,9 +93,17 @@ router.put('/preferences', validatePreferences, updatePreferences);
 /**
  * @route   POST /api/onboarding/lab-results
  * @desc    Submit lab results section for analysis
- * @access  Private
+ * @access  Private (recent authentication and health data consent required,
+ *          not while impersonating)
  */
-router.post('/lab-results', validateLabResults, updateLabResults);
+router.post(
+  '/lab-results',
+  blockImpersonation,
+  requireRecentAuth(),
+  requireConsent(CONSENT_TYPES.HEALTH_DATA),
+  validateLabResults,
+  updateLabResults
+);
 
 /**
  * @route   POST /api/onboarding/complete
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const serviceController = require('../controllers/serviceController');
+const {
+  authenticateApiKeyOrToken,
+  requireScope,
+} = require('../middleware/auth');
+const { serviceLimiter } = require('../middleware/rateLimiter');
+const {
+  handleValidationErrors,
+  validatePlanRequest,
+} = require('../middleware/validation');
+const { SCOPES } = require('../config/roles');
+const { param, query } = require('express-validator');
+
+// Validation middleware for service routes
+const validateUserId = [
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  handleValidationErrors,
+];
+
+const validatePageQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+];
+
+const validateProfileQuery = [
+  query('updatedSince')
+    .optional()
+    .isISO8601()
+    .withMessage('updatedSince must be an ISO 8601 date'),
+  ...validatePageQuery,
+];
+
+// Internal services authenticate with an API key (X-API-Key header); staff
+// can call the same routes with their access token. Each route requires the
+// scopes it needs (see SCOPES in config/roles).
+router.use(authenticateApiKeyOrToken, serviceLimiter);
+
+/**
+ * @route   GET /api/service/profiles
+ * @desc    List completed profiles (medical data with profiles:read:medical)
+ * @access  profiles:read
+ * @params  Query parameters:
+ *          - page, limit: Pagination (default 1 and 20, max limit 100)
+ *          - updatedSince: Only profiles updated at or after this date
+ */
+router.get(
+  '/profiles',
+  requireScope(SCOPES.PROFILES_READ),
+  validateProfileQuery,
+  serviceController.getProfiles
+);
+
+/**
+ * @route   GET /api/service/profiles/:id
+ * @desc    Get a completed profile
+ * @access  profiles:read
+ */
+router.get(
+  '/profiles/:id',
+  requireScope(SCOPES.PROFILES_READ),
+  validateUserId,
+  serviceController.getProfile
+);
+
+/**
+ * @route   GET /api/service/plan-requests
+ * @desc    List users waiting for a plan
+ * @access  plans:read
+ */
+router.get(
+  '/plan-requests',
+  requireScope(SCOPES.PLANS_READ),
+  validatePageQuery,
+  serviceController.getPlanRequests
+);
+
+/**
+ * @route   PATCH /api/service/plan-requests/:id
+ * @desc    Update a user's plan request status
+ * @access  plans:write
+ */
+router.patch(
+  '/plan-requests/:id',
+  requireScope(SCOPES.PLANS_WRITE),
+  validateUserId,
+  validatePlanRequest,
+  serviceController.updatePlanRequest
+);
+
+module.exports = router;
@@ -3,41 +3,196 @@ const router = express.Router();
 
 // Import controllers and middleware
 const authController = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/auth');
+const sessionController = require('../controllers/sessionController');
+const twoFactorController = require('../controllers/twoFactorController');
+const passkeyController = require('../controllers/passkeyController');
+const accountController = require('../controllers/accountController');
+const consentController = require('../controllers/consentController');
+const {
+  authenticateToken,
+  requireVerifiedUser,
+  requireRecentAuth,
+  blockImpersonation,
+} = require('../middleware/auth');
+const { deprecatedRoute } = require('../middleware/deprecation');
+const {
+  authLimiter,
+  signupLimiter,
+  emailLimiter,
+  emailTargetLimiter,
+  generalLimiter,
+  exportLimiter,
+} = require('../middleware/rateLimiter');
 const {
   validateRegistration,
   validateLogin,
   validateProfileUpdate,
   validatePasswordChange,
+  validateEmailChange,
   validatePlanRequest,
+  validateSessionId,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validatePasskeyRegistration,
+  validatePasskeyId,
+  validateDataExport,
+  validateSecurityEventsQuery,
+  validateAccountDeletion,
+  validateConsentUpdate,
 } = require('../middleware/validation');
 
 // Authentication routes (public)
-router.post('/register', validateRegistration, authController.register);
-router.post('/login', validateLogin, authController.login);
-router.post('/refresh-token', authController.refreshToken);
+// Deprecated: these delegate to the /api/auth handlers and response shape
+router.post(
+  '/register',
+  deprecatedRoute('/api/auth/signup'),
+  signupLimiter,
+  validateRegistration,
+  authController.register
+);
+router.post(
+  '/login',
+  deprecatedRoute('/api/auth/signin'),
+  authLimiter,
+  validateLogin,
+  authController.login
+);
+router.post(
+  '/refresh-token',
+  deprecatedRoute('/api/auth/refresh-token'),
+  generalLimiter,
+  authController.refreshToken
+);
 
-// Protected routes (require authentication)
-router.use(authenticateToken);
+// Protected routes (require authentication, limited per user)
+router.use(authenticateToken, generalLimiter);
 
 // User profile routes
 router.get('/profile', authController.getProfile);
 router.put('/profile', validateProfileUpdate, authController.updateProfile);
+// Credential, account and device changes are blocked for staff impersonating
+// the user (see POST /api/admin/users/:id/impersonate)
 router.post(
   '/change-password',
+  blockImpersonation,
+  requireRecentAuth(),
   validatePasswordChange,
   authController.changePassword
 );
 
-// Plan request route
+// Email change (confirmed from the new address, see /api/auth/email/confirm)
+router.post(
+  '/email/change',
+  blockImpersonation,
+  authLimiter,
+  emailLimiter,
+  validateEmailChange,
+  emailTargetLimiter,
+  accountController.requestEmailChange
+);
+
+// Plan request route (verified email required)
 router.put(
   '/plan-request',
+  requireVerifiedUser,
   validatePlanRequest,
   authController.updatePlanRequest
 );
 
+// Personal data export and account deletion
+router.get(
+  '/me/export',
+  blockImpersonation,
+  exportLimiter,
+  validateDataExport,
+  accountController.exportData
+);
+router.delete(
+  '/me',
+  blockImpersonation,
+  validateAccountDeletion,
+  accountController.deleteAccount
+);
+router.post(
+  '/me/restore',
+  blockImpersonation,
+  accountController.restoreAccount
+);
+
+// Consent to terms, privacy, health data processing and marketing. Staff
+// cannot consent on the user's behalf while impersonating.
+router.get('/me/consents', consentController.getMyConsents);
+router.post(
+  '/me/consents',
+  blockImpersonation,
+  validateConsentUpdate,
+  consentController.updateMyConsent
+);
+
+// Security timeline (signins, credential changes, admin actions)
+router.get(
+  '/me/security-events',
+  validateSecurityEventsQuery,
+  accountController.getSecurityEvents
+);
+
+// Device session routes
+router.get('/sessions', sessionController.getSessions);
+router.delete(
+  '/sessions/:id',
+  blockImpersonation,
+  validateSessionId,
+  sessionController.revokeSession
+);
+
+// Two-factor authentication routes. Enrolling or replacing the second factor
+// needs a recent signin or re-authentication; disabling asks for the factors.
+router.post(
+  '/2fa/setup',
+  blockImpersonation,
+  requireRecentAuth(),
+  twoFactorController.setupTwoFactor
+);
+router.post(
+  '/2fa/verify',
+  blockImpersonation,
+  requireRecentAuth(),
+  validateTwoFactorCode,
+  twoFactorController.verifyTwoFactor
+);
+router.post(
+  '/2fa/disable',
+  blockImpersonation,
+  validateTwoFactorDisable,
+  twoFactorController.disableTwoFactor
+);
+
+// Passkey routes. A passkey signs in without a password or TOTP, so adding
+// or removing one needs a recent signin or re-authentication.
+router.get('/passkeys', passkeyController.getPasskeys);
+router.post(
+  '/passkeys/register/options',
+  blockImpersonation,
+  requireRecentAuth(),
+  passkeyController.getRegistrationOptions
+);
+router.post(
+  '/passkeys/register',
+  blockImpersonation,
+  requireRecentAuth(),
+  validatePasskeyRegistration,
+  passkeyController.registerPasskey
+);
+router.delete(
+  '/passkeys/:id',
+  blockImpersonation,
+  requireRecentAuth(),
+  validatePasskeyId,
+  passkeyController.deletePasskey
+);
+
 // Logout routes
 router.post('/logout', authController.logout);
-router.post('/logout-all', authController.logoutAll);
+router.post('/logout-all', blockImpersonation, authController.logoutAll);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getJwks } = require('../utils/keyring');
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys for verifying access and refresh tokens
+ * @access  Public
+ */
+router.get('/jwks.json', (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(getJwks());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
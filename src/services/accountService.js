@@ -0,0 +1,407 @@
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const MagicLink = require('../models/MagicLink');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const LoginEvent = require('../models/LoginEvent');
+const { AppError } = require('../middleware/errorHandler');
+const { ACCOUNT_DELETION, validateEmail } = require('../config/security');
+const { ROLES } = require('../config/roles');
+const { sendMail } = require('../utils/mailer');
+const {
+  buildEmailChangeEmail,
+  buildEmailChangedEmail,
+  buildAccountDeletionEmail,
+} = require('../utils/emailTemplates');
+const { toCsv, objectToCsv } = require('../utils/csv');
+const { createZip } = require('../utils/zip');
+
+/**
+ * Account Service
+ * Email address changes, personal data export and self-service account
+ * deletion (GDPR articles 15, 17 and 20)
+ */
+
+// Send an email without failing the calling request
+const sendAccountEmail = async (message, description) => {
+  try {
+    await sendMail(message);
+  } catch (error) {
+    console.error(`${description} email error:`, error);
+  }
+};
+
+const emailInUseError = () =>
+  new AppError(
+    'A user with this email address already exists',
+    409,
+    'EMAIL_IN_USE'
+  );
+
+// Start changing the account email. The password confirms the request; the
+// change happens once the link sent to the new address is opened.
+const requestEmailChange = async (userId, { newEmail, password }) => {
+  const user = await User.findById(userId).select(
+    '+password +emailRevertExpires'
+  );
+
+  if (!user.password) {
+    throw new AppError(
+      'Set a password before changing your email address',
+      400,
+      'PASSWORD_REQUIRED'
+    );
+  }
+  if (!(await user.comparePassword(password))) {
+    throw new AppError('Password is incorrect', 400, 'INVALID_PASSWORD');
+  }
+
+  const email = newEmail.toLowerCase();
+  if (email === user.email) {
+    throw new AppError(
+      'This is already your email address',
+      400,
+      'EMAIL_UNCHANGED'
+    );
+  }
+
+  const { isValid, errors } = validateEmail(email);
+  if (!isValid) {
+    throw new AppError(errors[0], 400, 'EMAIL_NOT_ALLOWED', { errors });
+  }
+
+  // While the old address can still undo the last change, another change
+  // would replace its revert link
+  if (user.emailRevertExpires > new Date()) {
+    throw new AppError(
+      'Your email address was changed recently. Please try again later',
+      400,
+      'EMAIL_RECENTLY_CHANGED',
+      { retryAfter: user.emailRevertExpires }
+    );
+  }
+
+  if (await User.isEmailTaken(email, user._id)) {
+    throw emailInUseError();
+  }
+
+  const token = user.createEmailChangeToken(email);
+  await user.save();
+
+  await sendAccountEmail(
+    buildEmailChangeEmail({
+      email,
+      token,
+      expiresAt: user.emailChangeExpires,
+    }),
+    'Email change'
+  );
+
+  return { pendingEmail: email, expiresAt: user.emailChangeExpires };
+};
+
+// Save an email swap, reporting a clash on the unique email index (another
+// account took the address after the check) as EMAIL_IN_USE
+const saveEmail = async (user) => {
+  try {
+    await user.save();
+  } catch (error) {
+    if (error.code === 11000 && error.keyValue?.email) {
+      throw emailInUseError();
+    }
+    throw error;
+  }
+};
+
+// Complete a change with the token sent to the new address. Every session
+// ends, and the old address gets a link to undo the change.
+const confirmEmailChange = async (token) => {
+  const user = await User.findByEmailChangeToken(token);
+  if (!user) {
+    throw new AppError(
+      'Email change link is invalid or has expired',
+      400,
+      'INVALID_EMAIL_CHANGE_TOKEN'
+    );
+  }
+
+  if (await User.isEmailTaken(user.pendingEmail, user._id)) {
+    throw emailInUseError();
+  }
+
+  const oldEmail = user.email;
+  const revertToken = user.applyEmailChange();
+  await saveEmail(user);
+  await RevokedToken.revokeAllForUser(user._id, 'email_change');
+  await MagicLink.deleteMany({ userId: user._id });
+
+  await sendAccountEmail(
+    buildEmailChangedEmail({
+      email: oldEmail,
+      newEmail: user.email,
+      token: revertToken,
+      expiresAt: user.emailRevertExpires,
+    }),
+    'Email changed notice'
+  );
+
+  return user;
+};
+
+// Undo the last change with the token sent to the old address
+const revertEmailChange = async (token) => {
+  const user = await User.findByEmailRevertToken(token);
+  if (!user) {
+    throw new AppError(
+      'Email revert link is invalid or has expired',
+      400,
+      'INVALID_EMAIL_REVERT_TOKEN'
+    );
+  }
+
+  user.revertEmailChange();
+  await saveEmail(user);
+  await RevokedToken.revokeAllForUser(user._id, 'email_change');
+  await MagicLink.deleteMany({ userId: user._id });
+
+  return user;
+};
+
+const EXPORT_VERSION = 1;
+
+const SESSION_COLUMNS = [
+  'deviceName',
+  'platform',
+  'ipAddress',
+  'userAgent',
+  'createdAt',
+  'lastUsedAt',
+  'expiresAt',
+];
+
+// Everything we hold about a user, as plain JSON data. Secrets (password and
+// token hashes, TOTP secrets, passkey public keys) are left out.
+const buildDataExport = (user) => {
+  const data = {
+    exportVersion: EXPORT_VERSION,
+    exportedAt: new Date(),
+    profile: user.getFullProfile(),
+    account: {
+      role: user.role,
+      planRequest: user.planRequest,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      twoFactorEnabledAt: user.twoFactor?.enabledAt || null,
+      identities: user.identities.map((identity) => ({
+        provider: identity.provider,
+        email: identity.email || null,
+        linkedAt: identity.linkedAt,
+        lastUsedAt: identity.lastUsedAt || null,
+      })),
+      passkeys: user.passkeys.map((passkey) => ({
+        name: passkey.name,
+        createdAt: passkey.createdAt,
+        lastUsedAt: passkey.lastUsedAt || null,
+      })),
+      pendingEmail: user.pendingEmail || null,
+      deletionScheduledFor: user.deletionScheduledFor || null,
+    },
+    consents: user.consents.map((consent) => ({
+      type: consent.type,
+      version: consent.version,
+      acceptedAt: consent.acceptedAt || null,
+      withdrawnAt: consent.withdrawnAt || null,
+    })),
+    sessions: user.refreshTokens.map((session) => ({
+      deviceName: session.deviceName || null,
+      platform: session.platform || null,
+      ipAddress: session.ipAddress || null,
+      userAgent: session.userAgent || null,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt || null,
+      expiresAt: session.expiresAt || null,
+    })),
+    history: {
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+      lastLoginAt: user.lastLoginAt || null,
+      lastFailedLoginAt: user.lastFailedLoginAt || null,
+      failedLoginAttempts: user.failedLoginAttempts,
+      onboardingCompleted: user.onboardingCompleted,
+    },
+  };
+
+  // Resolve subdocuments and dates to their JSON form
+  return JSON.parse(JSON.stringify(data));
+};
+
+// The same export as a ZIP of CSV files, one per section
+const buildDataExportArchive = (user) => {
+  const data = buildDataExport(user);
+  const {
+    basicInfo,
+    lifestyle,
+    medicalHistory,
+    goals,
+    preferences,
+    labResults,
+    ...profile
+  } = data.profile;
+  const { identities, passkeys, ...account } = data.account;
+
+  return createZip([
+    { name: 'profile.csv', data: objectToCsv({ ...profile, basicInfo }) },
+    { name: 'lifestyle.csv', data: objectToCsv(lifestyle) },
+    { name: 'medical_history.csv', data: objectToCsv(medicalHistory) },
+    { name: 'lab_results.csv', data: objectToCsv(labResults) },
+    { name: 'goals.csv', data: objectToCsv(goals) },
+    { name: 'preferences.csv', data: objectToCsv(preferences) },
+    {
+      name: 'account.csv',
+      data: objectToCsv({
+        exportedAt: data.exportedAt,
+        ...account,
+        history: data.history,
+      }),
+    },
+    {
+      name: 'identities.csv',
+      data: toCsv(['provider', 'email', 'linkedAt', 'lastUsedAt'], identities),
+    },
+    {
+      name: 'passkeys.csv',
+      data: toCsv(['name', 'createdAt', 'lastUsedAt'], passkeys),
+    },
+    {
+      name: 'consents.csv',
+      data: toCsv(
+        ['type', 'version', 'acceptedAt', 'withdrawnAt'],
+        data.consents
+      ),
+    },
+    { name: 'sessions.csv', data: toCsv(SESSION_COLUMNS, data.sessions) },
+  ]);
+};
+
+// Confirm a deletion request with the password, or with the account email
+// for accounts that only sign in with a provider
+const assertDeletionConfirmed = async (user, { password, confirmEmail }) => {
+  if (user.password) {
+    if (!password || !(await user.comparePassword(password))) {
+      throw new AppError('Password is incorrect', 400, 'INVALID_PASSWORD');
+    }
+    return;
+  }
+
+  if (!confirmEmail || confirmEmail.toLowerCase() !== user.email) {
+    throw new AppError(
+      'Confirm by entering the email address of your account',
+      400,
+      'CONFIRMATION_REQUIRED'
+    );
+  }
+};
+
+// Schedule the account for erasure after the grace period. Every session
+// ends now; signing in again during the grace period allows a restore.
+const requestAccountDeletion = async (userId, confirmation) => {
+  const user = await User.findById(userId).select('+password');
+
+  if (user.isPendingDeletion()) {
+    throw new AppError(
+      'Account deletion has already been requested',
+      400,
+      'DELETION_ALREADY_REQUESTED',
+      { deletionScheduledFor: user.deletionScheduledFor }
+    );
+  }
+
+  await assertDeletionConfirmed(user, confirmation);
+
+  // Someone must be left to manage roles
+  if (
+    user.role === ROLES.ADMIN &&
+    (await User.countDocuments({ role: ROLES.ADMIN })) <= 1
+  ) {
+    throw new AppError(
+      'The last admin account cannot be deleted',
+      400,
+      'LAST_ADMIN'
+    );
+  }
+
+  const scheduledFor = user.scheduleDeletion(ACCOUNT_DELETION.gracePeriod);
+  await user.save();
+  await RevokedToken.revokeAllForUser(user._id, 'deletion_requested');
+
+  await sendAccountEmail(
+    buildAccountDeletionEmail({ email: user.email, scheduledFor }),
+    'Account deletion'
+  );
+
+  return scheduledFor;
+};
+
+// Keep an account that is scheduled for deletion
+const cancelAccountDeletion = async (user) => {
+  if (!user.isPendingDeletion()) {
+    throw new AppError(
+      'Account deletion has not been requested',
+      400,
+      'NO_DELETION_PENDING'
+    );
+  }
+
+  user.cancelDeletion();
+  await user.save();
+  return user;
+};
+
+// Remove data kept outside the user document and block remaining tokens.
+// Call after the user document itself has been deleted.
+const eraseUserData = async (userId) => {
+  await Promise.all([
+    MagicLink.deleteMany({ userId }),
+    WebAuthnChallenge.deleteMany({ userId }),
+    LoginEvent.deleteMany({ user: userId }),
+    RevokedToken.revokeAllForUser(userId, 'account_deleted'),
+  ]);
+};
+
+// Permanently delete a user and their data
+const eraseUser = async (userId) => {
+  const user = await User.findByIdAndDelete(userId);
+  if (user) {
+    await eraseUserData(user._id);
+  }
+  return user;
+};
+
+// Erase every account whose grace period has passed; returns how many.
+// Each account is claimed by deleting it, so a restore that lands first
+// wins and concurrent purges never process the same account.
+const purgeDeletedAccounts = async (now = new Date()) => {
+  let purged = 0;
+
+  for (;;) {
+    const user = await User.findOneAndDelete({
+      deletionScheduledFor: { $lte: now },
+    });
+    if (!user) break;
+
+    await eraseUserData(user._id);
+    purged += 1;
+  }
+
+  return purged;
+};
+
+module.exports = {
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+  buildDataExport,
+  buildDataExportArchive,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  eraseUser,
+  purgeDeletedAccounts,
+};
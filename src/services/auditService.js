@@ -0,0 +1,93 @@
+const AuditEvent = require('../models/AuditEvent');
+const { getDeviceInfo } = require('../utils/device');
+
+/**
+ * Audit Service
+ * Records security-relevant actions (signins, credential changes, admin
+ * actions) to the append-only AuditEvent collection
+ */
+
+const AUDIT_ACTIONS = AuditEvent.ACTIONS;
+
+// Record an action taken in a request. The actor defaults to the signed-in
+// user; IP address, user agent, request ID, impersonator and API key come
+// from the request. A failure to write the event is logged and never fails
+// the request.
+const recordAuditEvent = async (
+  req,
+  { action, outcome = 'success', code, actor, target, metadata }
+) => {
+  try {
+    const { ipAddress, userAgent } = getDeviceInfo(req);
+
+    await AuditEvent.create({
+      action,
+      outcome,
+      code,
+      actor: actor === undefined ? req.user?._id : actor,
+      impersonator: req.impersonator?._id,
+      apiKey: req.apiKey?._id,
+      target,
+      ipAddress,
+      userAgent,
+      requestId: req.id,
+      metadata,
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Record a failed action from the error that ended it
+const recordAuditFailure = (req, action, error, details = {}) =>
+  recordAuditEvent(req, {
+    ...details,
+    action,
+    outcome: 'failure',
+    code: error.code || error.name,
+  });
+
+// Security events for one account, newest first, as shown to its owner
+const getSecurityTimeline = async (userId, { page = 1, limit = 20 } = {}) => {
+  const query = { target: userId };
+
+  const [events, total] = await Promise.all([
+    AuditEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditEvent.countDocuments(query),
+  ]);
+
+  return {
+    events: events.map((event) => {
+      // Performed by someone else, e.g. an admin changing the role. Their IP
+      // address and user agent are staff details, not the user's.
+      const byStaff = !!(
+        event.impersonator ||
+        (event.actor && !event.actor.equals(userId))
+      );
+
+      return {
+        id: event._id,
+        action: event.action,
+        outcome: event.outcome,
+        code: event.code || null,
+        ipAddress: byStaff ? null : event.ipAddress || null,
+        userAgent: byStaff ? null : event.userAgent || null,
+        byStaff,
+        metadata: event.metadata || {},
+        createdAt: event.createdAt,
+      };
+    }),
+    total,
+  };
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAuditEvent,
+  recordAuditFailure,
+  getSecurityTimeline,
+};
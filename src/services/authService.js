@@ -0,0 +1,848 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const MagicLink = require('../models/MagicLink');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const OidcNonce = require('../models/OidcNonce');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  generateAccessToken,
+  generateTokenPair,
+  generateMfaChallengeToken,
+  verifyToken,
+  decodeToken,
+} = require('../utils/jwt');
+const {
+  MAGIC_LINK,
+  MFA_CONFIG,
+  AUTH_METHODS,
+  REAUTH_CONFIG,
+  IMPERSONATION_CONFIG,
+  SESSION_CONFIG,
+  PASSWORD_REQUIREMENTS,
+  validatePassword,
+  generateSecureToken,
+  hashSensitiveData,
+} = require('../config/security');
+const { sendMail } = require('../utils/mailer');
+const {
+  buildVerificationEmail,
+  buildMagicLinkEmail,
+} = require('../utils/emailTemplates');
+const { verifyIdToken } = require('../utils/oidc');
+const { ROLES } = require('../config/roles');
+const webauthn = require('../utils/webauthn');
+
+/**
+ * Authentication Service
+ * Registration, credential checks and token sessions shared by the
+ * /api/auth and /api/users route sets
+ */
+
+// Send the verification email without failing the calling request
+const sendVerificationEmail = async (user, token) => {
+  try {
+    await sendMail(
+      buildVerificationEmail({
+        email: user.email,
+        token,
+        expiresAt: user.emailVerificationExpires,
+      })
+    );
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
+
+// Enforce the password policy on a new password. For an existing account
+// (loaded with +password +passwordHistory) recent passwords are refused too.
+// Every violation is listed in details.violations with its own code.
+const assertPasswordAllowed = async (password, { user, email } = {}) => {
+  const { violations } = validatePassword(password, {
+    email: email || user?.email,
+  });
+
+  // Only pay for the bcrypt comparisons once everything else passes
+  if (!violations.length && user && (await user.isPasswordReused(password))) {
+    violations.push({
+      code: 'PASSWORD_REUSED',
+      message: `Password must differ from your last ${PASSWORD_REQUIREMENTS.historySize} passwords`,
+    });
+  }
+
+  if (violations.length) {
+    throw new AppError(
+      violations[0].message,
+      400,
+      'PASSWORD_POLICY_VIOLATION',
+      { violations }
+    );
+  }
+};
+
+// Create an account and send its verification email
+const registerUser = async ({ email, password, name }) => {
+  if (await User.isEmailTaken(email)) {
+    throw new AppError(
+      'A user with this email address already exists',
+      400,
+      'USER_EXISTS'
+    );
+  }
+
+  await assertPasswordAllowed(password, { email });
+
+  const user = new User({ email, password });
+  if (name) {
+    user.basicInfo = { name };
+  }
+  const verificationToken = user.createEmailVerificationToken();
+
+  await user.save();
+  await sendVerificationEmail(user, verificationToken);
+
+  return user;
+};
+
+// 423 error carrying the time left before the account unlocks
+const accountLockedError = (user) =>
+  new AppError(
+    'Account temporarily locked due to too many failed login attempts',
+    423,
+    'ACCOUNT_LOCKED',
+    {
+      retryAfter: user.getLockRemainingSeconds(),
+      lockedUntil: user.lockUntil,
+    }
+  );
+
+// Check email and password, enforcing the account lockout
+const authenticateUser = async ({ email, password }) => {
+  const user = await User.findByEmail(email).select('+password');
+  if (!user) {
+    throw new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
+  }
+
+  if (user.isLocked()) {
+    throw accountLockedError(user);
+  }
+
+  const isPasswordValid = await user.comparePassword(password);
+  if (!isPasswordValid) {
+    user.registerFailedLogin();
+    await user.save();
+
+    if (user.isLocked()) {
+      throw accountLockedError(user);
+    }
+
+    throw new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
+  }
+
+  // The password was right but is past PASSWORD_REQUIREMENTS.maxAge; a new
+  // one has to be set through the password reset email
+  if (user.isPasswordExpired()) {
+    throw new AppError(
+      'Your password has expired. Please reset it to sign in',
+      403,
+      'PASSWORD_EXPIRED',
+      { passwordExpiredAt: user.getPasswordExpiresAt() }
+    );
+  }
+
+  user.resetLoginAttempts();
+  return user;
+};
+
+// Status codes for identity provider failures
+const OIDC_ERROR_STATUS = {
+  UNSUPPORTED_PROVIDER: 400,
+  PROVIDER_NOT_CONFIGURED: 400,
+  INVALID_ID_TOKEN: 401,
+  OIDC_PROVIDER_UNAVAILABLE: 503,
+};
+
+// Start a provider signin: a single-use nonce for the app to pass to the
+// provider's SDK
+const createProviderNonce = (provider) => OidcNonce.issue({ provider });
+
+// Sign in with a provider ID token. The token must carry a nonce issued by
+// createProviderNonce, used up here. The identity is matched to its linked
+// account, else linked to the account with the same provider-verified email,
+// else a new password-less account is created.
+const signInWithProvider = async ({ provider, idToken, nonce, name }) => {
+  let identity;
+  try {
+    identity = await verifyIdToken(provider, idToken, { nonce });
+  } catch (error) {
+    if (!OIDC_ERROR_STATUS[error.code]) throw error;
+    throw new AppError(
+      error.message,
+      OIDC_ERROR_STATUS[error.code],
+      error.code
+    );
+  }
+
+  if (!(await OidcNonce.consume({ provider, nonce }))) {
+    throw new AppError(
+      'Sign-in nonce is invalid or has expired. Please try again',
+      401,
+      'INVALID_OIDC_NONCE'
+    );
+  }
+
+  let user = await User.findByIdentity(identity.provider, identity.subject);
+  if (user) {
+    user.linkIdentity(identity);
+    return { user, isNewUser: false };
+  }
+
+  if (!identity.email) {
+    throw new AppError(
+      'The sign-in provider did not share an email address',
+      400,
+      'EMAIL_REQUIRED'
+    );
+  }
+
+  // Only an address the provider verified may be linked or registered
+  if (!identity.emailVerified) {
+    throw new AppError(
+      'The email address has not been verified by the sign-in provider',
+      403,
+      'PROVIDER_EMAIL_NOT_VERIFIED'
+    );
+  }
+
+  user = await User.findByEmail(identity.email);
+  if (user) {
+    if (!user.isEmailVerified) {
+      // Whoever registered the address never proved they own it, so their
+      // password and sessions must not survive the real owner signing in
+      user.password = undefined;
+      user.refreshTokens = [];
+      user.markEmailVerified();
+      await RevokedToken.revokeAllForUser(user._id, 'identity_linked');
+    }
+
+    user.linkIdentity(identity);
+    return { user, isNewUser: false };
+  }
+
+  user = new User({ email: identity.email });
+  const displayName = identity.name || name;
+  if (displayName) {
+    user.basicInfo = { name: displayName };
+  }
+  user.markEmailVerified();
+  user.linkIdentity(identity);
+  await user.save();
+
+  return { user, isNewUser: true };
+};
+
+// Random zero-padded numeric code
+const generateNumericCode = (digits) =>
+  crypto
+    .randomInt(0, 10 ** digits)
+    .toString()
+    .padStart(digits, '0');
+
+// Start a passwordless login by emailing a link and a code. The returned
+// challenge token stays on the requesting device and is required to use
+// either. It is returned whether or not the account exists, so the response
+// does not reveal registered emails.
+// Within the resend cooldown no challenge is stored and `retryAfter` gives
+// the seconds left; the earlier challenge token keeps working. Only callers
+// that already identified the user may reveal this.
+const requestMagicLink = async (email, deviceInfo = {}) => {
+  const challengeToken = generateSecureToken(MAGIC_LINK.tokenBytes);
+  const expiresAt = new Date(Date.now() + MAGIC_LINK.expiry);
+
+  const user = await User.findByEmail(email);
+  if (!user) {
+    return { challengeToken, expiresAt };
+  }
+
+  const latest = await MagicLink.findOne({ userId: user._id })
+    .sort({ createdAt: -1 })
+    .lean();
+  const cooldownLeft = latest
+    ? latest.createdAt.getTime() + MAGIC_LINK.resendCooldown - Date.now()
+    : 0;
+  if (cooldownLeft > 0) {
+    return {
+      challengeToken,
+      expiresAt,
+      retryAfter: Math.ceil(cooldownLeft / 1000),
+    };
+  }
+
+  // Only the newest challenge can be used
+  await MagicLink.deleteMany({ userId: user._id });
+
+  const token = generateSecureToken(MAGIC_LINK.tokenBytes);
+  const code = generateNumericCode(MAGIC_LINK.codeDigits);
+
+  await MagicLink.create({
+    userId: user._id,
+    deviceHash: hashSensitiveData(challengeToken),
+    tokenHash: hashSensitiveData(token),
+    codeHash: await bcrypt.hash(code, MAGIC_LINK.codeHashRounds),
+    deviceName: deviceInfo.deviceName,
+    platform: deviceInfo.platform,
+    ipAddress: deviceInfo.ipAddress,
+    expiresAt,
+  });
+
+  try {
+    await sendMail(
+      buildMagicLinkEmail({
+        email: user.email,
+        token,
+        code,
+        expiresAt,
+        deviceName: deviceInfo.deviceName,
+      })
+    );
+  } catch (error) {
+    console.error('Magic link email error:', error);
+  }
+
+  return { challengeToken, expiresAt };
+};
+
+const invalidMagicLinkError = (details) =>
+  new AppError(
+    'Sign-in link or code is invalid or has expired',
+    401,
+    'INVALID_MAGIC_LINK',
+    details
+  );
+
+// Exchange the device's challenge token plus the emailed link token or code
+// for the account. Each try uses up an attempt before it is checked, so
+// parallel guesses cannot exceed the limit.
+const verifyMagicLink = async ({ challengeToken, token, code }) => {
+  const challenge = await MagicLink.findOneAndUpdate(
+    {
+      deviceHash: hashSensitiveData(challengeToken),
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: MAGIC_LINK.maxAttempts },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+tokenHash +codeHash');
+
+  if (!challenge) {
+    throw invalidMagicLinkError();
+  }
+
+  const isValid = token
+    ? crypto.timingSafeEqual(
+        Buffer.from(hashSensitiveData(token)),
+        Buffer.from(challenge.tokenHash)
+      )
+    : await bcrypt.compare(code, challenge.codeHash);
+
+  if (!isValid) {
+    const remainingAttempts = MAGIC_LINK.maxAttempts - challenge.attempts;
+    if (remainingAttempts <= 0) {
+      await MagicLink.deleteOne({ _id: challenge._id });
+    }
+    throw invalidMagicLinkError({ remainingAttempts });
+  }
+
+  // Single use: only one request can delete it
+  const consumed = await MagicLink.findOneAndDelete({ _id: challenge._id });
+  if (!consumed) {
+    throw invalidMagicLinkError();
+  }
+
+  const user = await User.findById(challenge.userId);
+  if (!user) {
+    throw invalidMagicLinkError();
+  }
+
+  // Receiving the email proves control of the address
+  if (!user.isEmailVerified) {
+    user.markEmailVerified();
+  }
+
+  return user;
+};
+
+// Start a passkey signin. Passkeys are discoverable, so the options name no
+// account and the browser or OS offers the user's passkeys for our domain.
+const createPasskeySigninOptions = async () => {
+  const challenge = await WebAuthnChallenge.issue({ type: 'authentication' });
+  return webauthn.buildAuthenticationOptions({ challenge });
+};
+
+const invalidPasskeyError = () =>
+  new AppError('Passkey sign-in failed', 401, 'INVALID_PASSKEY');
+
+// Verify a passkey assertion and return the account it belongs to. The
+// authenticator verified the user (biometric or PIN), so no TOTP step follows.
+// options.userId restricts the assertion to that account's passkeys and to
+// challenges issued for it (re-authentication).
+const verifyPasskeySignin = async (credential, { userId } = {}) => {
+  let challenge;
+  try {
+    challenge = webauthn.getResponseChallenge(credential, 'webauthn.get');
+  } catch (error) {
+    throw invalidPasskeyError();
+  }
+
+  if (
+    !(await WebAuthnChallenge.consume({
+      challenge,
+      type: 'authentication',
+      userId,
+    }))
+  ) {
+    throw new AppError(
+      'Passkey challenge is invalid or has expired. Please try again',
+      401,
+      'INVALID_PASSKEY_CHALLENGE'
+    );
+  }
+
+  const user = await User.findByPasskey(credential.id);
+  const passkey = user?.findPasskey(credential.id);
+  if (!passkey || (userId && !user._id.equals(userId))) {
+    throw invalidPasskeyError();
+  }
+
+  const { userHandle } = credential.response;
+  if (userHandle && userHandle !== webauthn.getUserHandle(user._id)) {
+    throw invalidPasskeyError();
+  }
+
+  let result;
+  try {
+    result = webauthn.verifyAuthenticationResponse({
+      credential,
+      expectedChallenge: challenge,
+      passkey,
+    });
+  } catch (error) {
+    if (error.code === 'PASSKEY_COUNTER_MISMATCH') {
+      console.warn(
+        `Passkey ${passkey._id} of user ${user._id} reported a stale sign counter; it may have been cloned`
+      );
+    }
+    throw invalidPasskeyError();
+  }
+
+  user.recordPasskeyUse(passkey, result);
+  return user;
+};
+
+// Whether signin needs a second factor before tokens are issued
+const requiresSecondFactor = (user) => !!user.twoFactor?.enabled;
+
+// First step of a two-step signin: the password (or another first factor,
+// named by amr) was correct, so hand out a short-lived challenge token to
+// exchange with a TOTP or recovery code
+const createMfaChallenge = async (user, { amr } = {}) => {
+  await user.save();
+
+  return {
+    mfaToken: generateMfaChallengeToken(user._id, {
+      expiresIn: MFA_CONFIG.challengeExpiry,
+      amr,
+    }),
+    expiresIn: MFA_CONFIG.challengeExpiry,
+  };
+};
+
+// Second step of a two-step signin. Wrong codes count towards the lockout.
+// Returns the user and the methods used for both steps.
+const completeMfaChallenge = async ({ mfaToken, code, recoveryCode }) => {
+  let decoded;
+  try {
+    decoded = verifyToken(mfaToken, 'mfa');
+  } catch (error) {
+    throw new AppError(
+      'Two-factor challenge is invalid or has expired. Please sign in again',
+      401,
+      'INVALID_MFA_TOKEN'
+    );
+  }
+
+  const user = await User.findById(decoded.userId).select(
+    User.TWO_FACTOR_FIELDS
+  );
+  if (!user || !user.twoFactor.enabled) {
+    throw new AppError(
+      'Two-factor challenge is invalid or has expired. Please sign in again',
+      401,
+      'INVALID_MFA_TOKEN'
+    );
+  }
+
+  if (user.isLocked()) {
+    throw accountLockedError(user);
+  }
+
+  const isCodeValid = code
+    ? user.verifyTwoFactorCode(code)
+    : user.useRecoveryCode(recoveryCode);
+
+  if (!isCodeValid) {
+    user.registerFailedLogin();
+    await user.save();
+
+    if (user.isLocked()) {
+      throw accountLockedError(user);
+    }
+
+    throw new AppError('Invalid authentication code', 401, 'INVALID_MFA_CODE');
+  }
+
+  user.resetLoginAttempts();
+  return {
+    user,
+    amr: [...(decoded.amr || []), AUTH_METHODS.OTP, AUTH_METHODS.MFA],
+  };
+};
+
+// Open a new device session and issue its token pair. amr lists the
+// methods the user signed in with (AUTH_METHODS).
+const startSession = async (user, deviceInfo = {}, { amr } = {}) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const tokens = generateTokenPair(user._id, {
+    sessionId,
+    authTime: new Date(),
+    amr,
+  });
+
+  user.addRefreshToken(tokens.refreshToken, deviceInfo, sessionId);
+  const evicted = user.evictExcessSessions();
+  user.lastLoginAt = new Date();
+  await user.save();
+  // Sessions dropped to make room are signed out, access tokens included
+  for (const evictedId of evicted) {
+    await RevokedToken.revokeSession(user._id, evictedId, 'session_evicted');
+  }
+
+  return tokens;
+};
+
+// Exchange a refresh token for new tokens.
+// With rotation enabled every refresh retires the presented refresh token and
+// issues its successor. Presenting a retired token means it was copied, so the
+// whole token family (that login session) is revoked.
+const refreshSession = async (refreshToken, deviceInfo = {}) => {
+  if (!refreshToken) {
+    throw new AppError(
+      'Please provide a refresh token',
+      400,
+      'REFRESH_TOKEN_REQUIRED'
+    );
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken, 'refresh');
+  } catch (error) {
+    throw new AppError(
+      'Refresh token is invalid or has expired. Please login again',
+      401,
+      'INVALID_REFRESH_TOKEN'
+    );
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    throw new AppError('User no longer exists', 401, 'USER_NOT_FOUND');
+  }
+
+  const tokenFamily = user.findRefreshTokenFamily(refreshToken, decoded);
+  if (!tokenFamily) {
+    throw new AppError(
+      'Refresh token is not valid or has been revoked',
+      401,
+      'INVALID_REFRESH_TOKEN'
+    );
+  }
+
+  // A retired token from a live family is being replayed
+  if (!user.isCurrentRefreshToken(tokenFamily, refreshToken)) {
+    console.warn(
+      `Refresh token reuse detected for user ${user._id}, revoking family ${tokenFamily.family}`
+    );
+    user.revokeRefreshTokenFamily(tokenFamily.family);
+    await user.save();
+    // Whoever replayed the token may hold access tokens of the session too
+    await RevokedToken.revokeSession(
+      user._id,
+      tokenFamily._id,
+      'refresh_token_reuse'
+    );
+
+    throw new AppError(
+      'This refresh token has already been used. Please login again.',
+      401,
+      'REFRESH_TOKEN_REUSED'
+    );
+  }
+
+  if (!SESSION_CONFIG.refreshTokenRotation) {
+    tokenFamily.lastUsedAt = new Date();
+    await user.save();
+
+    return {
+      user,
+      tokens: {
+        accessToken: generateAccessToken(user._id, {
+          sessionId: tokenFamily._id,
+        }),
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+      },
+    };
+  }
+
+  // Issue the successor in the same family and retire the presented token
+  const tokens = generateTokenPair(user._id, {
+    sessionId: tokenFamily._id,
+    family: tokenFamily.family,
+  });
+  user.rotateRefreshToken(tokenFamily, tokens.refreshToken, deviceInfo);
+  await user.save();
+
+  return { user, tokens };
+};
+
+// End a device session, found by the refresh token it was issued or by its
+// ID (the `sid` claim of its access tokens)
+const endSession = async (userId, { refreshToken, sessionId } = {}) => {
+  const sessions = [];
+  if (refreshToken) {
+    const decoded = decodeToken(refreshToken)?.payload;
+    sessions.push(
+      decoded?.family
+        ? { family: decoded.family }
+        : { tokenHash: hashSensitiveData(refreshToken) }
+    );
+  }
+  if (mongoose.isValidObjectId(sessionId)) {
+    sessions.push({ _id: new mongoose.Types.ObjectId(sessionId) });
+  }
+  if (sessions.length === 0) return;
+
+  await User.findByIdAndUpdate(userId, {
+    $pull: { refreshTokens: { $or: sessions } },
+  });
+};
+
+// End every session of a user
+const endAllSessions = async (userId) => {
+  await User.findByIdAndUpdate(userId, {
+    $set: { refreshTokens: [] },
+  });
+};
+
+// Options for a passkey assertion confirming the signed-in user. Unlike
+// signin, the challenge is bound to the account and its passkeys are listed.
+const createReauthPasskeyOptions = async (user) => {
+  if (!user.passkeys.length) {
+    throw new AppError('You have no passkeys registered', 400, 'NO_PASSKEYS');
+  }
+
+  const challenge = await WebAuthnChallenge.issue({
+    type: 'authentication',
+    userId: user._id,
+  });
+  return webauthn.buildAuthenticationOptions({
+    challenge,
+    allowCredentials: user.passkeys,
+  });
+};
+
+// Check the factors presented for re-authentication and return the amr for
+// them. A passkey is enough on its own; otherwise the password is needed and,
+// with 2FA enabled, a TOTP or recovery code too. Failures count towards the
+// account lockout, like signin.
+const verifyReauthFactors = async (
+  user,
+  { password, code, recoveryCode, credential }
+) => {
+  if (credential) {
+    // Loaded separately, so its sign counter is saved here
+    const passkeyUser = await verifyPasskeySignin(credential, {
+      userId: user._id,
+    });
+    await passkeyUser.save();
+    return [AUTH_METHODS.PASSKEY];
+  }
+
+  const twoFactorEnabled = !!user.twoFactor?.enabled;
+  if (!user.password && !twoFactorEnabled) {
+    throw new AppError(
+      'Confirm your identity with a passkey, or set a password first',
+      400,
+      'REAUTH_METHOD_UNAVAILABLE'
+    );
+  }
+
+  const amr = [];
+  let failure = null;
+
+  if (user.password) {
+    if (!password || !(await user.comparePassword(password))) {
+      failure = new AppError('Password is incorrect', 400, 'INVALID_PASSWORD');
+    }
+    amr.push(AUTH_METHODS.PASSWORD);
+  }
+
+  if (!failure && twoFactorEnabled) {
+    const isCodeValid = code
+      ? user.verifyTwoFactorCode(code)
+      : !!recoveryCode && user.useRecoveryCode(recoveryCode);
+    if (!isCodeValid) {
+      failure = new AppError(
+        'Invalid authentication code',
+        400,
+        'INVALID_MFA_CODE'
+      );
+    }
+    amr.push(AUTH_METHODS.OTP);
+  }
+
+  if (failure) {
+    user.registerFailedLogin();
+    await user.save();
+
+    throw user.isLocked() ? accountLockedError(user) : failure;
+  }
+
+  return amr.length > 1 ? [...amr, AUTH_METHODS.MFA] : amr;
+};
+
+// Confirm the signed-in user again before a sensitive change. Locked accounts
+// are refused, and success clears earlier failed attempts. Returns the amr.
+const confirmIdentity = async (user, factors) => {
+  if (user.isLocked()) {
+    throw accountLockedError(user);
+  }
+
+  const amr = await verifyReauthFactors(user, factors);
+  user.resetLoginAttempts();
+  await user.save();
+
+  return amr;
+};
+
+// Confirm the signed-in user again and issue a short-lived access token for
+// the same device session, carrying a fresh auth_time for requireRecentAuth
+const reauthenticate = async ({ userId, sessionId }, factors) => {
+  const user = await User.findById(userId).select(
+    `+password ${User.TWO_FACTOR_FIELDS}`
+  );
+
+  const amr = await confirmIdentity(user, factors);
+
+  const authTime = new Date();
+  return {
+    accessToken: generateAccessToken(user._id, {
+      sessionId,
+      expiresIn: REAUTH_CONFIG.tokenExpiry,
+      authTime,
+      amr,
+    }),
+    expiresIn: REAUTH_CONFIG.tokenExpiry,
+    authTime,
+    amr,
+  };
+};
+
+// Issue a short-lived access token letting a staff member act as a regular
+// user. The token carries an `act` claim naming the staff member, is not tied
+// to a session and cannot be refreshed. Issuing it is logged with the reason.
+const startImpersonation = async (
+  actor,
+  subjectId,
+  { reason, ipAddress, userAgent }
+) => {
+  const subject = await User.findById(subjectId);
+  if (!subject) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  if (subject._id.equals(actor._id) || subject.role !== ROLES.USER) {
+    throw new AppError(
+      'Only regular user accounts can be impersonated',
+      403,
+      'IMPERSONATION_NOT_ALLOWED'
+    );
+  }
+
+  const accessToken = generateAccessToken(subject._id, {
+    actorId: actor._id,
+    expiresIn: IMPERSONATION_CONFIG.tokenExpiry,
+  });
+  const { payload } = decodeToken(accessToken);
+
+  await ImpersonationLog.create({
+    actor: actor._id,
+    subject: subject._id,
+    tokenId: payload.jti,
+    event: 'start',
+    reason,
+    ipAddress,
+    userAgent,
+  });
+
+  return {
+    accessToken,
+    expiresIn: IMPERSONATION_CONFIG.tokenExpiry,
+    expiresAt: new Date(payload.exp * 1000),
+    user: formatAuthUser(subject),
+  };
+};
+
+// User summary returned with tokens
+const formatAuthUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.basicInfo?.name || null,
+  role: user.role,
+  isEmailVerified: user.isEmailVerified,
+  onboardingCompleted: user.onboardingCompleted,
+  onboardingStep: user.onboardingStep,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt,
+  // Set while the account is scheduled for deletion, so the app can offer
+  // POST /api/users/me/restore
+  deletionScheduledFor: user.deletionScheduledFor || null,
+});
+
+module.exports = {
+  sendVerificationEmail,
+  assertPasswordAllowed,
+  registerUser,
+  authenticateUser,
+  createProviderNonce,
+  signInWithProvider,
+  requestMagicLink,
+  verifyMagicLink,
+  createPasskeySigninOptions,
+  verifyPasskeySignin,
+  createReauthPasskeyOptions,
+  confirmIdentity,
+  reauthenticate,
+  startImpersonation,
+  requiresSecondFactor,
+  createMfaChallenge,
+  completeMfaChallenge,
+  startSession,
+  refreshSession,
+  endSession,
+  endAllSessions,
+  formatAuthUser,
+};
@@ -0,0 +1,198 @@
+const User = require('../models/User');
+const ConsentDocument = require('../models/ConsentDocument');
+const { AppError } = require('../middleware/errorHandler');
+
+const { CONSENT_TYPES, WITHDRAWABLE_CONSENT_TYPES } = ConsentDocument;
+
+/**
+ * Consent Service
+ * Versioned consent documents and each user's decision on them
+ */
+
+// Medical data collected under health data consent; erased when the consent
+// is withdrawn since there is no other basis for keeping it
+const HEALTH_DATA_SECTIONS = User.ENCRYPTED_SECTIONS;
+
+const getCurrentDocument = (type) =>
+  ConsentDocument.findOne({ type }).sort({ version: -1 });
+
+// Whether the user accepted `document`, the current version of its type.
+// Never true while no version has been published (`document` is null).
+const hasCurrentConsent = (user, document) =>
+  !!document && user.hasConsented(document.type, document.version);
+
+// Whether the user's medical history and lab results may be used: the
+// current health data consent is accepted
+const canProcessHealthData = async (user) =>
+  hasCurrentConsent(user, await getCurrentDocument(CONSENT_TYPES.HEALTH_DATA));
+
+const formatConsent = (consent) =>
+  consent
+    ? {
+        version: consent.version,
+        acceptedAt: consent.acceptedAt || null,
+        withdrawnAt: consent.withdrawnAt || null,
+      }
+    : null;
+
+// Every current document with the user's decision. `accepted` is true when
+// the user agreed to the current version and has not withdrawn.
+const getConsentStatus = async (user) => {
+  const documents = await ConsentDocument.findCurrent();
+
+  return documents.map((document) => ({
+    document,
+    consent: formatConsent(user.getConsent(document.type)),
+    accepted: user.hasConsented(document.type, document.version),
+    withdrawable: WITHDRAWABLE_CONSENT_TYPES.includes(document.type),
+  }));
+};
+
+// Accept a document version. Only the current version can be accepted, so
+// clients showing an old text are asked to refresh.
+const acceptConsent = async (user, { type, version }) => {
+  const document = await getCurrentDocument(type);
+  if (!document) {
+    throw new AppError(
+      'This consent document has not been published',
+      404,
+      'CONSENT_DOCUMENT_NOT_FOUND'
+    );
+  }
+  if (document.version !== version) {
+    throw new AppError(
+      'A newer version of this document has been published',
+      409,
+      'CONSENT_VERSION_OUTDATED',
+      { type, currentVersion: document.version }
+    );
+  }
+
+  user.acceptConsent(type, version);
+  await user.save();
+  return document;
+};
+
+// Medical sections stored for a user, encrypted or still in plaintext from
+// before migration 004. Read from the raw document: loaded users carry
+// schema defaults in every section.
+const findStoredHealthData = async (userId) => {
+  const stored = await User.findById(userId)
+    .select([...HEALTH_DATA_SECTIONS, 'encryptedFields'])
+    .lean();
+
+  return HEALTH_DATA_SECTIONS.filter(
+    (section) =>
+      stored?.[section] !== undefined || !!stored?.encryptedFields?.[section]
+  );
+};
+
+// Withdraw consent. Withdrawing health data consent also erases the medical
+// history and lab results collected under it. Returns whether a consent in
+// effect was withdrawn and which sections were erased.
+const withdrawConsent = async (user, type) => {
+  if (!WITHDRAWABLE_CONSENT_TYPES.includes(type)) {
+    throw new AppError(
+      'This consent cannot be withdrawn. Delete your account to stop using the service',
+      400,
+      'CONSENT_NOT_WITHDRAWABLE'
+    );
+  }
+
+  const withdrawn = user.withdrawConsent(type);
+  const erased =
+    type === CONSENT_TYPES.HEALTH_DATA
+      ? await findStoredHealthData(user._id)
+      : [];
+  for (const section of erased) {
+    user[section] = undefined;
+  }
+
+  if (withdrawn || erased.length) {
+    await user.save();
+  }
+  return { withdrawn, erased };
+};
+
+// Count users per document type by their decision on the current version.
+// `groups` is the aggregation of user consents by type, version and whether
+// they were withdrawn.
+const summarizeConsents = (groups, documents, totalUsers) =>
+  Object.values(CONSENT_TYPES).map((type) => {
+    const currentVersion =
+      documents.find((document) => document.type === type)?.version || null;
+    const summary = {
+      type,
+      currentVersion,
+      accepted: 0,
+      outdated: 0,
+      withdrawn: 0,
+      pending: totalUsers,
+      versions: [],
+    };
+
+    for (const { _id, count } of groups) {
+      if (_id.type !== type) {
+        continue;
+      }
+
+      if (_id.withdrawn) {
+        summary.withdrawn += count;
+      } else if (currentVersion && _id.version >= currentVersion) {
+        summary.accepted += count;
+      } else {
+        summary.outdated += count;
+      }
+      summary.pending -= count;
+
+      let version = summary.versions.find((v) => v.version === _id.version);
+      if (!version) {
+        version = { version: _id.version, accepted: 0, withdrawn: 0 };
+        summary.versions.push(version);
+      }
+      version[_id.withdrawn ? 'withdrawn' : 'accepted'] += count;
+    }
+
+    summary.versions.sort((a, b) => b.version - a.version);
+    return summary;
+  });
+
+// Consent report across all users
+const buildConsentReport = async () => {
+  const [groups, documents, totalUsers] = await Promise.all([
+    User.aggregate([
+      { $unwind: '$consents' },
+      {
+        $group: {
+          _id: {
+            type: '$consents.type',
+            version: '$consents.version',
+            withdrawn: { $gt: ['$consents.withdrawnAt', null] },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    ConsentDocument.findCurrent(),
+    User.countDocuments(),
+  ]);
+
+  return {
+    generatedAt: new Date(),
+    totalUsers,
+    consents: summarizeConsents(groups, documents, totalUsers),
+  };
+};
+
+module.exports = {
+  CONSENT_TYPES,
+  WITHDRAWABLE_CONSENT_TYPES,
+  getCurrentDocument,
+  hasCurrentConsent,
+  canProcessHealthData,
+  getConsentStatus,
+  acceptConsent,
+  withdrawConsent,
+  summarizeConsents,
+  buildConsentReport,
+};
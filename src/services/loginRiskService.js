@@ -0,0 +1,204 @@
+const LoginEvent = require('../models/LoginEvent');
+const { SUSPICIOUS_LOGIN, hashSensitiveData } = require('../config/security');
+const { lookupCountry, getNetworkPrefix } = require('../utils/geoip');
+const { sendMail } = require('../utils/mailer');
+const {
+  buildNewDeviceEmail,
+  buildSuspiciousLoginEmail,
+} = require('../utils/emailTemplates');
+
+/**
+ * Login Risk Service
+ * Compares each login with the user's recent logins (devices, networks,
+ * countries and usual hours), flags anomalies and alerts the user
+ */
+
+const RISK_FLAGS = LoginEvent.RISK_FLAGS;
+
+// Wording of each anomaly in alert emails
+const RISK_DESCRIPTIONS = {
+  [RISK_FLAGS.NEW_DEVICE]: 'A device that has not signed in before',
+  [RISK_FLAGS.NEW_NETWORK]: 'A network that has not been used before',
+  [RISK_FLAGS.NEW_COUNTRY]: 'A country you have not signed in from before',
+  [RISK_FLAGS.UNUSUAL_HOUR]: 'A time of day you do not usually sign in',
+  [RISK_FLAGS.COUNTRY_CHANGE]:
+    'A different country shortly after another sign-in',
+};
+
+// Identifies a device across logins from what the client reports about it
+const getDeviceHash = ({ deviceName, platform, userAgent }) =>
+  deviceName || platform || userAgent
+    ? hashSensitiveData([platform, deviceName, userAgent].join('|'))
+    : null;
+
+// Hours apart on a 24-hour clock
+const hourDistance = (a, b) => {
+  const difference = Math.abs(a - b);
+  return Math.min(difference, 24 - difference);
+};
+
+// Anomalies of a login compared with earlier successful logins (newest
+// first). A user's first login has nothing to compare with and is never
+// flagged. Hours are compared in UTC.
+const detectAnomalies = (history, login, config = SUSPICIOUS_LOGIN) => {
+  if (!history.length) return [];
+
+  const flags = [];
+
+  if (
+    login.deviceHash &&
+    !history.some((entry) => entry.deviceHash === login.deviceHash)
+  ) {
+    flags.push(RISK_FLAGS.NEW_DEVICE);
+  }
+
+  if (
+    login.network &&
+    !history.some((entry) => entry.network === login.network)
+  ) {
+    flags.push(RISK_FLAGS.NEW_NETWORK);
+  }
+
+  const countries = history.map((entry) => entry.country).filter(Boolean);
+  if (login.country && countries.length && !countries.includes(login.country)) {
+    flags.push(RISK_FLAGS.NEW_COUNTRY);
+  }
+
+  const hour = login.time.getUTCHours();
+  if (
+    history.length >= config.minHistoryForHours &&
+    !history.some(
+      (entry) => hourDistance(entry.createdAt.getUTCHours(), hour) <= 1
+    )
+  ) {
+    flags.push(RISK_FLAGS.UNUSUAL_HOUR);
+  }
+
+  // Countries are all the table knows, so this is a country switch within
+  // the window rather than a distance-over-time check
+  if (
+    login.country &&
+    history.some(
+      (entry) =>
+        entry.country &&
+        entry.country !== login.country &&
+        login.time - entry.createdAt < config.countryChangeWindow
+    )
+  ) {
+    flags.push(RISK_FLAGS.COUNTRY_CHANGE);
+  }
+
+  return flags;
+};
+
+const scoreAnomalies = (flags, config = SUSPICIOUS_LOGIN) =>
+  flags.reduce((score, flag) => score + (config.weights[flag] || 0), 0);
+
+// Assess a login before tokens are issued. The result is passed on to
+// requiresStepUp() and recordLogin().
+const assessLogin = async (user, deviceInfo, now = new Date()) => {
+  const login = {
+    ipAddress: deviceInfo.ipAddress,
+    network: getNetworkPrefix(deviceInfo.ipAddress),
+    country: lookupCountry(deviceInfo.ipAddress),
+    userAgent: deviceInfo.userAgent,
+    deviceName: deviceInfo.deviceName,
+    platform: deviceInfo.platform,
+    deviceHash: getDeviceHash(deviceInfo),
+    time: now,
+  };
+
+  if (!SUSPICIOUS_LOGIN.enabled) {
+    return { login, riskFlags: [], riskScore: 0, flagged: false };
+  }
+
+  const history = await LoginEvent.find({ user: user._id, status: 'success' })
+    .select('deviceHash network country createdAt')
+    .sort({ createdAt: -1 })
+    .limit(SUSPICIOUS_LOGIN.historySize)
+    .lean();
+
+  const riskFlags = detectAnomalies(history, login);
+  const riskScore = scoreAnomalies(riskFlags);
+
+  return {
+    login,
+    riskFlags,
+    riskScore,
+    flagged: riskScore >= SUSPICIOUS_LOGIN.threshold,
+  };
+};
+
+// Whether a flagged login must be confirmed before tokens are issued
+const requiresStepUp = (assessment) =>
+  SUSPICIOUS_LOGIN.stepUp && assessment.flagged;
+
+// Email the user about a flagged login, or a clean login from a new device
+const sendLoginAlert = async (user, { login, riskFlags, flagged }) => {
+  const details = {
+    email: user.email,
+    deviceName: login.deviceName,
+    ipAddress: login.ipAddress,
+    country: login.country,
+    time: login.time,
+  };
+
+  let message = null;
+  if (flagged) {
+    message = buildSuspiciousLoginEmail({
+      ...details,
+      reasons: riskFlags.map((flag) => RISK_DESCRIPTIONS[flag]),
+    });
+  } else if (
+    SUSPICIOUS_LOGIN.alertNewDevice &&
+    riskFlags.includes(RISK_FLAGS.NEW_DEVICE)
+  ) {
+    message = buildNewDeviceEmail(details);
+  }
+  if (!message) return;
+
+  try {
+    await sendMail(message);
+  } catch (error) {
+    console.error('Login alert email error:', error);
+  }
+};
+
+// Add an assessed login to the user's history and, once it succeeded, send
+// any alert. Failures are logged and never fail the signin.
+const recordLogin = async (user, assessment, { status = 'success', amr }) => {
+  const { login, riskFlags, riskScore, flagged } = assessment;
+
+  try {
+    await LoginEvent.create({
+      user: user._id,
+      status,
+      amr,
+      ipAddress: login.ipAddress,
+      network: login.network,
+      country: login.country,
+      userAgent: login.userAgent,
+      deviceName: login.deviceName,
+      platform: login.platform,
+      deviceHash: login.deviceHash,
+      riskFlags,
+      riskScore,
+      flagged,
+    });
+  } catch (error) {
+    console.error('Login history error:', error);
+  }
+
+  if (status === 'success') {
+    await sendLoginAlert(user, assessment);
+  }
+};
+
+module.exports = {
+  RISK_FLAGS,
+  detectAnomalies,
+  scoreAnomalies,
+  assessLogin,
+  requiresStepUp,
+  recordLogin,
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Breached Password Lookup
+ * Offline check against a corpus of SHA-1 hashes of passwords known from
+ * breaches, in the ordered-by-hash format of Have I Been Pwned downloads
+ * (`HASH` or `HASH:COUNT` per line). As with the HIBP range API, hashes are
+ * grouped by their first five characters so a lookup only touches one bucket.
+ */
+
+const DEFAULT_CORPUS = path.join(
+  __dirname,
+  '..',
+  'data',
+  'breached-passwords.txt'
+);
+const PREFIX_LENGTH = 5;
+const HASH_PATTERN = /^[0-9A-F]{40}$/;
+
+// Loaded corpora by file, each a Map of hash prefix -> Set of suffixes
+const corpora = new Map();
+
+const sha1 = (value) =>
+  crypto.createHash('sha1').update(value, 'utf8').digest('hex').toUpperCase();
+
+const parseCorpus = (text) => {
+  const buckets = new Map();
+
+  for (const line of text.split(/\r?\n/)) {
+    const hash = line.split(':')[0].trim().toUpperCase();
+    if (!HASH_PATTERN.test(hash)) continue;
+
+    const prefix = hash.slice(0, PREFIX_LENGTH);
+    if (!buckets.has(prefix)) {
+      buckets.set(prefix, new Set());
+    }
+    buckets.get(prefix).add(hash.slice(PREFIX_LENGTH));
+  }
+
+  return buckets;
+};
+
+// Read a corpus once. A missing file is logged and treated as empty so
+// password changes keep working while the corpus is being replaced.
+const loadCorpus = (file = DEFAULT_CORPUS) => {
+  if (!corpora.has(file)) {
+    let buckets = new Map();
+    try {
+      buckets = parseCorpus(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`Breached password corpus ${file} not loaded:`, error);
+    }
+    corpora.set(file, buckets);
+  }
+  return corpora.get(file);
+};
+
+// Whether the password (or its lowercase form) appears in the corpus
+const isBreachedPassword = (password, file) => {
+  const buckets = loadCorpus(file || DEFAULT_CORPUS);
+
+  return [password, password.toLowerCase()].some((candidate) => {
+    const hash = sha1(candidate);
+    return !!buckets
+      .get(hash.slice(0, PREFIX_LENGTH))
+      ?.has(hash.slice(PREFIX_LENGTH));
+  });
+};
+
+module.exports = {
+  DEFAULT_CORPUS,
+  sha1,
+  parseCorpus,
+  loadCorpus,
+  isBreachedPassword,
+};
@@ -0,0 +1,132 @@
+/**
+ * CBOR Decoder (RFC 8949)
+ * Minimal decoder for the WebAuthn attestation objects and COSE keys sent by
+ * authenticators. Indefinite-length items and tags are not needed there and
+ * are rejected.
+ */
+
+const MAX_DEPTH = 16;
+
+const cborError = (message) => {
+  const error = new Error(`Invalid CBOR: ${message}`);
+  error.code = 'INVALID_CBOR';
+  return error;
+};
+
+// Read the argument following an initial byte; returns [value, nextOffset]
+const readArgument = (buffer, offset, additionalInfo) => {
+  if (additionalInfo < 24) return [additionalInfo, offset];
+
+  const sizes = { 24: 1, 25: 2, 26: 4, 27: 8 };
+  const size = sizes[additionalInfo];
+  if (!size) {
+    throw cborError('indefinite lengths are not supported');
+  }
+  if (offset + size > buffer.length) {
+    throw cborError('unexpected end of data');
+  }
+
+  let value;
+  if (size === 1) value = buffer.readUInt8(offset);
+  else if (size === 2) value = buffer.readUInt16BE(offset);
+  else if (size === 4) value = buffer.readUInt32BE(offset);
+  else {
+    const big = buffer.readBigUInt64BE(offset);
+    if (big > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw cborError('integer too large');
+    }
+    value = Number(big);
+  }
+
+  return [value, offset + size];
+};
+
+const decodeItem = (buffer, offset, depth) => {
+  if (depth > MAX_DEPTH) throw cborError('nesting too deep');
+  if (offset >= buffer.length) throw cborError('unexpected end of data');
+
+  const initialByte = buffer[offset];
+  const majorType = initialByte >> 5;
+  const additionalInfo = initialByte & 0x1f;
+
+  // Simple values and floats
+  if (majorType === 7) {
+    if (additionalInfo === 20) return [false, offset + 1];
+    if (additionalInfo === 21) return [true, offset + 1];
+    if (additionalInfo === 22) return [null, offset + 1];
+    if (additionalInfo === 23) return [undefined, offset + 1];
+    if (additionalInfo === 26 && offset + 5 <= buffer.length) {
+      return [buffer.readFloatBE(offset + 1), offset + 5];
+    }
+    if (additionalInfo === 27 && offset + 9 <= buffer.length) {
+      return [buffer.readDoubleBE(offset + 1), offset + 9];
+    }
+    throw cborError(`unsupported simple value ${additionalInfo}`);
+  }
+
+  const [argument, next] = readArgument(buffer, offset + 1, additionalInfo);
+
+  switch (majorType) {
+    case 0:
+      return [argument, next];
+    case 1:
+      return [-1 - argument, next];
+    case 2:
+    case 3: {
+      if (next + argument > buffer.length) {
+        throw cborError('unexpected end of data');
+      }
+      const bytes = buffer.subarray(next, next + argument);
+      return [
+        majorType === 2 ? Buffer.from(bytes) : bytes.toString('utf8'),
+        next + argument,
+      ];
+    }
+    case 4: {
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < argument; i++) {
+        let item;
+        [item, cursor] = decodeItem(buffer, cursor, depth + 1);
+        items.push(item);
+      }
+      return [items, cursor];
+    }
+    case 5: {
+      // Maps keep non-string keys (COSE keys use integers)
+      const map = new Map();
+      let cursor = next;
+      for (let i = 0; i < argument; i++) {
+        let key;
+        let value;
+        [key, cursor] = decodeItem(buffer, cursor, depth + 1);
+        [value, cursor] = decodeItem(buffer, cursor, depth + 1);
+        map.set(key, value);
+      }
+      return [map, cursor];
+    }
+    default:
+      throw cborError('tags are not supported');
+  }
+};
+
+// Decode the first item in `buffer`; returns { value, length } so callers can
+// find data that follows it
+const decodeFirst = (buffer, offset = 0) => {
+  const [value, end] = decodeItem(buffer, offset, 0);
+  return { value, length: end - offset };
+};
+
+// Decode a buffer holding exactly one item
+const decode = (buffer) => {
+  const { value, length } = decodeFirst(buffer);
+  if (length !== buffer.length) {
+    throw cborError('trailing data');
+  }
+  return value;
+};
+
+module.exports = {
+  decode,
+  decodeFirst,
+};
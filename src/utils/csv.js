@@ -0,0 +1,65 @@
+/**
+ * CSV Utilities
+ * RFC 4180 output for data exports. Cells that spreadsheet apps would run as
+ * formulas are prefixed with a quote.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from `rows` (objects) with the given column keys
+const toCsv = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(formatCell).join(','))
+    .join('\r\n') + '\r\n';
+
+// Flatten nested data into dotted paths, e.g. { a: { b: 1 } } -> { 'a.b': 1 }.
+// Lists of plain values are joined; lists of objects are indexed.
+const flattenObject = (value, prefix = '', result = {}) => {
+  if (Array.isArray(value)) {
+    if (value.every((item) => item === null || typeof item !== 'object')) {
+      result[prefix] = value.join('; ');
+      return result;
+    }
+    value.forEach((item, index) =>
+      flattenObject(item, `${prefix}.${index}`, result)
+    );
+    return result;
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    Object.entries(value).forEach(([key, item]) =>
+      flattenObject(item, prefix ? `${prefix}.${key}` : key, result)
+    );
+    return result;
+  }
+
+  result[prefix] = value;
+  return result;
+};
+
+// Two-column field/value CSV of a nested object
+const objectToCsv = (value) =>
+  toCsv(
+    ['field', 'value'],
+    Object.entries(flattenObject(value || {})).map(([field, item]) => ({
+      field,
+      value: item,
+    }))
+  );
+
+module.exports = {
+  toCsv,
+  flattenObject,
+  objectToCsv,
+};
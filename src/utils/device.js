@@ -0,0 +1,40 @@
+/**
+ * Device Utilities
+ * Extracts client device details used to label login sessions
+ */
+
+const MAX_FIELD_LENGTH = 200;
+
+const PLATFORMS = ['ios', 'android', 'web', 'other'];
+
+const clean = (value) => {
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.substring(0, MAX_FIELD_LENGTH) : undefined;
+};
+
+const normalizePlatform = (platform) => {
+  const value = clean(platform)?.toLowerCase();
+  if (!value) return undefined;
+  return PLATFORMS.includes(value) ? value : 'other';
+};
+
+// Device details sent by the client in the body (`device: { name, platform }`)
+// or in the X-Device-Name / X-Device-Platform headers
+const getDeviceInfo = (req) => {
+  const device = req.body?.device || {};
+
+  return {
+    deviceName: clean(device.name) || clean(req.get('X-Device-Name')),
+    platform: normalizePlatform(
+      device.platform || req.get('X-Device-Platform')
+    ),
+    ipAddress: req.ip,
+    userAgent: clean(req.get('User-Agent')),
+  };
+};
+
+module.exports = {
+  PLATFORMS,
+  getDeviceInfo,
+};
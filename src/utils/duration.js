@@ -0,0 +1,30 @@
+/**
+ * Duration Utilities
+ * Parses the duration strings used in configuration ('15m', '7d', ...)
+ */
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Convert a jsonwebtoken `expiresIn` value ('15m', '7d' or seconds) to ms
+const parseDuration = (value) => {
+  if (typeof value === 'number') return value * 1000;
+
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i.exec(
+    String(value).trim()
+  );
+  if (!match) return null;
+
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()];
+};
+
+module.exports = {
+  DURATION_UNITS,
+  parseDuration,
+};
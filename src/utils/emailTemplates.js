@@ -0,0 +1,170 @@
+/**
+ * Email Templates
+ * Builds the transactional emails sent by the authentication system
+ */
+
+// Base URL of the client app that handles links from emails
+const getClientUrl = () =>
+  (process.env.CLIENT_APP_URL || 'http://localhost:19006').replace(/\/$/, '');
+
+const buildLink = (pathName, params) => {
+  const query = new URLSearchParams(params).toString();
+  return `${getClientUrl()}${pathName}?${query}`;
+};
+
+// Email address verification
+const buildVerificationEmail = ({ email, token, expiresAt }) => {
+  const link = buildLink('/verify-email', { token });
+
+  return {
+    to: email,
+    subject: 'Verify your email address',
+    text: [
+      'Welcome to Slim!',
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      `This link expires on ${expiresAt.toUTCString()}.`,
+      'If you did not create an account, you can ignore this email.',
+    ].join('\n'),
+  };
+};
+
+// Password reset
+const buildPasswordResetEmail = ({ email, token, expiresAt }) => {
+  const link = buildLink('/reset-password', { token });
+
+  return {
+    to: email,
+    subject: 'Reset your password',
+    text: [
+      'We received a request to reset the password for your Slim account.',
+      '',
+      'Open the link below to choose a new password:',
+      link,
+      '',
+      `This link can be used once and expires on ${expiresAt.toUTCString()}.`,
+      'If you did not request a password reset, you can ignore this email.',
+    ].join('\n'),
+  };
+};
+
+// Passwordless login link and code
+const buildMagicLinkEmail = ({ email, token, code, expiresAt, deviceName }) => {
+  const link = buildLink('/magic-link', { token });
+
+  return {
+    to: email,
+    subject: 'Your Slim sign-in link',
+    text: [
+      `Sign in to Slim${deviceName ? ` on ${deviceName}` : ''} by opening this link on the same device:`,
+      link,
+      '',
+      `Or enter this code in the app: ${code}`,
+      '',
+      `The link and code can be used once and expire on ${expiresAt.toUTCString()}.`,
+      'If you did not try to sign in, you can ignore this email.',
+    ].join('\n'),
+  };
+};
+
+// Confirmation sent to the new address of an email change
+const buildEmailChangeEmail = ({ email, token, expiresAt }) => {
+  const link = buildLink('/confirm-email-change', { token });
+
+  return {
+    to: email,
+    subject: 'Confirm your new email address',
+    text: [
+      'You asked to use this address for your Slim account.',
+      '',
+      'Open the link below to confirm the change:',
+      link,
+      '',
+      `This link can be used once and expires on ${expiresAt.toUTCString()}.`,
+      'If you did not request this change, you can ignore this email.',
+    ].join('\n'),
+  };
+};
+
+// Notice sent to the old address once an email change is complete
+const buildEmailChangedEmail = ({ email, newEmail, token, expiresAt }) => {
+  const link = buildLink('/revert-email-change', { token });
+
+  return {
+    to: email,
+    subject: 'Your Slim email address was changed',
+    text: [
+      `The email address of your Slim account was changed to ${newEmail}.`,
+      'You have been signed out on every device.',
+      '',
+      'If you did not make this change, open the link below to restore this address and secure your account:',
+      link,
+      '',
+      `This link expires on ${expiresAt.toUTCString()}.`,
+    ].join('\n'),
+  };
+};
+
+// Account deletion scheduled
+const buildAccountDeletionEmail = ({ email, scheduledFor }) => ({
+  to: email,
+  subject: 'Your Slim account will be deleted',
+  text: [
+    'We received a request to delete your Slim account.',
+    '',
+    `Your account and all of its data will be permanently deleted on ${scheduledFor.toUTCString()}.`,
+    'You have been signed out on every device.',
+    '',
+    'Changed your mind? Sign in to the app before then and choose to restore your account.',
+    'If you did not request this, sign in and restore your account, then change your password.',
+  ].join('\n'),
+});
+
+// Where and how a login happened, for login alerts
+const describeLogin = ({ deviceName, ipAddress, country, time }) => [
+  `Time: ${time.toUTCString()}`,
+  `Device: ${deviceName || 'Unknown device'}`,
+  `IP address: ${ipAddress || 'unknown'}${country ? ` (${country})` : ''}`,
+];
+
+// Sign-in from a device not seen before
+const buildNewDeviceEmail = ({ email, ...login }) => ({
+  to: email,
+  subject: 'New sign-in to your Slim account',
+  text: [
+    'Your Slim account was just signed in to from a new device.',
+    '',
+    ...describeLogin(login),
+    '',
+    'If this was you, there is nothing else to do.',
+    'If not, change your password and sign out of all devices from the app.',
+  ].join('\n'),
+});
+
+// Sign-in flagged as suspicious
+const buildSuspiciousLoginEmail = ({ email, reasons, ...login }) => ({
+  to: email,
+  subject: 'Unusual sign-in to your Slim account',
+  text: [
+    'We noticed a sign-in to your Slim account that does not look like your usual activity:',
+    ...reasons.map((reason) => `- ${reason}`),
+    '',
+    ...describeLogin(login),
+    '',
+    'If this was you, there is nothing else to do.',
+    'If not, change your password right away and sign out of all devices from the app.',
+  ].join('\n'),
+});
+
+module.exports = {
+  buildVerificationEmail,
+  buildPasswordResetEmail,
+  buildMagicLinkEmail,
+  buildEmailChangeEmail,
+  buildEmailChangedEmail,
+  buildAccountDeletionEmail,
+  buildNewDeviceEmail,
+  buildSuspiciousLoginEmail,
+};
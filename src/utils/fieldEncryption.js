@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { localKeyProvider } = require('./fieldKeyring');
+
+/**
+ * Field-Level Encryption
+ * Envelope encryption for sensitive document fields. Each value is encrypted
+ * with its own random data key (AES-256-GCM), and the data key is wrapped
+ * with the provider's active key encryption key. Rotating keys only rewraps
+ * data keys; the encrypted values stay as they are.
+ *
+ * Envelope: { v, kid, wrappedKey, iv, tag, data } (binary fields base64)
+ */
+
+const ENVELOPE_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+let keyProvider = localKeyProvider;
+
+// Use another key provider (e.g. a KMS client) implementing getActiveKey(),
+// getKey(id) and getBlindIndexKey()
+const setKeyProvider = (provider) => {
+  for (const method of ['getActiveKey', 'getKey', 'getBlindIndexKey']) {
+    if (typeof provider?.[method] !== 'function') {
+      throw new Error(`Field encryption key provider must implement ${method}`);
+    }
+  }
+  keyProvider = provider;
+};
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), data };
+};
+
+// Fails when the key, context or ciphertext do not match
+const open = (key, { iv, tag, data }, aad) => {
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    if (aad) decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+  } catch (error) {
+    throw new Error('Encrypted field failed authentication');
+  }
+};
+
+// Wrapped data key: iv | tag | encrypted key
+const wrapKey = ({ id, key }, dataKey) => {
+  const { iv, tag, data } = seal(key, dataKey, id);
+  return Buffer.concat([iv, tag, data]).toString('base64');
+};
+
+const unwrapKey = (envelope) => {
+  const key = keyProvider.getKey(envelope.kid);
+  if (!key) {
+    throw new Error(`Unknown field encryption key "${envelope.kid}"`);
+  }
+
+  const wrapped = Buffer.from(envelope.wrappedKey, 'base64');
+  return open(
+    key,
+    {
+      iv: wrapped.subarray(0, IV_BYTES),
+      tag: wrapped.subarray(IV_BYTES, IV_BYTES + 16),
+      data: wrapped.subarray(IV_BYTES + 16),
+    },
+    envelope.kid
+  );
+};
+
+const isEnvelope = (value) =>
+  !!value &&
+  typeof value === 'object' &&
+  value.v === ENVELOPE_VERSION &&
+  typeof value.wrappedKey === 'string';
+
+// Encrypt a JSON-serializable value. `context` (e.g. the document and field
+// it belongs to) is authenticated, so an envelope copied elsewhere fails to
+// decrypt.
+const encryptValue = (value, context) => {
+  const activeKey = keyProvider.getActiveKey();
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const { iv, tag, data } = seal(
+    dataKey,
+    Buffer.from(JSON.stringify(value)),
+    context
+  );
+
+  return {
+    v: ENVELOPE_VERSION,
+    kid: activeKey.id,
+    wrappedKey: wrapKey(activeKey, dataKey),
+    iv: iv.toString('base64'),
+    tag: tag.toString('base64'),
+    data: data.toString('base64'),
+  };
+};
+
+const decryptValue = (envelope, context) => {
+  if (!isEnvelope(envelope)) {
+    throw new Error('Not a field encryption envelope');
+  }
+
+  const plaintext = open(
+    unwrapKey(envelope),
+    {
+      iv: Buffer.from(envelope.iv, 'base64'),
+      tag: Buffer.from(envelope.tag, 'base64'),
+      data: Buffer.from(envelope.data, 'base64'),
+    },
+    context
+  );
+  return JSON.parse(plaintext.toString());
+};
+
+// Whether an envelope's data key is wrapped with an older key
+const needsRewrap = (envelope) =>
+  isEnvelope(envelope) && envelope.kid !== keyProvider.getActiveKey().id;
+
+// Wrap an envelope's data key with the active key
+const rewrapEnvelope = (envelope) => {
+  const activeKey = keyProvider.getActiveKey();
+  return {
+    ...envelope,
+    kid: activeKey.id,
+    wrappedKey: wrapKey(activeKey, unwrapKey(envelope)),
+  };
+};
+
+// Keyed hash of a search term, so encrypted fields can be matched for
+// equality without storing the term
+const blindIndex = (term) =>
+  crypto
+    .createHmac('sha256', keyProvider.getBlindIndexKey())
+    .update(String(term))
+    .digest('base64url');
+
+module.exports = {
+  setKeyProvider,
+  isEnvelope,
+  encryptValue,
+  decryptValue,
+  needsRewrap,
+  rewrapEnvelope,
+  blindIndex,
+};
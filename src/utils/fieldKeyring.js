@@ -0,0 +1,159 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Field Encryption Keyring
+ * Local key provider for field-level encryption. Key encryption keys (KEKs)
+ * are 256-bit AES keys identified by an ID; the active key wraps new data
+ * keys and older keys keep unwrapping until every envelope is rewrapped.
+ * A separate key derives blind indexes.
+ *
+ * Keys come from the JSON file at FIELD_ENCRYPTION_KEYS_FILE:
+ *   { "activeKeyId": "k2", "keys": [{ "id": "k1", "key": "<base64>" }, ...],
+ *     "blindIndexKey": "<base64>" }
+ * or from the environment: FIELD_ENCRYPTION_KEYS ("k1:<base64>,k2:<base64>"),
+ * FIELD_ENCRYPTION_ACTIVE_KEY (default: the last key) and
+ * FIELD_ENCRYPTION_BLIND_INDEX_KEY.
+ */
+
+const KEY_BYTES = 32;
+const KEY_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+let cachedKeyring = null;
+
+const decodeKey = (value, name) => {
+  const key = Buffer.from(String(value || ''), 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(
+      `Field encryption key "${name}" must be ${KEY_BYTES} bytes, base64 encoded`
+    );
+  }
+  return key;
+};
+
+const buildKeyring = ({ activeKeyId, keys, blindIndexKey }, source) => {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error(`Field encryption keyring ${source} contains no keys`);
+  }
+
+  const keyMap = new Map();
+  for (const { id, key } of keys) {
+    if (!KEY_ID_PATTERN.test(id || '')) {
+      throw new Error(`Invalid field encryption key ID "${id}" in ${source}`);
+    }
+    if (keyMap.has(id)) {
+      throw new Error(`Field encryption key "${id}" is defined more than once`);
+    }
+    keyMap.set(id, decodeKey(key, id));
+  }
+
+  const activeId = activeKeyId || keys[keys.length - 1].id;
+  if (!keyMap.has(activeId)) {
+    throw new Error(`Active field encryption key "${activeId}" is not defined`);
+  }
+  if (!blindIndexKey) {
+    throw new Error(`Field encryption keyring ${source} has no blindIndexKey`);
+  }
+
+  return {
+    activeKeyId: activeId,
+    keys: keyMap,
+    blindIndexKey: decodeKey(blindIndexKey, 'blindIndexKey'),
+  };
+};
+
+const parseEnvKeys = (value) =>
+  value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return {
+        id: entry.slice(0, separator),
+        key: entry.slice(separator + 1),
+      };
+    });
+
+// Outside production, fall back to keys derived from JWT_SECRET so local
+// setups work without configuration. Data encrypted with them cannot be
+// read once JWT_SECRET changes.
+const buildDevelopmentKeyring = () => {
+  if (process.env.NODE_ENV === 'production' || !process.env.JWT_SECRET) {
+    throw new Error(
+      'Field encryption keys are not configured. Set FIELD_ENCRYPTION_KEYS_FILE or FIELD_ENCRYPTION_KEYS'
+    );
+  }
+
+  console.warn(
+    '⚠️  Field encryption keys are not configured; using development keys derived from JWT_SECRET'
+  );
+  const derive = (info) =>
+    Buffer.from(
+      crypto.hkdfSync(
+        'sha256',
+        process.env.JWT_SECRET,
+        'slim-field-encryption',
+        info,
+        KEY_BYTES
+      )
+    );
+
+  return {
+    activeKeyId: 'dev',
+    keys: new Map([['dev', derive('kek')]]),
+    blindIndexKey: derive('blind-index'),
+  };
+};
+
+// Load the keyring from the file or environment
+const loadFieldKeyring = (env = process.env) => {
+  if (env.FIELD_ENCRYPTION_KEYS_FILE) {
+    const file = env.FIELD_ENCRYPTION_KEYS_FILE;
+    return buildKeyring(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+  }
+  if (env.FIELD_ENCRYPTION_KEYS) {
+    return buildKeyring(
+      {
+        activeKeyId: env.FIELD_ENCRYPTION_ACTIVE_KEY,
+        keys: parseEnvKeys(env.FIELD_ENCRYPTION_KEYS),
+        blindIndexKey: env.FIELD_ENCRYPTION_BLIND_INDEX_KEY,
+      },
+      'FIELD_ENCRYPTION_KEYS'
+    );
+  }
+  return buildDevelopmentKeyring();
+};
+
+const getKeyring = () => {
+  if (!cachedKeyring) {
+    cachedKeyring = loadFieldKeyring();
+  }
+  return cachedKeyring;
+};
+
+// Read the keys again, e.g. after adding a key to the file
+const reloadFieldKeyring = () => {
+  cachedKeyring = loadFieldKeyring();
+  return cachedKeyring;
+};
+
+// The key provider interface used by utils/fieldEncryption
+const localKeyProvider = {
+  getActiveKey: () => {
+    const { activeKeyId, keys } = getKeyring();
+    return { id: activeKeyId, key: keys.get(activeKeyId) };
+  },
+  getKey: (id) => getKeyring().keys.get(id) || null,
+  getBlindIndexKey: () => getKeyring().blindIndexKey,
+};
+
+// A new random key, base64 encoded for the keyring
+const generateFieldKey = () => crypto.randomBytes(KEY_BYTES).toString('base64');
+
+module.exports = {
+  loadFieldKeyring,
+  reloadFieldKeyring,
+  localKeyProvider,
+  generateFieldKey,
+};
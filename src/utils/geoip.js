@@ -0,0 +1,131 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * IP Geolocation
+ * Offline IPv4-to-country lookup against a table of address ranges, one
+ * `start,end,CC` line per range (dotted IPv4, `#` for comments), optionally
+ * gzipped. The bundled table is built from the regional internet registries'
+ * data by scripts/build-ip-country.js.
+ */
+
+const DEFAULT_TABLE = path.join(__dirname, '..', 'data', 'ip-country.csv.gz');
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+// Loaded tables by file, each a list of ranges sorted by start address
+const tables = new Map();
+
+// IPv4 address (also IPv4-mapped IPv6, as Express reports it) as a number
+const ipv4ToNumber = (ip) => {
+  const address = String(ip || '').replace(/^::ffff:/i, '');
+  if (!net.isIPv4(address)) return null;
+
+  return address
+    .split('.')
+    .reduce((value, octet) => value * 256 + Number(octet), 0);
+};
+
+const parseTable = (text) => {
+  const ranges = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line || line.startsWith('#')) continue;
+
+    const [start, end, country] = line.split(',').map((field) => field.trim());
+    const range = {
+      start: ipv4ToNumber(start),
+      end: ipv4ToNumber(end),
+      country: country?.toUpperCase(),
+    };
+    if (
+      range.start !== null &&
+      range.end !== null &&
+      range.start <= range.end &&
+      COUNTRY_PATTERN.test(range.country)
+    ) {
+      ranges.push(range);
+    }
+  }
+
+  return ranges.sort((a, b) => a.start - b.start);
+};
+
+// Read a table once. A missing file is logged and treated as empty, so
+// lookups return null rather than failing signins.
+const loadTable = (file = DEFAULT_TABLE) => {
+  if (!tables.has(file)) {
+    let ranges = [];
+    try {
+      const data = fs.readFileSync(file);
+      ranges = parseTable(
+        (file.endsWith('.gz') ? zlib.gunzipSync(data) : data).toString('utf8')
+      );
+    } catch (error) {
+      console.error(`IP-to-country table ${file} not loaded:`, error);
+    }
+    tables.set(file, ranges);
+  }
+  return tables.get(file);
+};
+
+// ISO 3166 country code of an IPv4 address, or null when unknown
+const lookupCountry = (ip, file) => {
+  const value = ipv4ToNumber(ip);
+  if (value === null) return null;
+
+  const ranges = loadTable(file);
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const range = ranges[middle];
+    if (value < range.start) {
+      high = middle - 1;
+    } else if (value > range.end) {
+      low = middle + 1;
+    } else {
+      return range.country;
+    }
+  }
+  return null;
+};
+
+// Expand an IPv6 address to its eight 16-bit groups
+const expandIpv6 = (address) => {
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+
+  return [
+    ...headGroups,
+    ...Array(tail === undefined ? 0 : missing).fill('0'),
+    ...tailGroups,
+  ].map((group) => parseInt(group, 16));
+};
+
+// Network an address belongs to, as a CIDR prefix: the /24 for IPv4 and
+// the /48 for IPv6 (a typical home or office allocation)
+const getNetworkPrefix = (ip) => {
+  const address = String(ip || '').replace(/^::ffff:/i, '');
+
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (net.isIPv6(address) && !address.includes('.')) {
+    const groups = expandIpv6(address.split('%')[0]).slice(0, 3);
+    return `${groups.map((group) => group.toString(16)).join(':')}::/48`;
+  }
+  return null;
+};
+
+module.exports = {
+  DEFAULT_TABLE,
+  ipv4ToNumber,
+  parseTable,
+  loadTable,
+  lookupCountry,
+  getNetworkPrefix,
+};
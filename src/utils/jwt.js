@@ -1,11 +1,67 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { parseDuration } = require('./duration');
+const { REAUTH_CONFIG, IMPERSONATION_CONFIG } = require('../config/security');
+const {
+  isKeyringEnabled,
+  getSigningKey,
+  getVerificationKey,
+} = require('./keyring');
 
 /**
  * JWT Utility Functions for Authentication
  * Provides secure token generation, verification, and management
  */
 
+// Sign with the active keyring key (RS256/ES256) when JWT_KEYS_FILE is set,
+// otherwise with the shared JWT_SECRET (HS256)
+const signToken = (payload, tokenOptions) => {
+  if (!isKeyringEnabled()) {
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+      ...tokenOptions,
+      algorithm: 'HS256',
+    });
+  }
+
+  const key = getSigningKey();
+  return jwt.sign(payload, key.privateKey, {
+    ...tokenOptions,
+    algorithm: key.alg,
+    keyid: key.kid,
+  });
+};
+
+// Key and algorithm to verify a token with, picked by its `kid` header.
+// HS256 tokens without a `kid` are accepted while JWT_SECRET is set.
+const getVerificationOptions = (token) => {
+  const header = decodeToken(token)?.header;
+
+  if (header?.kid) {
+    const key = isKeyringEnabled() ? getVerificationKey(header.kid) : null;
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown or retired signing key');
+    }
+    return { secret: key.publicKey, algorithms: [key.alg] };
+  }
+
+  if (!process.env.JWT_SECRET) {
+    throw new jwt.JsonWebTokenError('HS256 tokens are no longer accepted');
+  }
+  return { secret: process.env.JWT_SECRET, algorithms: ['HS256'] };
+};
+
+// `auth_time` (seconds) and `amr` claims from options.authTime/options.amr
+const getAuthenticationClaims = ({ authTime, amr } = {}) => {
+  const claims = {};
+  if (authTime) {
+    claims.auth_time = Math.floor(new Date(authTime).getTime() / 1000);
+  }
+  if (amr?.length) {
+    claims.amr = amr;
+  }
+  return claims;
+};
+
 // Generate JWT access token with security enhancements
 const generateAccessToken = (userId, options = {}) => {
   const payload = {
@@ -14,23 +70,39 @@ const generateAccessToken = (userId, options = {}) => {
     jti: crypto.randomUUID(), // Unique token ID for tracking
   };
 
+  // Device session the token was issued for
+  if (options.sessionId) {
+    payload.sid = options.sessionId.toString();
+  }
+
+  // When and how the user last proved who they are (OpenID Connect claims),
+  // checked by requireRecentAuth
+  Object.assign(payload, getAuthenticationClaims(options));
+
+  // Staff member acting as the user (RFC 8693 `act` claim), see
+  // POST /api/admin/users/:id/impersonate
+  if (options.actorId) {
+    payload.act = { sub: options.actorId.toString() };
+  }
+
   const tokenOptions = {
     expiresIn: options.expiresIn || process.env.JWT_EXPIRES_IN || '15m',
     issuer: process.env.JWT_ISSUER || 'fitness-app',
     audience: process.env.JWT_AUDIENCE || 'fitness-app-users',
     subject: userId.toString(),
-    algorithm: 'HS256',
   };
 
-  return jwt.sign(payload, process.env.JWT_SECRET, tokenOptions);
+  return signToken(payload, tokenOptions);
 };
 
 // Generate JWT refresh token
+// Tokens rotated from the same login share a family ID for reuse detection
 const generateRefreshToken = (userId, options = {}) => {
   const payload = {
     userId,
     type: 'refresh',
     jti: crypto.randomUUID(),
+    family: options.family || crypto.randomUUID(),
   };
 
   const tokenOptions = {
@@ -38,19 +110,40 @@ const generateRefreshToken = (userId, options = {}) => {
     issuer: process.env.JWT_ISSUER || 'fitness-app',
     audience: process.env.JWT_AUDIENCE || 'fitness-app-users',
     subject: userId.toString(),
-    algorithm: 'HS256',
   };
 
-  return jwt.sign(payload, process.env.JWT_SECRET, tokenOptions);
+  return signToken(payload, tokenOptions);
+};
+
+// Generate a short-lived token proving the first step of a two-step signin;
+// it is exchanged for real tokens with a second factor. options.amr records
+// how the first step was passed.
+const generateMfaChallengeToken = (userId, options = {}) => {
+  const payload = {
+    userId,
+    type: 'mfa',
+    jti: crypto.randomUUID(),
+    ...getAuthenticationClaims({ amr: options.amr }),
+  };
+
+  const tokenOptions = {
+    expiresIn: options.expiresIn || '5m',
+    issuer: process.env.JWT_ISSUER || 'fitness-app',
+    audience: process.env.JWT_AUDIENCE || 'fitness-app-users',
+    subject: userId.toString(),
+  };
+
+  return signToken(payload, tokenOptions);
 };
 
 // Verify JWT token with enhanced security
 const verifyToken = (token, expectedType = 'access') => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+    const { secret, algorithms } = getVerificationOptions(token);
+    const decoded = jwt.verify(token, secret, {
       issuer: process.env.JWT_ISSUER || 'fitness-app',
       audience: process.env.JWT_AUDIENCE || 'fitness-app-users',
-      algorithms: ['HS256'],
+      algorithms,
     });
 
     // Verify token type
@@ -98,10 +191,31 @@ const getTokenExpiration = (token) => {
   }
 };
 
+// Lifetime of newly issued access tokens in ms
+const getAccessTokenLifetime = () =>
+  parseDuration(process.env.JWT_EXPIRES_IN || '15m') || 15 * 60 * 1000;
+
+// Longest lifetime in ms of any access token: regular, re-authentication and
+// impersonation tokens
+const getMaxAccessTokenLifetime = () =>
+  Math.max(
+    getAccessTokenLifetime(),
+    parseDuration(REAUTH_CONFIG.tokenExpiry) || 0,
+    parseDuration(IMPERSONATION_CONFIG.tokenExpiry) || 0
+  );
+
 // Generate token pair (access + refresh)
-const generateTokenPair = (userId) => {
-  const accessToken = generateAccessToken(userId);
-  const refreshToken = generateRefreshToken(userId);
+// options.sessionId tags the access token, options.family continues a
+// refresh token family, options.authTime/options.amr describe the login
+const generateTokenPair = (userId, options = {}) => {
+  const accessToken = generateAccessToken(userId, {
+    sessionId: options.sessionId,
+    authTime: options.authTime,
+    amr: options.amr,
+  });
+  const refreshToken = generateRefreshToken(userId, {
+    family: options.family,
+  });
 
   return {
     accessToken,
@@ -134,10 +248,14 @@ const isValidTokenFormat = (token) => {
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
+  generateMfaChallengeToken,
   verifyToken,
   decodeToken,
   isTokenExpired,
   getTokenExpiration,
+  parseDuration,
+  getAccessTokenLifetime,
+  getMaxAccessTokenLifetime,
   generateTokenPair,
   extractTokenFromHeader,
   isValidTokenFormat,
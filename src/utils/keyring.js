@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseDuration } = require('./duration');
+
+/**
+ * JWT Signing Keyring
+ * Asymmetric signing keys identified by `kid`, loaded from the manifest at
+ * JWT_KEYS_FILE. Each key activates at a scheduled time; the previous key
+ * keeps verifying tokens for an overlap window after its successor takes over.
+ */
+
+// Key type required by each supported algorithm
+const SUPPORTED_ALGORITHMS = {
+  RS256: { type: 'rsa' },
+  ES256: { type: 'ec', namedCurve: 'prime256v1' },
+};
+
+const MIN_RSA_MODULUS_LENGTH = 2048;
+
+let cachedKeyring = null;
+
+// Tokens signed by a replaced key stay valid this long, so it defaults to the
+// longest token lifetime (refresh tokens)
+const getOverlapWindow = () =>
+  parseDuration(
+    process.env.JWT_KEY_OVERLAP || process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+  );
+
+const parseDate = (value, kid, field) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`JWT key "${kid}" has an invalid ${field} date`);
+  }
+  return date;
+};
+
+const readKeyFile = (manifestDir, file) =>
+  fs.readFileSync(path.resolve(manifestDir, file), 'utf8');
+
+// Check the key material matches the algorithm it is declared for
+const assertKeyMatchesAlgorithm = (kid, alg, publicKey) => {
+  const requirements = SUPPORTED_ALGORITHMS[alg];
+  if (!requirements) {
+    throw new Error(
+      `JWT key "${kid}" uses unsupported algorithm ${alg}. Supported: ${Object.keys(
+        SUPPORTED_ALGORITHMS
+      ).join(', ')}`
+    );
+  }
+
+  const details = publicKey.asymmetricKeyDetails || {};
+  if (publicKey.asymmetricKeyType !== requirements.type) {
+    throw new Error(`JWT key "${kid}" is not a valid ${alg} key`);
+  }
+  if (
+    requirements.namedCurve &&
+    details.namedCurve !== requirements.namedCurve
+  ) {
+    throw new Error(`JWT key "${kid}" must use the P-256 curve for ${alg}`);
+  }
+  if (
+    requirements.type === 'rsa' &&
+    details.modulusLength < MIN_RSA_MODULUS_LENGTH
+  ) {
+    throw new Error(
+      `JWT key "${kid}" must be at least ${MIN_RSA_MODULUS_LENGTH} bits`
+    );
+  }
+};
+
+// Build one keyring entry from its manifest definition
+const loadKey = (definition, manifestDir) => {
+  const { kid, alg, privateKeyFile, publicKeyFile } = definition;
+
+  if (!kid || typeof kid !== 'string') {
+    throw new Error('Every JWT key needs a string "kid"');
+  }
+  if (!privateKeyFile && !publicKeyFile) {
+    throw new Error(
+      `JWT key "${kid}" needs a privateKeyFile or a publicKeyFile`
+    );
+  }
+
+  // Verify-only keys (publicKeyFile) cover retired keys whose private half
+  // has already been destroyed
+  const privateKey = privateKeyFile
+    ? crypto.createPrivateKey(readKeyFile(manifestDir, privateKeyFile))
+    : null;
+  const publicKey = privateKey
+    ? crypto.createPublicKey(privateKey)
+    : crypto.createPublicKey(readKeyFile(manifestDir, publicKeyFile));
+
+  assertKeyMatchesAlgorithm(kid, alg, publicKey);
+
+  return {
+    kid,
+    alg,
+    privateKey,
+    publicKey,
+    activatesAt: parseDate(definition.activatesAt, kid, 'activatesAt'),
+    retiresAt: parseDate(definition.retiresAt, kid, 'retiresAt'),
+  };
+};
+
+// Load and validate the key manifest:
+// { "keys": [{ "kid", "alg", "privateKeyFile", "activatesAt", "retiresAt" }] }
+// Key files are resolved relative to the manifest.
+const loadKeyring = (manifestPath = process.env.JWT_KEYS_FILE) => {
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const manifestDir = path.dirname(path.resolve(manifestPath));
+
+  if (!Array.isArray(manifest.keys) || manifest.keys.length === 0) {
+    throw new Error(`JWT key manifest ${manifestPath} contains no keys`);
+  }
+
+  const keys = manifest.keys
+    .map((definition) => loadKey(definition, manifestDir))
+    .sort(
+      (a, b) =>
+        (a.activatesAt?.getTime() || 0) - (b.activatesAt?.getTime() || 0)
+    );
+
+  const kids = new Set();
+  keys.forEach((key, index) => {
+    if (kids.has(key.kid)) {
+      throw new Error(`JWT key "${key.kid}" is defined more than once`);
+    }
+    kids.add(key.kid);
+
+    // Without an explicit date, a key retires one overlap window after the
+    // next key activates
+    const successor = keys[index + 1];
+    if (!key.retiresAt && successor?.activatesAt) {
+      key.retiresAt = new Date(
+        successor.activatesAt.getTime() + getOverlapWindow()
+      );
+    }
+  });
+
+  return keys;
+};
+
+// Whether tokens are signed with the keyring instead of JWT_SECRET
+const isKeyringEnabled = () => !!process.env.JWT_KEYS_FILE;
+
+const getKeys = () => {
+  if (!cachedKeyring) {
+    cachedKeyring = loadKeyring();
+  }
+  return cachedKeyring;
+};
+
+// Read the manifest again; the previous keys stay in use if it is invalid
+const reloadKeyring = () => {
+  cachedKeyring = loadKeyring();
+  return cachedKeyring;
+};
+
+const isActive = (key, now) => !key.activatesAt || key.activatesAt <= now;
+const isRetired = (key, now) => !!key.retiresAt && key.retiresAt <= now;
+
+// Most recently activated key that can still sign
+const getSigningKey = (now = new Date()) => {
+  const key = getKeys()
+    .filter(
+      (candidate) => isActive(candidate, now) && !isRetired(candidate, now)
+    )
+    .pop();
+
+  if (!key) {
+    throw new Error('No active JWT signing key is available');
+  }
+  if (!key.privateKey) {
+    throw new Error(`Active JWT key "${key.kid}" has no private key`);
+  }
+
+  return key;
+};
+
+// Key for verifying a token signed with `kid`, or null when unknown/retired.
+// Scheduled keys are accepted before activation in case another instance's
+// clock is slightly ahead.
+const getVerificationKey = (kid, now = new Date()) => {
+  const key = getKeys().find((candidate) => candidate.kid === kid);
+  return key && !isRetired(key, now) ? key : null;
+};
+
+// Public keys of every key that is not retired, including scheduled ones so
+// verifiers can cache them before they are used
+const getJwks = (now = new Date()) => {
+  if (!isKeyringEnabled()) {
+    return { keys: [] };
+  }
+
+  return {
+    keys: getKeys()
+      .filter((key) => !isRetired(key, now))
+      .map((key) => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig',
+      })),
+  };
+};
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  loadKeyring,
+  reloadKeyring,
+  isKeyringEnabled,
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+};
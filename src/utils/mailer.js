@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Mail Transport Utilities
+ * Pluggable mail delivery with console and file transports for offline use
+ */
+
+// Print messages to stdout (default for development)
+const consoleTransport = {
+  send: async (message) => {
+    console.log('📧 Outgoing email');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+
+    return { accepted: [message.to], transport: 'console' };
+  },
+};
+
+// Write each message as a JSON file to an outbox directory
+const fileTransport = {
+  send: async (message) => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'logs/mail');
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+    const filePath = path.join(outboxDir, fileName);
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { accepted: [message.to], transport: 'file', path: filePath };
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let activeTransportName = null;
+
+// Register a custom transport (e.g. SMTP or a provider API client)
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send(message)`);
+  }
+
+  transports[name] = transport;
+};
+
+// Select the transport used by sendMail
+const setTransport = (name) => {
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  activeTransportName = name;
+};
+
+const getTransport = () => {
+  const name = activeTransportName || process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  return transport;
+};
+
+// Send an email message through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error('Email messages require a recipient and a subject');
+  }
+
+  const message = {
+    from: process.env.EMAIL_FROM || 'noreply@fitness-app.com',
+    to,
+    subject,
+    text,
+    html,
+  };
+
+  return getTransport().send(message);
+};
+
+module.exports = {
+  registerTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+};
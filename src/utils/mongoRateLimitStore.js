@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * MongoDB Rate Limit Store
+ * express-rate-limit store that keeps hit counters in MongoDB so limits
+ * survive restarts and are shared between instances
+ */
+class MongoRateLimitStore {
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  prefixKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  // Fail fast (the limiter lets the request through) instead of buffering
+  // queries while the database is unavailable
+  assertConnected() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('Rate limit store is not connected to MongoDB');
+    }
+  }
+
+  async get(key) {
+    this.assertConnected();
+
+    const counter = await RateLimit.findOne({
+      key: this.prefixKey(key),
+      resetAt: { $gt: new Date() },
+    }).lean();
+
+    return counter
+      ? { totalHits: counter.hits, resetTime: counter.resetAt }
+      : undefined;
+  }
+
+  // Atomically count a hit, starting a new window when the last one ended
+  async increment(key) {
+    this.assertConnected();
+
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + this.windowMs);
+    const isOpen = { $gt: ['$resetAt', now] };
+
+    const counter = await RateLimit.findOneAndUpdate(
+      { key: this.prefixKey(key) },
+      [
+        {
+          $set: {
+            hits: { $cond: [isOpen, { $add: ['$hits', 1] }, 1] },
+            resetAt: { $cond: [isOpen, '$resetAt', windowEnd] },
+          },
+        },
+      ],
+      { upsert: true, new: true, lean: true }
+    );
+
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  }
+
+  async decrement(key) {
+    this.assertConnected();
+
+    await RateLimit.updateOne(
+      { key: this.prefixKey(key), resetAt: { $gt: new Date() } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    this.assertConnected();
+
+    await RateLimit.deleteOne({ key: this.prefixKey(key) });
+  }
+
+  async resetAll() {
+    this.assertConnected();
+
+    await RateLimit.deleteMany({
+      key: { $regex: `^${this.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` },
+    });
+  }
+}
+
+module.exports = MongoRateLimitStore;
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { OIDC_PROVIDERS, OIDC_CONFIG } = require('../config/security');
+
+/**
+ * OpenID Connect Utilities
+ * Verifies ID tokens from sign-in providers (Google, Apple) against the
+ * signing keys they publish, cached per JWKS URL
+ */
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+// JWKS URL -> { keys: Map(kid -> { key, alg }), fetchedAt, expiresAt, pending }
+const jwksCache = new Map();
+
+const oidcError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Cache lifetime from the provider's Cache-Control header, if any
+const getCacheTtl = (response) => {
+  const match = /max-age=(\d+)/.exec(response.headers.get('cache-control'));
+  return match ? Number(match[1]) * 1000 : OIDC_CONFIG.jwksCacheTtl;
+};
+
+const fetchJwks = async (jwksUri) => {
+  let response;
+  try {
+    response = await fetch(jwksUri, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(OIDC_CONFIG.requestTimeout),
+    });
+  } catch (error) {
+    throw oidcError(
+      `Could not reach sign-in provider keys at ${jwksUri}`,
+      'OIDC_PROVIDER_UNAVAILABLE'
+    );
+  }
+
+  if (!response.ok) {
+    throw oidcError(
+      `Sign-in provider keys request failed with status ${response.status}`,
+      'OIDC_PROVIDER_UNAVAILABLE'
+    );
+  }
+
+  const body = await response.json();
+  const keys = new Map();
+
+  for (const jwk of body.keys || []) {
+    if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+
+    try {
+      keys.set(jwk.kid, {
+        key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+        alg: jwk.alg,
+      });
+    } catch (error) {
+      // Skip keys Node cannot import instead of failing the whole set
+    }
+  }
+
+  const now = Date.now();
+  return { keys, fetchedAt: now, expiresAt: now + getCacheTtl(response) };
+};
+
+// Fetch a key set, sharing one request between concurrent callers. A stale
+// set is kept when the provider cannot be reached.
+const refreshJwks = async (jwksUri) => {
+  const cached = jwksCache.get(jwksUri);
+  if (cached?.pending) return cached.pending;
+
+  const pending = fetchJwks(jwksUri)
+    .then((entry) => {
+      jwksCache.set(jwksUri, entry);
+      return entry;
+    })
+    .catch((error) => {
+      if (cached?.keys) {
+        console.error('JWKS refresh failed, using cached keys:', error.message);
+        jwksCache.set(jwksUri, { ...cached, pending: null });
+        return cached;
+      }
+      jwksCache.delete(jwksUri);
+      throw error;
+    });
+
+  jwksCache.set(jwksUri, { ...cached, pending });
+  return pending;
+};
+
+// Public key for `kid`. Providers rotate keys, so an unknown kid triggers a
+// refresh (at most once per cooldown to stop forged kids hammering them).
+const getProviderKey = async (jwksUri, kid) => {
+  const now = Date.now();
+  let entry = jwksCache.get(jwksUri);
+
+  if (!entry?.keys || entry.expiresAt <= now) {
+    entry = await refreshJwks(jwksUri);
+  }
+
+  if (
+    !entry.keys.has(kid) &&
+    now - entry.fetchedAt >= OIDC_CONFIG.jwksRefreshCooldown
+  ) {
+    entry = await refreshJwks(jwksUri);
+  }
+
+  const key = entry.keys.get(kid);
+  if (!key) {
+    throw oidcError(
+      'ID token was signed with an unknown key',
+      'INVALID_ID_TOKEN'
+    );
+  }
+  return key;
+};
+
+const sha256 = (value) =>
+  crypto.createHash('sha256').update(value).digest('hex');
+
+// Verify a provider ID token and return the identity it asserts.
+// `nonce` is the raw nonce the app sent to the provider and is required;
+// Apple's native SDK embeds its SHA-256 hash instead, so either form is
+// accepted. Callers check the nonce was issued for this signin.
+const verifyIdToken = async (providerName, idToken, { nonce } = {}) => {
+  const provider = OIDC_PROVIDERS[providerName];
+  if (!provider) {
+    throw oidcError(
+      `Unsupported sign-in provider: ${providerName}`,
+      'UNSUPPORTED_PROVIDER'
+    );
+  }
+  if (provider.clientIds.length === 0) {
+    throw oidcError(
+      `Sign in with ${providerName} is not configured`,
+      'PROVIDER_NOT_CONFIGURED'
+    );
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (
+    !decoded?.header?.kid ||
+    !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)
+  ) {
+    throw oidcError('ID token is invalid', 'INVALID_ID_TOKEN');
+  }
+
+  const { key, alg } = await getProviderKey(
+    provider.jwksUri,
+    decoded.header.kid
+  );
+  if (alg && alg !== decoded.header.alg) {
+    throw oidcError('ID token is invalid', 'INVALID_ID_TOKEN');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: [decoded.header.alg],
+      issuer: provider.issuers,
+      audience: provider.clientIds,
+      clockTolerance: OIDC_CONFIG.clockTolerance,
+    });
+  } catch (error) {
+    throw oidcError(
+      error.name === 'TokenExpiredError'
+        ? 'ID token has expired'
+        : 'ID token is invalid',
+      'INVALID_ID_TOKEN'
+    );
+  }
+
+  if (!claims.sub) {
+    throw oidcError('ID token has no subject', 'INVALID_ID_TOKEN');
+  }
+
+  if (!nonce || (claims.nonce !== nonce && claims.nonce !== sha256(nonce))) {
+    throw oidcError('ID token nonce does not match', 'INVALID_ID_TOKEN');
+  }
+
+  return {
+    provider: providerName,
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    // Apple sends the string "true"
+    emailVerified:
+      claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || null,
+  };
+};
+
+// Forget cached provider keys
+const clearJwksCache = () => jwksCache.clear();
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  verifyIdToken,
+  clearJwksCache,
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP Utility Functions (RFC 4226 / RFC 6238)
+ * Time-based one-time passwords compatible with authenticator apps
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode a buffer as unpadded RFC 4648 base32
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode base32 (case-insensitive, spaces and padding ignored)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret (160 bits by default, as RFC 4226 recommends)
+const generateSecret = (length = 20) => {
+  return base32Encode(crypto.randomBytes(length));
+};
+
+// HMAC-based one-time password for a counter value
+const generateHotp = (secret, counter, options = {}) => {
+  const digits = options.digits || 6;
+  const algorithm = options.algorithm || 'sha1';
+
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac(algorithm, base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// Time step containing a timestamp
+const getTimeStep = (timestamp = Date.now(), period = 30) => {
+  return Math.floor(timestamp / 1000 / period);
+};
+
+// Time-based one-time password
+const generateTotp = (secret, options = {}) => {
+  const step = getTimeStep(options.timestamp, options.period);
+  return generateHotp(secret, step, options);
+};
+
+// Check a code against the current step and `window` steps either side.
+// Returns the matching time step (to reject replays) or null.
+const verifyTotp = (secret, code, options = {}) => {
+  const digits = options.digits || 6;
+  const window = options.window ?? 1;
+  const token = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${digits}}$`).test(token)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(options.timestamp, options.period);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step, options);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI rendered as a QR code by the client
+const buildOtpAuthUrl = ({ secret, accountName, issuer, digits, period }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits || 6),
+    period: String(period || 30),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpAuthUrl,
+};
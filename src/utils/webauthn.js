@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const cbor = require('./cbor');
+const { WEBAUTHN_CONFIG } = require('../config/security');
+
+/**
+ * WebAuthn Utilities
+ * Builds ceremony options and verifies passkey registration (attestation)
+ * and login (assertion) responses. Attestation statements are not verified:
+ * we request `attestation: 'none'` and trust the key the authenticator
+ * returns, as is usual for consumer passkeys.
+ */
+
+// COSE algorithm identifiers we accept, in order of preference
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257,
+};
+
+const FLAGS = {
+  userPresent: 0x01,
+  userVerified: 0x04,
+  backupEligible: 0x08,
+  backedUp: 0x10,
+  attestedCredentialData: 0x40,
+  extensionData: 0x80,
+};
+
+const webauthnError = (message, code = 'INVALID_PASSKEY_RESPONSE') => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value, field) => {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*={0,2}$/.test(value)) {
+    throw webauthnError(`${field} must be base64url encoded`);
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const generateChallenge = () => toBase64Url(crypto.randomBytes(32));
+
+// Opaque WebAuthn user handle for an account
+const getUserHandle = (userId) =>
+  toBase64Url(Buffer.from(userId.toString(), 'hex'));
+
+// Options for navigator.credentials.create(), JSON encoded
+const buildRegistrationOptions = ({ user, challenge, excludeCredentials }) => ({
+  rp: { id: WEBAUTHN_CONFIG.rpId, name: WEBAUTHN_CONFIG.rpName },
+  user: {
+    id: getUserHandle(user._id),
+    name: user.email,
+    displayName: user.basicInfo?.name || user.email,
+  },
+  challenge,
+  pubKeyCredParams: Object.values(COSE_ALGORITHMS).map((alg) => ({
+    type: 'public-key',
+    alg,
+  })),
+  timeout: WEBAUTHN_CONFIG.timeout,
+  attestation: 'none',
+  authenticatorSelection: {
+    residentKey: 'required',
+    requireResidentKey: true,
+    userVerification: 'required',
+  },
+  excludeCredentials: excludeCredentials.map((passkey) => ({
+    type: 'public-key',
+    id: passkey.credentialId,
+    transports: passkey.transports,
+  })),
+});
+
+// Options for navigator.credentials.get(). Passkeys are discoverable, so
+// signin lists no credentials and the account is found from the response;
+// re-authentication lists the signed-in user's passkeys.
+const buildAuthenticationOptions = ({ challenge, allowCredentials = [] }) => ({
+  rpId: WEBAUTHN_CONFIG.rpId,
+  challenge,
+  timeout: WEBAUTHN_CONFIG.timeout,
+  userVerification: 'required',
+  allowCredentials: allowCredentials.map((passkey) => ({
+    type: 'public-key',
+    id: passkey.credentialId,
+    transports: passkey.transports,
+  })),
+});
+
+// Decode clientDataJSON and check the ceremony type and origin
+const parseClientData = (clientDataJSON, expectedType) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(
+      fromBase64Url(clientDataJSON, 'clientDataJSON').toString('utf8')
+    );
+  } catch (error) {
+    throw webauthnError('clientDataJSON is not valid JSON');
+  }
+
+  if (clientData.type !== expectedType) {
+    throw webauthnError(`Expected a ${expectedType} response`);
+  }
+  if (!WEBAUTHN_CONFIG.origins.includes(clientData.origin)) {
+    throw webauthnError(`Origin ${clientData.origin} is not allowed`);
+  }
+  if (typeof clientData.challenge !== 'string') {
+    throw webauthnError('clientDataJSON has no challenge');
+  }
+
+  return clientData;
+};
+
+// Challenge a response answers, used to look up the stored challenge
+const getResponseChallenge = (credential, expectedType) =>
+  parseClientData(credential?.response?.clientDataJSON, expectedType).challenge;
+
+// Parse authenticator data (WebAuthn §6.1)
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw webauthnError('Authenticator data is too short');
+  }
+
+  const flags = authData[32];
+  const result = {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: !!(flags & FLAGS.userPresent),
+    userVerified: !!(flags & FLAGS.userVerified),
+    backupEligible: !!(flags & FLAGS.backupEligible),
+    backedUp: !!(flags & FLAGS.backedUp),
+    signCount: authData.readUInt32BE(33),
+  };
+
+  if (flags & FLAGS.attestedCredentialData) {
+    if (authData.length < 55) {
+      throw webauthnError('Attested credential data is too short');
+    }
+    const credentialIdLength = authData.readUInt16BE(53);
+    const credentialIdEnd = 55 + credentialIdLength;
+    if (authData.length < credentialIdEnd) {
+      throw webauthnError('Attested credential data is too short');
+    }
+
+    const { value: publicKey } = cbor.decodeFirst(authData, credentialIdEnd);
+    result.aaguid = authData.subarray(37, 53).toString('hex');
+    result.credentialId = authData.subarray(55, credentialIdEnd);
+    result.publicKey = publicKey;
+  }
+
+  return result;
+};
+
+// Convert a COSE public key (RFC 9053) to a Node KeyObject
+const coseToPublicKey = (coseKey) => {
+  if (!(coseKey instanceof Map)) {
+    throw webauthnError('Credential public key is not a COSE key');
+  }
+
+  const kty = coseKey.get(1);
+  const alg = coseKey.get(3);
+  let jwk;
+
+  if (alg === COSE_ALGORITHMS.ES256 && kty === 2 && coseKey.get(-1) === 1) {
+    jwk = {
+      kty: 'EC',
+      crv: 'P-256',
+      x: toBase64Url(coseKey.get(-2)),
+      y: toBase64Url(coseKey.get(-3)),
+    };
+  } else if (
+    alg === COSE_ALGORITHMS.EdDSA &&
+    kty === 1 &&
+    coseKey.get(-1) === 6
+  ) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: toBase64Url(coseKey.get(-2)) };
+  } else if (alg === COSE_ALGORITHMS.RS256 && kty === 3) {
+    jwk = {
+      kty: 'RSA',
+      n: toBase64Url(coseKey.get(-1)),
+      e: toBase64Url(coseKey.get(-2)),
+    };
+  } else {
+    throw webauthnError('Unsupported credential public key algorithm');
+  }
+
+  try {
+    return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), alg };
+  } catch (error) {
+    throw webauthnError('Credential public key is invalid');
+  }
+};
+
+// Checks shared by both ceremonies
+const assertAuthenticatorData = (authData) => {
+  if (!authData.rpIdHash.equals(sha256(WEBAUTHN_CONFIG.rpId))) {
+    throw webauthnError('Response is for a different relying party');
+  }
+  if (!authData.userPresent || !authData.userVerified) {
+    throw webauthnError('User presence and verification are required');
+  }
+};
+
+// Verify a registration response for `expectedChallenge` and return the
+// credential to store
+const verifyRegistrationResponse = ({ credential, expectedChallenge }) => {
+  const clientData = parseClientData(
+    credential?.response?.clientDataJSON,
+    'webauthn.create'
+  );
+  if (clientData.challenge !== expectedChallenge) {
+    throw webauthnError('Challenge does not match');
+  }
+
+  const attestation = cbor.decode(
+    fromBase64Url(credential.response.attestationObject, 'attestationObject')
+  );
+  if (
+    !(attestation instanceof Map) ||
+    !Buffer.isBuffer(attestation.get('authData'))
+  ) {
+    throw webauthnError('Attestation object is invalid');
+  }
+
+  const authData = parseAuthenticatorData(attestation.get('authData'));
+  assertAuthenticatorData(authData);
+
+  if (!authData.credentialId) {
+    throw webauthnError('Response does not contain a credential');
+  }
+  if (toBase64Url(authData.credentialId) !== credential.id) {
+    throw webauthnError('Credential ID does not match');
+  }
+
+  const { key, alg } = coseToPublicKey(authData.publicKey);
+
+  return {
+    credentialId: credential.id,
+    publicKey: key.export({ type: 'spki', format: 'pem' }),
+    algorithm: alg,
+    signCount: authData.signCount,
+    aaguid: authData.aaguid,
+    backedUp: authData.backedUp,
+    transports: Array.isArray(credential.response.transports)
+      ? credential.response.transports.filter((t) => typeof t === 'string')
+      : [],
+  };
+};
+
+// Verify a login response against a stored passkey. Returns the new sign
+// counter; a counter that does not increase suggests a cloned authenticator.
+const verifyAuthenticationResponse = ({
+  credential,
+  expectedChallenge,
+  passkey,
+}) => {
+  const clientData = parseClientData(
+    credential?.response?.clientDataJSON,
+    'webauthn.get'
+  );
+  if (clientData.challenge !== expectedChallenge) {
+    throw webauthnError('Challenge does not match');
+  }
+
+  const rawAuthData = fromBase64Url(
+    credential.response.authenticatorData,
+    'authenticatorData'
+  );
+  const authData = parseAuthenticatorData(rawAuthData);
+  assertAuthenticatorData(authData);
+
+  const signedData = Buffer.concat([
+    rawAuthData,
+    sha256(fromBase64Url(credential.response.clientDataJSON, 'clientDataJSON')),
+  ]);
+  const signature = fromBase64Url(credential.response.signature, 'signature');
+  const publicKey = crypto.createPublicKey(passkey.publicKey);
+  const digest = passkey.algorithm === COSE_ALGORITHMS.EdDSA ? null : 'sha256';
+
+  if (!crypto.verify(digest, signedData, publicKey, signature)) {
+    throw webauthnError('Signature is invalid');
+  }
+
+  // Synced passkeys always report 0; otherwise the counter must increase
+  if (
+    (authData.signCount > 0 || passkey.signCount > 0) &&
+    authData.signCount <= passkey.signCount
+  ) {
+    throw webauthnError(
+      'Passkey sign counter did not increase',
+      'PASSKEY_COUNTER_MISMATCH'
+    );
+  }
+
+  return { signCount: authData.signCount, backedUp: authData.backedUp };
+};
+
+module.exports = {
+  COSE_ALGORITHMS,
+  generateChallenge,
+  getUserHandle,
+  buildRegistrationOptions,
+  buildAuthenticationOptions,
+  getResponseChallenge,
+  parseAuthenticatorData,
+  coseToPublicKey,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+};
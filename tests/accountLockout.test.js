@@ -0,0 +1,194 @@
+const bcrypt = require('bcryptjs');
+
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const { authenticateUser } = require('../src/services/authService');
+const { signin } = require('../src/controllers/authController');
+const { unlockUser } = require('../src/controllers/adminController');
+const { ACCOUNT_LOCKOUT } = require('../src/config/security');
+const helpers = require('./helpers');
+
+const { buildRequest, buildResponse } = helpers;
+
+const PASSWORD = 'SecurePass123!';
+const MINUTE = 60 * 1000;
+
+const buildUser = async (overrides = {}) =>
+  helpers.buildUser({
+    password: await bcrypt.hash(PASSWORD, 4),
+    ...overrides,
+  });
+
+// A query resolving to `user`, e.g. User.findByEmail(...).select(...)
+const findUser = (user) =>
+  jest
+    .spyOn(User, 'findByEmail')
+    .mockReturnValue({ select: () => Promise.resolve(user) });
+
+beforeEach(() => {
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Failed login counter', () => {
+  test('locks the account once the limit is reached', async () => {
+    const user = await buildUser();
+
+    for (let i = 1; i < ACCOUNT_LOCKOUT.maxFailedAttempts; i++) {
+      user.registerFailedLogin();
+      expect(user.isLocked()).toBe(false);
+    }
+    user.registerFailedLogin();
+
+    expect(user.isLocked()).toBe(true);
+    expect(user.getLockRemainingSeconds()).toBe(
+      ACCOUNT_LOCKOUT.lockoutDuration / 1000
+    );
+  });
+
+  test('forgets failures older than the reset window', async () => {
+    const user = await buildUser({
+      failedLoginAttempts: ACCOUNT_LOCKOUT.maxFailedAttempts - 1,
+      lastFailedLoginAt: new Date(Date.now() - ACCOUNT_LOCKOUT.resetTime - 1),
+    });
+
+    user.registerFailedLogin();
+
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(user.isLocked()).toBe(false);
+  });
+
+  test('an expired lock starts a new series', async () => {
+    const user = await buildUser({
+      failedLoginAttempts: ACCOUNT_LOCKOUT.maxFailedAttempts,
+      lastFailedLoginAt: new Date(Date.now() - 2 * MINUTE),
+      lockUntil: new Date(Date.now() - MINUTE),
+    });
+    expect(user.isLocked()).toBe(false);
+    expect(user.getLockRemainingSeconds()).toBe(0);
+
+    user.registerFailedLogin();
+
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(user.lockUntil).toBeUndefined();
+  });
+});
+
+describe('authenticateUser', () => {
+  test('counts wrong passwords and locks on the last one', async () => {
+    const user = await buildUser();
+    findUser(user);
+
+    for (let i = 1; i < ACCOUNT_LOCKOUT.maxFailedAttempts; i++) {
+      await expect(
+        authenticateUser({ email: user.email, password: 'WrongPass1!' })
+      ).rejects.toMatchObject({ statusCode: 401, code: 'INVALID_CREDENTIALS' });
+    }
+    await expect(
+      authenticateUser({ email: user.email, password: 'WrongPass1!' })
+    ).rejects.toMatchObject({
+      statusCode: 423,
+      code: 'ACCOUNT_LOCKED',
+      details: { retryAfter: ACCOUNT_LOCKOUT.lockoutDuration / 1000 },
+    });
+    expect(user.save).toHaveBeenCalledTimes(ACCOUNT_LOCKOUT.maxFailedAttempts);
+  });
+
+  test('refuses the right password while locked', async () => {
+    const user = await buildUser({
+      failedLoginAttempts: ACCOUNT_LOCKOUT.maxFailedAttempts,
+      lockUntil: new Date(Date.now() + MINUTE),
+    });
+    findUser(user);
+
+    await expect(
+      authenticateUser({ email: user.email, password: PASSWORD })
+    ).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+  });
+
+  test('a successful login clears earlier failures', async () => {
+    const user = await buildUser({
+      failedLoginAttempts: 2,
+      lastFailedLoginAt: new Date(),
+    });
+    findUser(user);
+
+    expect(
+      await authenticateUser({ email: user.email, password: PASSWORD })
+    ).toBe(user);
+    expect(user.failedLoginAttempts).toBe(0);
+  });
+});
+
+describe('Locked signin', () => {
+  test('tells the client when to retry', async () => {
+    const user = await buildUser({
+      failedLoginAttempts: ACCOUNT_LOCKOUT.maxFailedAttempts,
+      lockUntil: new Date(Date.now() + 10 * MINUTE),
+    });
+    findUser(user);
+    const res = buildResponse();
+    const next = jest.fn();
+
+    await signin(
+      buildRequest({ body: { email: user.email, password: PASSWORD } }),
+      res,
+      next
+    );
+
+    expect(next.mock.calls[0][0].statusCode).toBe(423);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '600');
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: 'auth.login',
+        outcome: 'failure',
+        code: 'ACCOUNT_LOCKED',
+      })
+    );
+  });
+});
+
+describe('unlockUser', () => {
+  test('clears the lock and failed attempts', async () => {
+    const user = await buildUser({
+      failedLoginAttempts: ACCOUNT_LOCKOUT.maxFailedAttempts,
+      lockUntil: new Date(Date.now() + MINUTE),
+    });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const res = buildResponse();
+
+    await unlockUser(
+      buildRequest({
+        params: { id: user.id },
+        user: new User({ role: 'support' }),
+      }),
+      res,
+      jest.fn()
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      isLocked: false,
+      failedLoginAttempts: 0,
+    });
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({ metadata: { wasLocked: true } })
+    );
+  });
+
+  test('returns 404 for unknown users', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+    const res = buildResponse();
+
+    await unlockUser(
+      buildRequest({ params: { id: '507f1f77bcf86cd799439011' } }),
+      res,
+      jest.fn()
+    );
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
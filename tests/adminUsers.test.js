@@ -0,0 +1,108 @@
+jest.mock('../src/middleware/rateLimiter', () => ({
+  ...jest.requireActual('../src/middleware/rateLimiter'),
+  adminLimiter: (req, res, next) => next(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const RevokedToken = require('../src/models/RevokedToken');
+const { generateAccessToken } = require('../src/utils/jwt');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { useTestSecret } = require('./helpers');
+
+// The admin API on its own, with each request signed in as `staff`
+const buildApp = () => {
+  const app = express();
+  app.use('/api/admin', require('../src/routes/admin'));
+  app.use(errorHandler);
+  return app;
+};
+
+const listUsers = (staff, query) => {
+  jest.spyOn(User, 'findById').mockResolvedValue(staff);
+  return request(buildApp())
+    .get('/api/admin/users')
+    .query(query)
+    .set('Authorization', `Bearer ${generateAccessToken(staff._id)}`);
+};
+
+// The filter User.find was called with
+const findFilter = () => User.find.mock.calls[0][0];
+
+describe('GET /api/admin/users', () => {
+  useTestSecret();
+
+  beforeEach(() => {
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue();
+    jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+    const results = {
+      select: () => results,
+      sort: () => results,
+      skip: () => results,
+      limit: () => results,
+      lean: () => Promise.resolve([]),
+    };
+    jest.spyOn(User, 'find').mockReturnValue(results);
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(User, 'getUserStats').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('filters by role', async () => {
+    const res = await listUsers(new User({ role: 'support' }), {
+      role: 'coach',
+    });
+
+    expect(res.status).toBe(200);
+    expect(findFilter().role).toBe('coach');
+  });
+
+  test('rejects unknown roles', async () => {
+    const res = await listUsers(new User({ role: 'admin' }), {
+      role: 'bogus',
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0]).toMatchObject({
+      field: 'role',
+      message: 'Invalid role',
+    });
+    expect(User.find).not.toHaveBeenCalled();
+  });
+
+  test('filters by condition through the blind index', async () => {
+    const res = await listUsers(new User({ role: 'nutritionist' }), {
+      condition: 'diabetes',
+    });
+
+    expect(res.status).toBe(200);
+    expect(findFilter().medicalIndex).toBe(
+      User.getMedicalIndexToken('condition', 'diabetes')
+    );
+  });
+
+  test('rejects unknown and non-string conditions', async () => {
+    const admin = new User({ role: 'admin' });
+
+    for (const condition of ['bogus', { $ne: 'diabetes' }]) {
+      const res = await listUsers(admin, { condition });
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].field).toMatch(/^condition/);
+    }
+  });
+
+  test('filtering by condition needs users:read:medical', async () => {
+    const res = await listUsers(new User({ role: 'support' }), {
+      condition: 'diabetes',
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('PERMISSION_DENIED');
+    expect(User.find).not.toHaveBeenCalled();
+  });
+});
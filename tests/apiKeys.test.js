@@ -0,0 +1,93 @@
+const ApiKey = require('../src/models/ApiKey');
+const AuditEvent = require('../src/models/AuditEvent');
+const { requireScope, hasScope } = require('../src/middleware/auth');
+const { rateLimitKey } = require('../src/middleware/rateLimiter');
+const { hashSensitiveData } = require('../src/config/security');
+
+const buildKey = (overrides = {}) =>
+  new ApiKey({
+    name: 'meal-planner',
+    keyHash: hashSensitiveData('slim_test'),
+    keyPrefix: 'slim_test',
+    scopes: ['profiles:read', 'plans:read'],
+    expiresAt: new Date(Date.now() + 60000),
+    ...overrides,
+  });
+
+describe('ApiKey model', () => {
+  test('is active until revoked or expired', () => {
+    expect(buildKey().isActive()).toBe(true);
+    expect(
+      buildKey({ expiresAt: new Date(Date.now() - 1000) }).isActive()
+    ).toBe(false);
+
+    const apiKey = buildKey();
+    apiKey.revoke('507f1f77bcf86cd799439011');
+    expect(apiKey.isActive()).toBe(false);
+  });
+
+  test('does not expose the key hash', () => {
+    const json = buildKey().toJSON();
+
+    expect(json).not.toHaveProperty('keyHash');
+    expect(json).not.toHaveProperty('_id');
+    expect(json.id).toBeDefined();
+    expect(json.active).toBe(true);
+  });
+
+  test('rejects unknown scopes', () => {
+    const error = buildKey({ scopes: ['users:delete'] }).validateSync();
+    expect(error.errors).toHaveProperty(['scopes.0']);
+  });
+});
+
+describe('requireScope', () => {
+  // Denied requests are audited; there is no database here
+  beforeAll(() => {
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const run = (middleware, req) => {
+    const next = jest.fn();
+    try {
+      middleware(req, {}, next);
+    } catch (error) {
+      return error;
+    }
+    return next.mock.calls.length === 1 ? 'next' : null;
+  };
+
+  test('checks API key scopes', () => {
+    const req = { apiKey: buildKey(), get: () => undefined };
+
+    expect(run(requireScope('profiles:read', 'plans:read'), req)).toBe('next');
+
+    const error = run(requireScope('profiles:read:medical'), req);
+    expect(error.statusCode).toBe(403);
+    expect(error.code).toBe('INSUFFICIENT_SCOPE');
+    expect(error.details).toEqual({ required: ['profiles:read:medical'] });
+  });
+
+  test('maps scopes to user permissions', () => {
+    const user = {
+      hasPermission: (permission) => permission === 'users:read',
+      hasStrongAuthenticator: () => true,
+    };
+
+    expect(hasScope({ user }, 'profiles:read')).toBe(true);
+    expect(hasScope({ user }, 'plans:write')).toBe(false);
+  });
+});
+
+describe('rateLimitKey', () => {
+  test('counts API key requests per key', () => {
+    const apiKey = buildKey();
+    expect(rateLimitKey({ apiKey, ip: '127.0.0.1' })).toBe(
+      `apikey:${apiKey._id}`
+    );
+  });
+});
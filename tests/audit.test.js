@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../src/models/AuditEvent');
+const { getSecurityTimeline } = require('../src/services/auditService');
+const { requestId } = require('../src/middleware/requestId');
+
+describe('requestId', () => {
+  const run = (incoming) => {
+    const headers = {};
+    const req = { get: () => incoming };
+    const res = { set: (name, value) => (headers[name] = value) };
+    const next = jest.fn();
+
+    requestId(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(headers['X-Request-Id']).toBe(req.id);
+    return req.id;
+  };
+
+  test('keeps a well-formed X-Request-Id', () => {
+    expect(run('edge-7f3a.42')).toBe('edge-7f3a.42');
+  });
+
+  test('generates an ID when the header is missing or malformed', () => {
+    for (const incoming of [undefined, '', 'not an id', 'x'.repeat(129)]) {
+      expect(run(incoming)).toMatch(
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+      );
+    }
+  });
+});
+
+describe('AuditEvent', () => {
+  test('rejects updates and deletes', async () => {
+    await expect(
+      AuditEvent.updateOne({}, { outcome: 'success' })
+    ).rejects.toThrow('append-only');
+    await expect(AuditEvent.deleteMany({})).rejects.toThrow('append-only');
+  });
+
+  test('rejects saving an existing event', async () => {
+    const event = new AuditEvent({
+      action: AuditEvent.ACTIONS.LOGIN,
+      outcome: 'success',
+    });
+    event.isNew = false;
+
+    await expect(event.save()).rejects.toThrow('append-only');
+  });
+
+  test('only accepts known actions', () => {
+    const error = new AuditEvent({
+      action: 'auth.unknown',
+      outcome: 'success',
+    }).validateSync();
+
+    expect(error.errors).toHaveProperty('action');
+  });
+});
+
+describe('getSecurityTimeline', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const staffId = new mongoose.Types.ObjectId();
+  const event = (overrides) => ({
+    _id: new mongoose.Types.ObjectId(),
+    action: AuditEvent.ACTIONS.LOGIN,
+    outcome: 'success',
+    actor: userId,
+    target: userId,
+    ipAddress: '203.0.113.7',
+    userAgent: 'Mozilla/5.0',
+    createdAt: new Date(),
+    ...overrides,
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('hides where staff acted from', async () => {
+    const events = [
+      event(),
+      event({ action: AuditEvent.ACTIONS.ROLE_CHANGE, actor: staffId }),
+      event({ impersonator: staffId }),
+    ];
+    const query = {
+      sort: () => query,
+      skip: () => query,
+      limit: () => query,
+      lean: () => Promise.resolve(events),
+    };
+    jest.spyOn(AuditEvent, 'find').mockReturnValue(query);
+    jest.spyOn(AuditEvent, 'countDocuments').mockResolvedValue(3);
+
+    const timeline = await getSecurityTimeline(userId);
+
+    expect(
+      timeline.events.map((e) => [e.byStaff, e.ipAddress, e.userAgent])
+    ).toEqual([
+      [false, '203.0.113.7', 'Mozilla/5.0'],
+      [true, null, null],
+      [true, null, null],
+    ]);
+  });
+});
@@ -0,0 +1,160 @@
+jest.mock('../src/utils/mailer');
+jest.mock('../src/middleware/rateLimiter', () => {
+  const actual = jest.requireActual('../src/middleware/rateLimiter');
+  const passThrough = (req, res, next) => next();
+  return Object.fromEntries(
+    Object.entries(actual).map(([name, value]) => [
+      name,
+      name.endsWith('Limiter') ? passThrough : value,
+    ])
+  );
+});
+
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const request = require('supertest');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const loginRiskService = require('../src/services/loginRiskService');
+const { sendMail } = require('../src/utils/mailer');
+const { decodeToken } = require('../src/utils/jwt');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { buildUser, useTestSecret } = require('./helpers');
+
+const PASSWORD = 'Harbor!Lantern42';
+const SIGNUP = {
+  email: 'sarah@example.com',
+  password: PASSWORD,
+  confirmPassword: PASSWORD,
+  name: 'Sarah',
+};
+
+// Both authentication route sets, as mounted by app.js
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../src/routes/auth'));
+  app.use('/api/users', require('../src/routes/users'));
+  app.use(errorHandler);
+  return app;
+};
+
+const expectTokenPair = (body) => {
+  expect(body.success).toBe(true);
+  expect(decodeToken(body.tokens.accessToken).payload.type).toBe('access');
+  expect(decodeToken(body.tokens.refreshToken).payload.type).toBe('refresh');
+  // Deprecated alias of tokens.accessToken
+  expect(body.token).toBe(body.tokens.accessToken);
+};
+
+describe('Unified authentication routes', () => {
+  useTestSecret();
+
+  beforeEach(() => {
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue();
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest
+      .spyOn(loginRiskService, 'assessLogin')
+      .mockResolvedValue({ flagged: false, riskFlags: [] });
+    jest.spyOn(loginRiskService, 'recordLogin').mockResolvedValue();
+    sendMail.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendMail.mockReset();
+  });
+
+  describe('signup', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'isEmailTaken').mockResolvedValue(false);
+    });
+
+    test('both routes return the same token pair response', async () => {
+      const app = buildApp();
+
+      const signup = await request(app).post('/api/auth/signup').send(SIGNUP);
+      const register = await request(app)
+        .post('/api/users/register')
+        .send(SIGNUP);
+
+      for (const res of [signup, register]) {
+        expect(res.status).toBe(201);
+        expectTokenPair(res.body);
+        expect(res.body.user).toMatchObject({
+          email: 'sarah@example.com',
+          name: 'Sarah',
+          isEmailVerified: false,
+        });
+      }
+      expect(Object.keys(register.body).sort()).toEqual(
+        Object.keys(signup.body).sort()
+      );
+      expect(signup.headers.deprecation).toBeUndefined();
+      expect(register.headers.deprecation).toBe('true');
+      expect(register.headers.link).toBe(
+        '</api/auth/signup>; rel="successor-version"'
+      );
+    });
+
+    test('stores the name in the profile', async () => {
+      await request(buildApp()).post('/api/auth/signup').send(SIGNUP);
+
+      const user = User.prototype.save.mock.instances[0];
+      expect(user.basicInfo.name).toBe('Sarah');
+      expect(user.toObject()).not.toHaveProperty('name');
+    });
+
+    test('refuses addresses already in use on either route', async () => {
+      User.isEmailTaken.mockResolvedValue(true);
+
+      for (const path of ['/api/auth/signup', '/api/users/register']) {
+        const res = await request(buildApp()).post(path).send(SIGNUP);
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('USER_EXISTS');
+      }
+    });
+  });
+
+  describe('signin', () => {
+    beforeEach(async () => {
+      const user = buildUser({ password: await bcrypt.hash(PASSWORD, 4) });
+      jest
+        .spyOn(User, 'findByEmail')
+        .mockReturnValue({ select: () => Promise.resolve(user) });
+    });
+
+    test('both routes return the same token pair response', async () => {
+      const app = buildApp();
+      const body = { email: 'sarah@example.com', password: PASSWORD };
+
+      const signin = await request(app).post('/api/auth/signin').send(body);
+      const login = await request(app).post('/api/users/login').send(body);
+
+      for (const res of [signin, login]) {
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Login successful');
+        expectTokenPair(res.body);
+      }
+      expect(login.headers.deprecation).toBe('true');
+      expect(login.headers.link).toBe(
+        '</api/auth/signin>; rel="successor-version"'
+      );
+    });
+
+    test('both routes report wrong passwords the same way', async () => {
+      const body = { email: 'sarah@example.com', password: 'WrongPass123!' };
+
+      for (const path of ['/api/auth/signin', '/api/users/login']) {
+        const res = await request(buildApp()).post(path).send(body);
+        expect(res.status).toBe(401);
+        expect(res.body).toMatchObject({
+          success: false,
+          code: 'INVALID_CREDENTIALS',
+        });
+      }
+    });
+  });
+});
@@ -0,0 +1,297 @@
+const User = require('../src/models/User');
+const ConsentDocument = require('../src/models/ConsentDocument');
+const ApiKey = require('../src/models/ApiKey');
+const {
+  summarizeConsents,
+  withdrawConsent,
+} = require('../src/services/consentService');
+const seedConsentDocuments = require('../src/migrations/005-seed-consent-documents');
+const helpers = require('./helpers');
+
+const { buildRequest, buildResponse } = helpers;
+const { requireConsent } = require('../src/middleware/consent');
+const onboardingController = require('../src/controllers/onboardingController');
+const serviceController = require('../src/controllers/serviceController');
+
+const { CONSENT_TYPES } = ConsentDocument;
+
+const HEALTH_DOCUMENT = {
+  type: CONSENT_TYPES.HEALTH_DATA,
+  version: 2,
+  url: 'https://example.com/legal/health-data/v2',
+};
+
+// Make `document` the current published health data consent
+const publish = (document) =>
+  jest.spyOn(ConsentDocument, 'findOne').mockReturnValue({
+    sort: () => Promise.resolve(document),
+  });
+
+const buildUser = () =>
+  helpers.buildUser({
+    onboardingCompleted: true,
+    medicalHistory: { gender: 'female' },
+    labResults: { vitD: 30 },
+  });
+
+describe('User consents', () => {
+  test('accepting records the version until it is withdrawn', () => {
+    const user = helpers.buildUser();
+
+    user.acceptConsent(CONSENT_TYPES.HEALTH_DATA, 2);
+    expect(user.hasConsented(CONSENT_TYPES.HEALTH_DATA, 2)).toBe(true);
+    expect(user.hasConsented(CONSENT_TYPES.HEALTH_DATA, 3)).toBe(false);
+    expect(user.hasConsented(CONSENT_TYPES.MARKETING, 1)).toBe(false);
+
+    expect(user.withdrawConsent(CONSENT_TYPES.HEALTH_DATA)).toBe(true);
+    expect(user.withdrawConsent(CONSENT_TYPES.HEALTH_DATA)).toBe(false);
+    expect(user.hasConsented(CONSENT_TYPES.HEALTH_DATA, 2)).toBe(false);
+
+    user.acceptConsent(CONSENT_TYPES.HEALTH_DATA, 3);
+    expect(user.consents).toHaveLength(1);
+    expect(user.getConsent(CONSENT_TYPES.HEALTH_DATA).withdrawnAt).toBe(
+      undefined
+    );
+  });
+});
+
+describe('Consent report', () => {
+  test('counts decisions against the current version', () => {
+    const groups = [
+      { _id: { type: 'health_data', version: 2, withdrawn: false }, count: 5 },
+      { _id: { type: 'health_data', version: 1, withdrawn: false }, count: 3 },
+      { _id: { type: 'health_data', version: 1, withdrawn: true }, count: 1 },
+      { _id: { type: 'marketing', version: 1, withdrawn: false }, count: 4 },
+    ];
+    const report = summarizeConsents(
+      groups,
+      [{ type: 'health_data', version: 2 }],
+      12
+    );
+
+    expect(report.map((summary) => summary.type)).toEqual(
+      Object.values(CONSENT_TYPES)
+    );
+    expect(report.find((s) => s.type === 'health_data')).toEqual({
+      type: 'health_data',
+      currentVersion: 2,
+      accepted: 5,
+      outdated: 3,
+      withdrawn: 1,
+      pending: 3,
+      versions: [
+        { version: 2, accepted: 5, withdrawn: 0 },
+        { version: 1, accepted: 3, withdrawn: 1 },
+      ],
+    });
+    // Nothing published yet: every decision is for an unknown version
+    expect(report.find((s) => s.type === 'marketing')).toMatchObject({
+      currentVersion: null,
+      accepted: 0,
+      outdated: 4,
+      pending: 8,
+    });
+  });
+});
+
+describe('withdrawConsent', () => {
+  // A loaded user whose stored document is `stored`
+  const load = (stored) => {
+    const user = User.hydrate({
+      _id: stored._id,
+      email: 'sarah@example.com',
+      consents: [{ type: CONSENT_TYPES.HEALTH_DATA, version: 2 }],
+    });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve(stored) }),
+    });
+    return user;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('erases encrypted sections', async () => {
+    const user = load({
+      _id: new User()._id,
+      encryptedFields: { medicalHistory: { ciphertext: 'x' } },
+    });
+
+    const result = await withdrawConsent(user, CONSENT_TYPES.HEALTH_DATA);
+
+    expect(result).toEqual({ withdrawn: true, erased: ['medicalHistory'] });
+    expect(user.isModified('medicalHistory')).toBe(true);
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  test('erases sections not encrypted yet', async () => {
+    const user = load({
+      _id: new User()._id,
+      medicalHistory: { gender: 'female' },
+      labResults: { vitD: 30 },
+    });
+    user.medicalHistory = { gender: 'female' };
+    user.labResults = { vitD: 30 };
+
+    const { erased } = await withdrawConsent(user, CONSENT_TYPES.HEALTH_DATA);
+
+    expect(erased).toEqual(['medicalHistory', 'labResults']);
+    expect(user.toObject().labResults).toBeUndefined();
+  });
+
+  test('erases nothing for other consents', async () => {
+    const user = load({ _id: new User()._id, labResults: { vitD: 30 } });
+
+    const { erased } = await withdrawConsent(user, CONSENT_TYPES.MARKETING);
+
+    expect(erased).toEqual([]);
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('Consent document seed migration', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('publishes version 1 of the types without a document', async () => {
+    jest
+      .spyOn(ConsentDocument, 'exists')
+      .mockImplementation(async ({ type }) => type === CONSENT_TYPES.TERMS);
+    jest.spyOn(ConsentDocument, 'create').mockResolvedValue();
+
+    await seedConsentDocuments.up();
+
+    const created = ConsentDocument.create.mock.calls.map(([doc]) => doc);
+    expect(created.map((doc) => doc.type)).toEqual([
+      CONSENT_TYPES.PRIVACY,
+      CONSENT_TYPES.HEALTH_DATA,
+      CONSENT_TYPES.MARKETING,
+    ]);
+    expect(created[1]).toEqual(
+      expect.objectContaining({
+        version: 1,
+        url: 'http://localhost:19006/legal/health-data/v1',
+      })
+    );
+  });
+});
+
+describe('requireConsent', () => {
+  const run = async (user, document) => {
+    publish(document);
+    const next = jest.fn();
+    await requireConsent(CONSENT_TYPES.HEALTH_DATA)(
+      buildRequest({ user }),
+      {},
+      next
+    );
+    return next.mock.calls[0][0];
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('blocks until the current version is accepted', async () => {
+    const user = helpers.buildUser();
+    const document = HEALTH_DOCUMENT;
+
+    user.acceptConsent(CONSENT_TYPES.HEALTH_DATA, 1);
+    const error = await run(user, document);
+    expect(error.statusCode).toBe(403);
+    expect(error.code).toBe('CONSENT_REQUIRED');
+    expect(error.details).toEqual({
+      type: CONSENT_TYPES.HEALTH_DATA,
+      version: 2,
+      url: document.url,
+    });
+
+    user.acceptConsent(CONSENT_TYPES.HEALTH_DATA, 2);
+    expect(await run(user, document)).toBeUndefined();
+  });
+
+  test('blocks while no version has been published', async () => {
+    const user = helpers.buildUser();
+    user.acceptConsent(CONSENT_TYPES.HEALTH_DATA, 1);
+
+    const error = await run(user, null);
+    expect(error.statusCode).toBe(503);
+    expect(error.code).toBe('CONSENT_UNAVAILABLE');
+  });
+});
+
+describe('Reading medical data', () => {
+  const getOwnProfile = async (user) => {
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const res = buildResponse();
+    await onboardingController.getProfile(
+      buildRequest({ user }),
+      res,
+      jest.fn()
+    );
+    return res.json.mock.calls[0][0].data;
+  };
+
+  const getServiceProfile = async (user, scopes) => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const res = buildResponse();
+    await serviceController.getProfile(
+      buildRequest({ params: { id: user.id }, apiKey: new ApiKey({ scopes }) }),
+      res,
+      jest.fn()
+    );
+    return res.json.mock.calls[0][0].data;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the user sees it only with the current consent', async () => {
+    const user = buildUser();
+    publish(HEALTH_DOCUMENT);
+
+    user.acceptConsent(CONSENT_TYPES.HEALTH_DATA, 2);
+    expect((await getOwnProfile(user)).labResults.vitD).toBe(30);
+
+    user.withdrawConsent(CONSENT_TYPES.HEALTH_DATA);
+    expect(await getOwnProfile(user)).not.toHaveProperty('labResults');
+
+    // Accepted an earlier version only
+    user.acceptConsent(CONSENT_TYPES.HEALTH_DATA, 1);
+    expect(await getOwnProfile(user)).not.toHaveProperty('medicalHistory');
+  });
+
+  test('services need the medical scope and the current consent', async () => {
+    const user = buildUser();
+    const medical = ['profiles:read', 'profiles:read:medical'];
+    publish(HEALTH_DOCUMENT);
+
+    expect(await getServiceProfile(user, medical)).not.toHaveProperty(
+      'medicalHistory'
+    );
+
+    user.acceptConsent(CONSENT_TYPES.HEALTH_DATA, 2);
+    const profile = await getServiceProfile(user, medical);
+    expect(profile.medicalHistory.gender).toBe('female');
+    expect(profile.labResults.vitD).toBe(30);
+
+    expect(await getServiceProfile(user, ['profiles:read'])).not.toHaveProperty(
+      'medicalHistory'
+    );
+  });
+
+  test('nothing is returned while no version has been published', async () => {
+    const user = buildUser();
+    user.acceptConsent(CONSENT_TYPES.HEALTH_DATA, 1);
+    publish(null);
+
+    expect(await getOwnProfile(user)).not.toHaveProperty('medicalHistory');
+    expect(
+      await getServiceProfile(user, ['profiles:read', 'profiles:read:medical'])
+    ).not.toHaveProperty('labResults');
+  });
+});
@@ -0,0 +1,164 @@
+jest.mock('../src/utils/mailer');
+
+const bcrypt = require('bcryptjs');
+
+const User = require('../src/models/User');
+const RevokedToken = require('../src/models/RevokedToken');
+const MagicLink = require('../src/models/MagicLink');
+const { sendMail } = require('../src/utils/mailer');
+const {
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+} = require('../src/services/accountService');
+const { hashSensitiveData } = require('../src/config/security');
+const helpers = require('./helpers');
+
+const PASSWORD = 'SecurePass123!';
+
+const buildUser = async (overrides = {}) =>
+  helpers.buildUser({
+    password: await bcrypt.hash(PASSWORD, 4),
+    isEmailVerified: true,
+    refreshTokens: [{ tokenHash: 'hash', family: 'family-1' }],
+    ...overrides,
+  });
+
+// Token from the link in the last email sent
+const tokenFromLastEmail = () =>
+  sendMail.mock.calls.at(-1)[0].text.match(/token=([a-f0-9]+)/)[1];
+
+beforeEach(() => {
+  sendMail.mockResolvedValue({});
+  jest.spyOn(User, 'isEmailTaken').mockResolvedValue(false);
+  jest.spyOn(RevokedToken, 'revokeAllForUser').mockResolvedValue();
+  jest.spyOn(MagicLink, 'deleteMany').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendMail.mockReset();
+});
+
+describe('requestEmailChange', () => {
+  const request = async (user, body) => {
+    jest
+      .spyOn(User, 'findById')
+      .mockReturnValue({ select: () => Promise.resolve(user) });
+    return requestEmailChange(user._id, {
+      newEmail: 'Sarah.New@example.com',
+      password: PASSWORD,
+      ...body,
+    });
+  };
+
+  test('emails a confirmation link to the new address', async () => {
+    const user = await buildUser();
+
+    const { pendingEmail } = await request(user);
+
+    expect(pendingEmail).toBe('sarah.new@example.com');
+    expect(user.email).toBe('sarah@example.com');
+    expect(sendMail.mock.calls[0][0].to).toBe('sarah.new@example.com');
+    expect(hashSensitiveData(tokenFromLastEmail())).toBe(user.emailChangeToken);
+  });
+
+  test('needs the current password', async () => {
+    await expect(
+      request(await buildUser(), { password: 'WrongPass123!' })
+    ).rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+    await expect(
+      request(await buildUser({ password: undefined }))
+    ).rejects.toMatchObject({ code: 'PASSWORD_REQUIRED' });
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  test('refuses blocked domains and addresses in use', async () => {
+    await expect(
+      request(await buildUser(), { newEmail: 'sarah@tempmail.org' })
+    ).rejects.toMatchObject({ statusCode: 400, code: 'EMAIL_NOT_ALLOWED' });
+
+    User.isEmailTaken.mockResolvedValue(true);
+    await expect(request(await buildUser())).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'EMAIL_IN_USE',
+    });
+  });
+
+  test('waits until the last change can no longer be reverted', async () => {
+    const user = await buildUser({
+      emailRevertExpires: new Date(Date.now() + 60 * 1000),
+    });
+
+    await expect(request(user)).rejects.toMatchObject({
+      code: 'EMAIL_RECENTLY_CHANGED',
+    });
+  });
+});
+
+describe('confirmEmailChange and revertEmailChange', () => {
+  // A user who requested a change to sarah.new@example.com
+  const buildPendingUser = async () => {
+    const user = await buildUser();
+    user.createEmailChangeToken('sarah.new@example.com');
+    return user;
+  };
+
+  test('confirming switches the address and signs out everywhere', async () => {
+    const user = await buildPendingUser();
+    jest.spyOn(User, 'findByEmailChangeToken').mockResolvedValue(user);
+
+    await confirmEmailChange('change-token');
+
+    expect(user.email).toBe('sarah.new@example.com');
+    expect(user.refreshTokens).toHaveLength(0);
+    expect(RevokedToken.revokeAllForUser).toHaveBeenCalledWith(
+      user._id,
+      'email_change'
+    );
+    // The old address gets a link to undo the change
+    expect(sendMail.mock.calls[0][0].to).toBe('sarah@example.com');
+    expect(hashSensitiveData(tokenFromLastEmail())).toBe(user.emailRevertToken);
+  });
+
+  test('reverting restores the old address and signs out again', async () => {
+    const user = await buildPendingUser();
+    user.applyEmailChange();
+    jest.spyOn(User, 'findByEmailRevertToken').mockResolvedValue(user);
+
+    await revertEmailChange('revert-token');
+
+    expect(user.email).toBe('sarah@example.com');
+    expect(user.previousEmail).toBeUndefined();
+    expect(RevokedToken.revokeAllForUser).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects unknown or expired links', async () => {
+    jest.spyOn(User, 'findByEmailChangeToken').mockResolvedValue(null);
+    jest.spyOn(User, 'findByEmailRevertToken').mockResolvedValue(null);
+
+    await expect(confirmEmailChange('x')).rejects.toMatchObject({
+      code: 'INVALID_EMAIL_CHANGE_TOKEN',
+    });
+    await expect(revertEmailChange('x')).rejects.toMatchObject({
+      code: 'INVALID_EMAIL_REVERT_TOKEN',
+    });
+  });
+
+  test('reports a clash on the unique email index as EMAIL_IN_USE', async () => {
+    const user = await buildPendingUser();
+    jest.spyOn(User, 'findByEmailChangeToken').mockResolvedValue(user);
+    user.save.mockRejectedValue(
+      Object.assign(new Error('E11000 duplicate key'), {
+        code: 11000,
+        keyValue: { email: 'sarah.new@example.com' },
+      })
+    );
+
+    await expect(confirmEmailChange('change-token')).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'EMAIL_IN_USE',
+    });
+    expect(RevokedToken.revokeAllForUser).not.toHaveBeenCalled();
+  });
+});
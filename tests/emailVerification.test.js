@@ -0,0 +1,238 @@
+jest.mock('../src/utils/mailer');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const { sendMail } = require('../src/utils/mailer');
+const { registerUser } = require('../src/services/authService');
+const {
+  verifyEmail,
+  resendVerification,
+} = require('../src/controllers/authController');
+const { requireVerifiedUser } = require('../src/middleware/auth');
+const {
+  EMAIL_VERIFICATION,
+  hashSensitiveData,
+} = require('../src/config/security');
+const { buildUser, buildRequest, buildResponse } = require('./helpers');
+
+beforeEach(() => {
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue();
+  sendMail.mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendMail.mockReset();
+});
+
+describe('Email verification tokens', () => {
+  test('store only the hash and expire after the configured time', () => {
+    const user = buildUser();
+    const token = user.createEmailVerificationToken();
+
+    expect(user.emailVerificationToken).toBe(hashSensitiveData(token));
+    expect(user.emailVerificationExpires - Date.now()).toBeGreaterThan(
+      EMAIL_VERIFICATION.tokenExpiry - 1000
+    );
+    expect(user.canResendVerificationEmail()).toBe(false);
+  });
+
+  test('verifying clears the token', () => {
+    const user = buildUser();
+    user.createEmailVerificationToken();
+    user.markEmailVerified();
+
+    expect(user.isEmailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    expect(user.emailVerificationToken).toBeUndefined();
+  });
+});
+
+describe('Signup', () => {
+  test('emails a verification link to the new, unverified account', async () => {
+    jest.spyOn(User, 'isEmailTaken').mockResolvedValue(false);
+    jest.spyOn(User.prototype, 'save').mockResolvedValue();
+
+    const user = await registerUser({
+      email: 'sarah@example.com',
+      password: 'Harbor!Lantern42',
+    });
+
+    expect(user.isEmailVerified).toBe(false);
+    expect(user.emailVerificationToken).toBeDefined();
+    const [message] = sendMail.mock.calls[0];
+    expect(message.to).toBe('sarah@example.com');
+    const token = message.text.match(/token=([a-f0-9]+)/)[1];
+    expect(hashSensitiveData(token)).toBe(user.emailVerificationToken);
+  });
+});
+
+describe('verifyEmail', () => {
+  const verify = async (user) => {
+    jest.spyOn(User, 'findByEmailVerificationToken').mockResolvedValue(user);
+    const res = buildResponse();
+    const next = jest.fn();
+    await verifyEmail(
+      buildRequest({ body: { token: 'verification-token' } }),
+      res,
+      next
+    );
+    return { res, next };
+  };
+
+  test('marks the address verified', async () => {
+    const user = buildUser();
+    user.createEmailVerificationToken();
+
+    const { res } = await verify(user);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].user.isEmailVerified).toBe(true);
+    expect(user.save).toHaveBeenCalled();
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({ action: 'auth.email_verify' })
+    );
+  });
+
+  test('rejects unknown or expired tokens', async () => {
+    const { res } = await verify(null);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'INVALID_VERIFICATION_TOKEN' })
+    );
+  });
+
+  test('passes failures to the error handler', async () => {
+    const user = buildUser();
+    const failure = new Error('connection lost');
+    user.save.mockRejectedValue(failure);
+
+    const { res, next } = await verify(user);
+
+    expect(next).toHaveBeenCalledWith(failure);
+    expect(res.json).not.toHaveBeenCalled();
+  });
+});
+
+describe('resendVerification', () => {
+  const resend = async (user) => {
+    jest
+      .spyOn(User, 'findByEmail')
+      .mockReturnValue({ select: () => Promise.resolve(user) });
+    const res = buildResponse();
+    await resendVerification(
+      buildRequest({ body: { email: 'sarah@example.com' } }),
+      res,
+      jest.fn()
+    );
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      message:
+        'If an unverified account exists for this email, a verification email has been sent',
+    });
+  };
+
+  test('sends a new link to unverified accounts', async () => {
+    const user = buildUser();
+
+    await resend(user);
+
+    expect(user.emailVerificationToken).toBeDefined();
+    expect(sendMail).toHaveBeenCalledTimes(1);
+  });
+
+  test('sends nothing to verified or unknown accounts', async () => {
+    await resend(buildUser({ isEmailVerified: true }));
+    await resend(null);
+
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  test('sends nothing during the cooldown', async () => {
+    const user = buildUser();
+    await resend(user);
+    await resend(user);
+
+    expect(sendMail).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('requireVerifiedUser', () => {
+  test('rejects unverified accounts', () => {
+    const next = jest.fn();
+
+    expect(() => requireVerifiedUser({ user: buildUser() }, {}, next)).toThrow(
+      expect.objectContaining({ code: 'EMAIL_NOT_VERIFIED' })
+    );
+
+    requireVerifiedUser(
+      { user: buildUser({ isEmailVerified: true }) },
+      {},
+      next
+    );
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('Mail transports', () => {
+  const mailer = jest.requireActual('../src/utils/mailer');
+  const originalOutbox = process.env.MAIL_OUTBOX_DIR;
+  let outboxDir;
+
+  beforeAll(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    process.env.MAIL_OUTBOX_DIR = outboxDir;
+  });
+
+  afterAll(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+    if (originalOutbox === undefined) {
+      delete process.env.MAIL_OUTBOX_DIR;
+    } else {
+      process.env.MAIL_OUTBOX_DIR = originalOutbox;
+    }
+  });
+
+  test('the file transport writes each message to the outbox', async () => {
+    mailer.setTransport('file');
+
+    const result = await mailer.sendMail({
+      to: 'sarah@example.com',
+      subject: 'Verify your email address',
+      text: 'Hello',
+    });
+
+    const saved = JSON.parse(fs.readFileSync(result.path, 'utf8'));
+    expect(path.dirname(result.path)).toBe(outboxDir);
+    expect(saved).toMatchObject({
+      to: 'sarah@example.com',
+      subject: 'Verify your email address',
+    });
+  });
+
+  test('custom transports can be registered and selected', async () => {
+    const send = jest.fn().mockResolvedValue({ accepted: ['x'] });
+    mailer.registerTransport('test', { send });
+    mailer.setTransport('test');
+
+    await mailer.sendMail({ to: 'sarah@example.com', subject: 'Hi' });
+
+    expect(send).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'sarah@example.com', subject: 'Hi' })
+    );
+    expect(() => mailer.registerTransport('broken', {})).toThrow(
+      'must implement send(message)'
+    );
+    expect(() => mailer.setTransport('missing')).toThrow(
+      'Unknown mail transport "missing"'
+    );
+    await expect(mailer.sendMail({ subject: 'Hi' })).rejects.toThrow(
+      'require a recipient'
+    );
+  });
+});
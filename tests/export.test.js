@@ -0,0 +1,136 @@
+const zlib = require('zlib');
+
+const { toCsv, flattenObject, objectToCsv } = require('../src/utils/csv');
+const { crc32, createZip } = require('../src/utils/zip');
+const {
+  buildDataExport,
+  buildDataExportArchive,
+} = require('../src/services/accountService');
+const helpers = require('./helpers');
+
+// Read entries back through the central directory
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+
+  const entries = {};
+  let offset = archive.readUInt32LE(end + 16);
+  for (let i = 0; i < archive.readUInt16LE(end + 10); i++) {
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const name = archive.toString(
+      'utf8',
+      offset + 46,
+      offset + 46 + nameLength
+    );
+    const local = archive.readUInt32LE(offset + 42);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const dataStart = local + 30 + archive.readUInt16LE(local + 26);
+    const data = zlib.inflateRawSync(
+      archive.subarray(dataStart, dataStart + compressedSize)
+    );
+
+    expect(crc32(data)).toBe(archive.readUInt32LE(offset + 16));
+    entries[name] = data.toString('utf8');
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+const buildUser = () =>
+  helpers.buildUser({
+    password: 'SecurePass123!',
+    basicInfo: { name: 'Sarah, "Sal" Johnson' },
+    lifestyle: { favoriteActivities: ['yoga', 'running'] },
+    refreshTokens: [
+      {
+        token: 'refresh-token-value',
+        family: 'family-1',
+        deviceName: "Sarah's iPhone",
+        platform: 'ios',
+      },
+    ],
+    twoFactor: { enabled: true, secret: 'JBSWY3DPEHPK3PXP' },
+  });
+
+describe('CSV export', () => {
+  it('quotes separators and neutralises formulas', () => {
+    expect(
+      toCsv(['a', 'b'], [{ a: 'x, "y"', b: '=SUM(A1)' }, { a: null }])
+    ).toBe('a,b\r\n"x, ""y""",\'=SUM(A1)\r\n,\r\n');
+  });
+
+  it('flattens nested objects and lists', () => {
+    expect(
+      flattenObject({ a: { b: 1, c: ['x', 'y'] }, d: [{ e: 2 }] })
+    ).toEqual({ 'a.b': 1, 'a.c': 'x; y', 'd.0.e': 2 });
+  });
+
+  it('writes field/value rows', () => {
+    expect(objectToCsv({ a: { b: 1 } })).toBe('field,value\r\na.b,1\r\n');
+  });
+});
+
+describe('ZIP archives', () => {
+  it('computes standard CRC-32 checksums', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('round-trips files', () => {
+    const archive = createZip([
+      { name: 'a.csv', data: 'x,y\r\n1,2\r\n' },
+      { name: 'b.json', data: Buffer.from('{"ok":true}') },
+    ]);
+
+    expect(readZip(archive)).toEqual({
+      'a.csv': 'x,y\r\n1,2\r\n',
+      'b.json': '{"ok":true}',
+    });
+  });
+});
+
+describe('Personal data export', () => {
+  it('includes profile, sessions and history without secrets', () => {
+    const data = buildDataExport(buildUser());
+    const serialized = JSON.stringify(data);
+
+    expect(data.profile.email).toBe('sarah@example.com');
+    expect(data.profile.lifestyle.favoriteActivities).toEqual([
+      'yoga',
+      'running',
+    ]);
+    expect(data.account.twoFactorEnabled).toBe(true);
+    expect(data.sessions).toEqual([
+      expect.objectContaining({
+        deviceName: "Sarah's iPhone",
+        platform: 'ios',
+      }),
+    ]);
+    expect(data.history).toHaveProperty('failedLoginAttempts', 0);
+
+    expect(serialized).not.toContain('SecurePass123!');
+    expect(serialized).not.toContain('refresh-token-value');
+    expect(serialized).not.toContain('JBSWY3DPEHPK3PXP');
+  });
+
+  it('archives every section as CSV', () => {
+    const entries = readZip(buildDataExportArchive(buildUser()));
+
+    expect(Object.keys(entries)).toEqual(
+      expect.arrayContaining([
+        'profile.csv',
+        'lifestyle.csv',
+        'medical_history.csv',
+        'lab_results.csv',
+        'account.csv',
+        'sessions.csv',
+      ])
+    );
+    expect(entries['profile.csv']).toContain(
+      'basicInfo.name,"Sarah, ""Sal"" Johnson"'
+    );
+    expect(entries['lifestyle.csv']).toContain(
+      'favoriteActivities,yoga; running'
+    );
+    expect(entries['sessions.csv']).toContain("Sarah's iPhone,ios");
+  });
+});
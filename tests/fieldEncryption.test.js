@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const {
+  loadFieldKeyring,
+  localKeyProvider,
+} = require('../src/utils/fieldKeyring');
+const {
+  setKeyProvider,
+  encryptValue,
+  decryptValue,
+  needsRewrap,
+  rewrapEnvelope,
+  blindIndex,
+} = require('../src/utils/fieldEncryption');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+// Key provider over a keyring built from environment-style settings
+const useKeyring = (env) => {
+  const keyring = loadFieldKeyring(env);
+  setKeyProvider({
+    getActiveKey: () => ({
+      id: keyring.activeKeyId,
+      key: keyring.keys.get(keyring.activeKeyId),
+    }),
+    getKey: (id) => keyring.keys.get(id) || null,
+    getBlindIndexKey: () => keyring.blindIndexKey,
+  });
+};
+
+describe('Field encryption keyring', () => {
+  test('reads keys from the environment, last key active', () => {
+    const keyring = loadFieldKeyring({
+      FIELD_ENCRYPTION_KEYS: `k1:${newKey()}, k2:${newKey()}`,
+      FIELD_ENCRYPTION_BLIND_INDEX_KEY: newKey(),
+    });
+
+    expect(keyring.activeKeyId).toBe('k2');
+    expect([...keyring.keys.keys()]).toEqual(['k1', 'k2']);
+  });
+
+  test('rejects malformed keyrings', () => {
+    const blindIndexKey = newKey();
+
+    expect(() =>
+      loadFieldKeyring({
+        FIELD_ENCRYPTION_KEYS: 'k1:c2hvcnQ=',
+        FIELD_ENCRYPTION_BLIND_INDEX_KEY: blindIndexKey,
+      })
+    ).toThrow('must be 32 bytes');
+    expect(() =>
+      loadFieldKeyring({
+        FIELD_ENCRYPTION_KEYS: `k1:${newKey()}`,
+        FIELD_ENCRYPTION_ACTIVE_KEY: 'k2',
+        FIELD_ENCRYPTION_BLIND_INDEX_KEY: blindIndexKey,
+      })
+    ).toThrow('"k2" is not defined');
+    expect(() =>
+      loadFieldKeyring({ FIELD_ENCRYPTION_KEYS: `k1:${newKey()}` })
+    ).toThrow('no blindIndexKey');
+  });
+});
+
+describe('Envelope encryption', () => {
+  const k1 = newKey();
+  const k2 = newKey();
+  const blindIndexKey = newKey();
+
+  beforeEach(() => {
+    useKeyring({
+      FIELD_ENCRYPTION_KEYS: `k1:${k1}`,
+      FIELD_ENCRYPTION_BLIND_INDEX_KEY: blindIndexKey,
+    });
+  });
+
+  afterAll(() => {
+    setKeyProvider(localKeyProvider);
+  });
+
+  test('round-trips values bound to their context', () => {
+    const value = { allergies: 'nuts', chronicConditions: ['asthma'] };
+    const envelope = encryptValue(value, 'users/1/medicalHistory');
+
+    expect(envelope.kid).toBe('k1');
+    expect(JSON.stringify(envelope)).not.toContain('nuts');
+    expect(decryptValue(envelope, 'users/1/medicalHistory')).toEqual(value);
+    expect(() => decryptValue(envelope, 'users/2/medicalHistory')).toThrow(
+      'failed authentication'
+    );
+  });
+
+  test('rewraps data keys with the active key', () => {
+    const envelope = encryptValue({ vitD: 30 }, 'ctx');
+
+    useKeyring({
+      FIELD_ENCRYPTION_KEYS: `k1:${k1},k2:${k2}`,
+      FIELD_ENCRYPTION_BLIND_INDEX_KEY: blindIndexKey,
+    });
+    expect(needsRewrap(envelope)).toBe(true);
+
+    const rewrapped = rewrapEnvelope(envelope);
+    expect(rewrapped.kid).toBe('k2');
+    expect(rewrapped.data).toBe(envelope.data);
+    expect(needsRewrap(rewrapped)).toBe(false);
+
+    // The old key can be removed once everything is rewrapped
+    useKeyring({
+      FIELD_ENCRYPTION_KEYS: `k2:${k2}`,
+      FIELD_ENCRYPTION_BLIND_INDEX_KEY: blindIndexKey,
+    });
+    expect(decryptValue(rewrapped, 'ctx')).toEqual({ vitD: 30 });
+    expect(() => decryptValue(envelope, 'ctx')).toThrow(
+      'Unknown field encryption key "k1"'
+    );
+  });
+
+  test('blind indexes are deterministic per key', () => {
+    const token = blindIndex('condition:diabetes');
+
+    expect(blindIndex('condition:diabetes')).toBe(token);
+    expect(blindIndex('condition:obesity')).not.toBe(token);
+
+    useKeyring({
+      FIELD_ENCRYPTION_KEYS: `k1:${k1}`,
+      FIELD_ENCRYPTION_BLIND_INDEX_KEY: newKey(),
+    });
+    expect(blindIndex('condition:diabetes')).not.toBe(token);
+  });
+
+  test('users decrypt medical sections on load', () => {
+    const _id = new mongoose.Types.ObjectId();
+    const medicalHistory = {
+      gender: 'Femme',
+      allergies: 'nuts',
+      personalMedicalHistory: { diabetes: 'yes' },
+    };
+    const user = User.hydrate({
+      _id,
+      email: 'user@example.com',
+      encryptedFields: {
+        medicalHistory: User.encryptSection(
+          _id,
+          'medicalHistory',
+          medicalHistory
+        ),
+        labResults: User.encryptSection(_id, 'labResults', { vitD: 30 }),
+      },
+    });
+
+    expect(user.getFullProfile().medicalHistory.allergies).toBe('nuts');
+    expect(user.labResults.vitD).toBe(30);
+    expect(user.modifiedPaths()).toEqual([]);
+    expect(user.toJSON()).not.toHaveProperty('encryptedFields');
+
+    expect(User.buildMedicalIndex(medicalHistory)).toEqual([
+      User.getMedicalIndexToken('condition', 'diabetes'),
+      User.getMedicalIndexToken('gender', 'Femme'),
+    ]);
+  });
+});
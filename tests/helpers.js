@@ -0,0 +1,54 @@
+const User = require('../src/models/User');
+
+/**
+ * Test Helpers
+ * Factories shared by the controller and middleware tests. Not a test file:
+ * jest only runs *.test.js.
+ */
+
+// A user whose saves resolve without a database
+const buildUser = (overrides = {}) => {
+  const user = new User({ email: 'sarah@example.com', ...overrides });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+// A request as the controllers and middleware read it
+const buildRequest = (overrides = {}) => ({
+  body: {},
+  params: {},
+  headers: {},
+  ip: '203.0.113.7',
+  get: () => undefined,
+  ...overrides,
+});
+
+// A response whose status, json and set calls can be asserted
+const buildResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+// Sign and verify tokens with a fixed JWT_SECRET in the calling describe
+// block (or file), restoring the original afterwards
+const useTestSecret = () => {
+  const originalSecret = process.env.JWT_SECRET;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterAll(() => {
+    process.env.JWT_SECRET = originalSecret;
+  });
+};
+
+module.exports = {
+  buildUser,
+  buildRequest,
+  buildResponse,
+  useTestSecret,
+};
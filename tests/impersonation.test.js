@@ -0,0 +1,109 @@
+const User = require('../src/models/User');
+const ConsentDocument = require('../src/models/ConsentDocument');
+const { generateAccessToken, verifyToken } = require('../src/utils/jwt');
+const {
+  blockImpersonation,
+  canReadMedicalData,
+} = require('../src/middleware/auth');
+const { getProfile } = require('../src/controllers/onboardingController');
+const helpers = require('./helpers');
+
+const { buildRequest, buildResponse, useTestSecret } = helpers;
+
+describe('Impersonation tokens', () => {
+  useTestSecret();
+
+  test('name the acting staff member in the act claim', () => {
+    const decoded = verifyToken(
+      generateAccessToken('507f1f77bcf86cd799439011', {
+        actorId: '507f1f77bcf86cd799439012',
+      })
+    );
+
+    expect(decoded.sub).toBe('507f1f77bcf86cd799439011');
+    expect(decoded.act).toEqual({ sub: '507f1f77bcf86cd799439012' });
+    expect(decoded).not.toHaveProperty('auth_time');
+  });
+
+  test('regular access tokens have no act claim', () => {
+    const decoded = verifyToken(
+      generateAccessToken('507f1f77bcf86cd799439011')
+    );
+
+    expect(decoded).not.toHaveProperty('act');
+  });
+});
+
+describe('blockImpersonation', () => {
+  test('passes requests made by the user', () => {
+    const next = jest.fn();
+    blockImpersonation({ user: {} }, {}, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects requests made while impersonating', () => {
+    expect(() =>
+      blockImpersonation({ user: {}, impersonator: {} }, {}, jest.fn())
+    ).toThrow(
+      expect.objectContaining({
+        statusCode: 403,
+        code: 'IMPERSONATION_FORBIDDEN',
+      })
+    );
+  });
+});
+
+describe('Medical data while impersonating', () => {
+  // A user who accepted the current health data consent
+  const buildUser = () => {
+    const user = helpers.buildUser({
+      medicalHistory: { gender: 'female' },
+      labResults: { vitD: 30 },
+    });
+    user.acceptConsent('health_data', 1);
+    return user;
+  };
+
+  const getProfileAs = async (impersonator) => {
+    const user = buildUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(ConsentDocument, 'findOne').mockReturnValue({
+      sort: () => Promise.resolve({ type: 'health_data', version: 1 }),
+    });
+    const res = buildResponse();
+
+    await getProfile(buildRequest({ user, impersonator }), res, jest.fn());
+    return res.json.mock.calls[0][0].data;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('needs users:read:medical for staff', () => {
+    expect(canReadMedicalData({})).toBe(true);
+    expect(
+      canReadMedicalData({ impersonator: new User({ role: 'support' }) })
+    ).toBe(false);
+    expect(
+      canReadMedicalData({ impersonator: new User({ role: 'admin' }) })
+    ).toBe(true);
+  });
+
+  test('leaves medical sections out of the profile for support', async () => {
+    const profile = await getProfileAs(new User({ role: 'support' }));
+
+    expect(profile.email).toBe('sarah@example.com');
+    expect(profile).not.toHaveProperty('medicalHistory');
+    expect(profile).not.toHaveProperty('labResults');
+  });
+
+  test('returns them to the user and to staff allowed to read them', async () => {
+    for (const impersonator of [undefined, new User({ role: 'admin' })]) {
+      const profile = await getProfileAs(impersonator);
+      expect(profile.medicalHistory.gender).toBe('female');
+      expect(profile.labResults.vitD).toBe(30);
+    }
+  });
+});
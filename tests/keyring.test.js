@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const jwt = require('jsonwebtoken');
+
+const keyring = require('../src/utils/keyring');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyToken,
+} = require('../src/utils/jwt');
+
+const DAY = 24 * 60 * 60 * 1000;
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'generate-jwt-key.js');
+
+describe('JWT signing keyring', () => {
+  const originalEnv = { ...process.env };
+  let dir;
+  let manifestPath;
+
+  const addKey = (alg, activatesAt, kid) => {
+    execFileSync(process.execPath, [
+      SCRIPT,
+      '--alg',
+      alg,
+      '--activates',
+      activatesAt.toISOString(),
+      '--kid',
+      kid,
+      '--manifest',
+      manifestPath,
+    ]);
+  };
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    manifestPath = path.join(dir, 'keys.json');
+
+    const now = Date.now();
+    addKey('RS256', new Date(now - 30 * DAY), 'old');
+    addKey('ES256', new Date(now - 10 * DAY), 'previous');
+    addKey('ES256', new Date(now - DAY), 'current');
+    addKey('RS256', new Date(now + DAY), 'next');
+  });
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      JWT_SECRET: 'test-secret',
+      JWT_KEYS_FILE: manifestPath,
+      JWT_REFRESH_EXPIRES_IN: '7d',
+    };
+    delete process.env.JWT_KEY_OVERLAP;
+    keyring.reloadKeyring();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('signs with the most recently activated key', () => {
+    const token = generateAccessToken('user-1');
+    const { header } = jwt.decode(token, { complete: true });
+
+    expect(header).toMatchObject({ alg: 'ES256', kid: 'current' });
+    expect(verifyToken(token, 'access').userId).toBe('user-1');
+  });
+
+  test('keeps replaced keys for the overlap window only', () => {
+    expect(keyring.getVerificationKey('previous')).not.toBeNull();
+    expect(keyring.getVerificationKey('old')).toBeNull();
+    expect(keyring.getVerificationKey('next')).not.toBeNull();
+  });
+
+  test('activates scheduled keys on time', () => {
+    const key = keyring.getSigningKey(new Date(Date.now() + 2 * DAY));
+    expect(key.kid).toBe('next');
+  });
+
+  test('publishes public keys that are not retired', () => {
+    const { keys } = keyring.getJwks();
+
+    expect(keys.map((key) => key.kid)).toEqual(['previous', 'current', 'next']);
+    keys.forEach((key) => {
+      expect(key.use).toBe('sig');
+      expect(key.d).toBeUndefined();
+    });
+  });
+
+  test('JWKS keys verify issued tokens', () => {
+    const token = generateRefreshToken('user-1');
+    const { header } = jwt.decode(token, { complete: true });
+    const jwk = keyring.getJwks().keys.find((key) => key.kid === header.kid);
+
+    const publicKey = require('crypto').createPublicKey({
+      key: jwk,
+      format: 'jwk',
+    });
+    expect(
+      jwt.verify(token, publicKey, { algorithms: [jwk.alg] })
+    ).toMatchObject({ userId: 'user-1', type: 'refresh' });
+  });
+
+  test('rejects tokens signed by retired or unknown keys', () => {
+    const token = generateAccessToken('user-1');
+    const forged = jwt.sign({ userId: 'user-1', type: 'access' }, 'x', {
+      keyid: 'old',
+    });
+
+    expect(() => verifyToken(forged, 'access')).toThrow(
+      'Unknown or retired signing key'
+    );
+    process.env.JWT_KEY_OVERLAP = '1h';
+    keyring.reloadKeyring();
+    expect(keyring.getVerificationKey('previous')).toBeNull();
+    expect(() => verifyToken(token, 'access')).not.toThrow();
+  });
+
+  test('accepts HS256 tokens while JWT_SECRET is set', () => {
+    delete process.env.JWT_KEYS_FILE;
+    const legacyToken = generateAccessToken('user-1');
+    expect(jwt.decode(legacyToken, { complete: true }).header.alg).toBe(
+      'HS256'
+    );
+
+    process.env.JWT_KEYS_FILE = manifestPath;
+    expect(verifyToken(legacyToken, 'access').userId).toBe('user-1');
+
+    delete process.env.JWT_SECRET;
+    expect(() => verifyToken(legacyToken, 'access')).toThrow(
+      'HS256 tokens are no longer accepted'
+    );
+  });
+
+  test('does not publish keys in HS256 mode', () => {
+    delete process.env.JWT_KEYS_FILE;
+    expect(keyring.getJwks()).toEqual({ keys: [] });
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ipv4ToNumber,
+  lookupCountry,
+  getNetworkPrefix,
+} = require('../src/utils/geoip');
+const {
+  RISK_FLAGS,
+  detectAnomalies,
+  scoreAnomalies,
+} = require('../src/services/loginRiskService');
+
+describe('IP geolocation', () => {
+  let table;
+
+  beforeAll(() => {
+    table = path.join(os.tmpdir(), `ip-country-${process.pid}.csv`);
+    fs.writeFileSync(
+      table,
+      [
+        '# start,end,country',
+        '81.2.69.0,81.2.69.255,GB',
+        '1.0.0.0,1.0.0.255,AU',
+        '216.160.83.0,216.160.83.255,US',
+        'not,a,range',
+      ].join('\n')
+    );
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(table);
+  });
+
+  test('converts IPv4 and IPv4-mapped addresses', () => {
+    expect(ipv4ToNumber('1.2.3.4')).toBe(16909060);
+    expect(ipv4ToNumber('::ffff:1.2.3.4')).toBe(16909060);
+    expect(ipv4ToNumber('2001:db8::1')).toBeNull();
+  });
+
+  test('looks up countries by range', () => {
+    expect(lookupCountry('81.2.69.160', table)).toBe('GB');
+    expect(lookupCountry('::ffff:1.0.0.1', table)).toBe('AU');
+    expect(lookupCountry('216.160.83.56', table)).toBe('US');
+    expect(lookupCountry('8.8.8.8', table)).toBeNull();
+    expect(lookupCountry(undefined, table)).toBeNull();
+  });
+
+  test('bundled table covers public address space', () => {
+    expect(lookupCountry('193.0.6.139')).toBe('NL');
+    expect(lookupCountry('133.11.0.1')).toBe('JP');
+    expect(lookupCountry('10.0.0.1')).toBeNull();
+  });
+
+  test('groups addresses into networks', () => {
+    expect(getNetworkPrefix('203.0.113.7')).toBe('203.0.113.0/24');
+    expect(getNetworkPrefix('::ffff:203.0.113.7')).toBe('203.0.113.0/24');
+    expect(getNetworkPrefix('2001:db8:abcd:12::1')).toBe('2001:db8:abcd::/48');
+    expect(getNetworkPrefix('::1')).toBe('0:0:0::/48');
+  });
+});
+
+describe('detectAnomalies', () => {
+  const now = new Date('2024-01-15T10:30:00Z');
+  const hoursAgo = (hours) => new Date(now - hours * 60 * 60 * 1000);
+  const known = {
+    deviceHash: 'phone',
+    network: '203.0.113.0/24',
+    country: 'GB',
+  };
+  const login = (overrides) => ({ ...known, time: now, ...overrides });
+
+  test('never flags the first login', () => {
+    expect(detectAnomalies([], login({ deviceHash: 'new' }))).toEqual([]);
+  });
+
+  test('accepts a known device, network and country', () => {
+    const history = [{ ...known, createdAt: hoursAgo(24) }];
+    expect(detectAnomalies(history, login())).toEqual([]);
+  });
+
+  test('flags a new device and network', () => {
+    const history = [{ ...known, createdAt: hoursAgo(24) }];
+    const flags = detectAnomalies(
+      history,
+      login({ deviceHash: 'laptop', network: '198.51.100.0/24' })
+    );
+
+    expect(flags).toEqual([RISK_FLAGS.NEW_DEVICE, RISK_FLAGS.NEW_NETWORK]);
+    expect(scoreAnomalies(flags)).toBe(2);
+  });
+
+  test('flags a country change within the window only', () => {
+    const flags = detectAnomalies(
+      [{ ...known, createdAt: hoursAgo(1) }],
+      login({ country: 'JP' })
+    );
+    expect(flags).toEqual([RISK_FLAGS.NEW_COUNTRY, RISK_FLAGS.COUNTRY_CHANGE]);
+
+    expect(
+      detectAnomalies(
+        [{ ...known, createdAt: hoursAgo(48) }],
+        login({ country: 'JP' })
+      )
+    ).toEqual([RISK_FLAGS.NEW_COUNTRY]);
+  });
+
+  test('flags unusual hours once there is enough history', () => {
+    // Mornings around 09:00-10:00 UTC
+    const history = Array.from({ length: 10 }, (_, day) => ({
+      ...known,
+      createdAt: hoursAgo(24 * (day + 1) + (day % 2)),
+    }));
+
+    expect(detectAnomalies(history, login())).toEqual([]);
+    expect(
+      detectAnomalies(history, login({ time: new Date('2024-01-15T22:00Z') }))
+    ).toEqual([RISK_FLAGS.UNUSUAL_HOUR]);
+    expect(
+      detectAnomalies(
+        history.slice(0, 9),
+        login({ time: new Date('2024-01-15T22:00Z') })
+      )
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,230 @@
+jest.mock('../src/utils/mailer');
+
+const bcrypt = require('bcryptjs');
+
+const User = require('../src/models/User');
+const MagicLink = require('../src/models/MagicLink');
+const AuditEvent = require('../src/models/AuditEvent');
+const authService = require('../src/services/authService');
+const loginRiskService = require('../src/services/loginRiskService');
+const { signin } = require('../src/controllers/authController');
+const { sendMail } = require('../src/utils/mailer');
+const { validateMagicLinkVerify } = require('../src/middleware/validation');
+const { MAGIC_LINK, hashSensitiveData } = require('../src/config/security');
+const { buildUser, buildRequest, buildResponse } = require('./helpers');
+
+const CHALLENGE_TOKEN = 'a'.repeat(64);
+const LINK_TOKEN = 'b'.repeat(64);
+const CODE = '048213';
+
+// A pending challenge as MagicLink.findOneAndUpdate returns it, attempts
+// already counted
+const buildChallenge = async (overrides = {}) => ({
+  _id: '507f1f77bcf86cd799439012',
+  userId: '507f1f77bcf86cd799439011',
+  tokenHash: hashSensitiveData(LINK_TOKEN),
+  codeHash: await bcrypt.hash(CODE, 4),
+  attempts: 1,
+  ...overrides,
+});
+
+// Run the validation chain; returns the 400 body, or undefined when valid
+const validate = async (body) => {
+  const res = buildResponse();
+  const req = buildRequest({ body });
+  for (const middleware of validateMagicLinkVerify) {
+    await middleware(req, res, () => {});
+  }
+  return res.json.mock.calls[0]?.[0];
+};
+
+describe('Magic link verification input', () => {
+  test('accepts the challenge token with a code or a link token', async () => {
+    expect(
+      await validate({ challengeToken: CHALLENGE_TOKEN, code: CODE })
+    ).toBeUndefined();
+    expect(
+      await validate({ challengeToken: CHALLENGE_TOKEN, token: LINK_TOKEN })
+    ).toBeUndefined();
+  });
+
+  test('rejects codes and tokens that are not strings', async () => {
+    for (const body of [
+      { code: 482913 },
+      { code: ['482913'] },
+      { token: [LINK_TOKEN] },
+    ]) {
+      const error = await validate({
+        challengeToken: CHALLENGE_TOKEN,
+        ...body,
+      });
+      expect(error.error).toBe('Validation Error');
+    }
+  });
+
+  test('needs exactly one of the code and the link token', async () => {
+    expect(await validate({ challengeToken: CHALLENGE_TOKEN })).toBeDefined();
+    expect(
+      await validate({
+        challengeToken: CHALLENGE_TOKEN,
+        code: CODE,
+        token: LINK_TOKEN,
+      })
+    ).toBeDefined();
+  });
+});
+
+describe('verifyMagicLink', () => {
+  let challenge;
+
+  const verify = async (credentials, user = buildUser()) => {
+    jest.spyOn(MagicLink, 'findOneAndUpdate').mockReturnValue({
+      select: () => Promise.resolve(challenge),
+    });
+    jest.spyOn(MagicLink, 'findOneAndDelete').mockResolvedValue(challenge);
+    jest.spyOn(MagicLink, 'deleteOne').mockResolvedValue();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    return authService.verifyMagicLink({
+      challengeToken: CHALLENGE_TOKEN,
+      ...credentials,
+    });
+  };
+
+  beforeEach(async () => {
+    challenge = await buildChallenge();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('signs in with the code and verifies the email', async () => {
+    const user = buildUser();
+
+    expect(await verify({ code: CODE }, user)).toBe(user);
+    expect(user.isEmailVerified).toBe(true);
+    expect(MagicLink.findOneAndDelete).toHaveBeenCalledWith({
+      _id: challenge._id,
+    });
+  });
+
+  test('signs in with the link token', async () => {
+    const user = buildUser();
+    expect(await verify({ token: LINK_TOKEN }, user)).toBe(user);
+  });
+
+  test('looks the challenge up by the device hash and counts the attempt', async () => {
+    await verify({ code: CODE });
+
+    const [filter, update] = MagicLink.findOneAndUpdate.mock.calls[0];
+    expect(filter.deviceHash).toBe(hashSensitiveData(CHALLENGE_TOKEN));
+    expect(filter.attempts).toEqual({ $lt: MAGIC_LINK.maxAttempts });
+    expect(update).toEqual({ $inc: { attempts: 1 } });
+  });
+
+  test('reports the attempts left after a wrong code', async () => {
+    await expect(verify({ code: '000000' })).rejects.toMatchObject({
+      statusCode: 401,
+      code: 'INVALID_MAGIC_LINK',
+      details: { remainingAttempts: MAGIC_LINK.maxAttempts - 1 },
+    });
+    expect(MagicLink.deleteOne).not.toHaveBeenCalled();
+    expect(MagicLink.findOneAndDelete).not.toHaveBeenCalled();
+  });
+
+  test('discards the challenge after the last wrong attempt', async () => {
+    challenge = await buildChallenge({ attempts: MAGIC_LINK.maxAttempts });
+
+    await expect(verify({ token: 'c'.repeat(64) })).rejects.toMatchObject({
+      details: { remainingAttempts: 0 },
+    });
+    expect(MagicLink.deleteOne).toHaveBeenCalledWith({ _id: challenge._id });
+  });
+
+  test('rejects unknown, expired or used up challenges', async () => {
+    challenge = null;
+
+    await expect(verify({ code: CODE })).rejects.toMatchObject({
+      statusCode: 401,
+      code: 'INVALID_MAGIC_LINK',
+    });
+  });
+});
+
+describe('Sign-in step-up', () => {
+  // Stored challenges, newest last
+  const challenges = [];
+
+  const signinFlagged = async (user) => {
+    const res = buildResponse();
+    const next = jest.fn();
+    await signin(
+      buildRequest({
+        body: { email: user.email, password: 'SecurePass123!' },
+      }),
+      res,
+      next
+    );
+    expect(next).not.toHaveBeenCalled();
+    return res.json.mock.calls[0][0];
+  };
+
+  beforeEach(() => {
+    challenges.length = 0;
+    const user = buildUser();
+    jest.spyOn(authService, 'authenticateUser').mockResolvedValue(user);
+    jest.spyOn(User, 'findByEmail').mockResolvedValue(user);
+    jest
+      .spyOn(loginRiskService, 'assessLogin')
+      .mockResolvedValue({ flagged: true, riskFlags: ['new_device'] });
+    jest.spyOn(loginRiskService, 'requiresStepUp').mockReturnValue(true);
+    jest.spyOn(loginRiskService, 'recordLogin').mockResolvedValue();
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue();
+    jest.spyOn(MagicLink, 'findOne').mockReturnValue({
+      sort: () => ({ lean: () => Promise.resolve(challenges.at(-1) || null) }),
+    });
+    jest.spyOn(MagicLink, 'deleteMany').mockResolvedValue();
+    jest
+      .spyOn(MagicLink, 'create')
+      .mockImplementation(async (challenge) =>
+        challenges.push({ ...challenge, createdAt: new Date() })
+      );
+    sendMail.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendMail.mockReset();
+  });
+
+  test('returns a challenge token bound to the emailed code', async () => {
+    const response = await signinFlagged(buildUser());
+
+    expect(response.stepUpRequired).toBe(true);
+    expect(response).not.toHaveProperty('accessToken');
+    expect(challenges).toHaveLength(1);
+    expect(challenges[0].deviceHash).toBe(
+      hashSensitiveData(response.challengeToken)
+    );
+    expect(sendMail).toHaveBeenCalledTimes(1);
+  });
+
+  test('a second flagged signin during the cooldown keeps the first challenge', async () => {
+    const first = await signinFlagged(buildUser());
+    const second = await signinFlagged(buildUser());
+
+    expect(second.stepUpRequired).toBe(true);
+    expect(second).not.toHaveProperty('challengeToken');
+    expect(second.retryAfter).toBeGreaterThan(0);
+    expect(second.retryAfter).toBeLessThanOrEqual(
+      MAGIC_LINK.resendCooldown / 1000
+    );
+
+    // No new email, and the first token still matches the stored challenge
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(challenges).toHaveLength(1);
+    expect(challenges[0].deviceHash).toBe(
+      hashSensitiveData(first.challengeToken)
+    );
+  });
+});
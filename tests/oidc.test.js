@@ -0,0 +1,257 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Local mock OIDC issuer serving a JWKS that the tests can rotate
+const createIssuer = () => {
+  const issuer = { keys: [], requests: 0 };
+
+  issuer.addKey = (kid) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+    });
+    issuer.keys.push({ kid, privateKey, publicKey });
+    return kid;
+  };
+
+  issuer.server = http.createServer((req, res) => {
+    issuer.requests += 1;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(
+      JSON.stringify({
+        keys: issuer.keys.map(({ kid, publicKey }) => ({
+          ...publicKey.export({ format: 'jwk' }),
+          kid,
+          alg: 'RS256',
+          use: 'sig',
+        })),
+      })
+    );
+  });
+
+  return issuer;
+};
+
+describe('OIDC ID token verification', () => {
+  const issuer = createIssuer();
+  const ISSUER_URL = 'https://mock-issuer.test';
+  const CLIENT_ID = 'slim-mobile';
+  const NONCE = 'n-0S6_WzA2Mj';
+  let verifyIdToken;
+  let clearJwksCache;
+  let OIDC_CONFIG;
+  let authService;
+  let OidcNonce;
+  let User;
+
+  const signIdToken = (claims = {}, options = {}) => {
+    const key = issuer.keys.find(
+      ({ kid }) => kid === (options.kid || issuer.keys[0].kid)
+    );
+    return jwt.sign(
+      {
+        sub: 'provider-user-1',
+        email: 'Jane@Example.com',
+        email_verified: true,
+        nonce: NONCE,
+        ...claims,
+      },
+      key.privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: key.kid,
+        issuer: options.issuer || ISSUER_URL,
+        audience: options.audience || CLIENT_ID,
+        expiresIn: options.expiresIn || '5m',
+      }
+    );
+  };
+
+  beforeAll(async () => {
+    issuer.addKey('key-1');
+    await new Promise((resolve) => issuer.server.listen(0, resolve));
+    const jwksUri = `http://127.0.0.1:${issuer.server.address().port}/jwks`;
+
+    process.env.OIDC_GOOGLE_ISSUER = ISSUER_URL;
+    process.env.OIDC_GOOGLE_JWKS_URI = jwksUri;
+    process.env.GOOGLE_CLIENT_IDS = CLIENT_ID;
+    process.env.OIDC_APPLE_ISSUER = ISSUER_URL;
+    process.env.OIDC_APPLE_JWKS_URI = jwksUri;
+    process.env.APPLE_CLIENT_IDS = CLIENT_ID;
+
+    ({ verifyIdToken, clearJwksCache } = require('../src/utils/oidc'));
+    ({ OIDC_CONFIG } = require('../src/config/security'));
+    authService = require('../src/services/authService');
+    OidcNonce = require('../src/models/OidcNonce');
+    User = require('../src/models/User');
+  });
+
+  beforeEach(() => {
+    clearJwksCache();
+    issuer.requests = 0;
+  });
+
+  afterAll(() => new Promise((resolve) => issuer.server.close(resolve)));
+
+  // Verify with the nonce the test tokens carry unless told otherwise
+  const verify = (provider, idToken, { nonce = NONCE } = {}) =>
+    verifyIdToken(provider, idToken, { nonce });
+
+  test('verifies a token and returns the identity', async () => {
+    const identity = await verify('google', signIdToken());
+
+    expect(identity).toEqual({
+      provider: 'google',
+      subject: 'provider-user-1',
+      email: 'jane@example.com',
+      emailVerified: true,
+      name: null,
+    });
+  });
+
+  test('caches provider keys between verifications', async () => {
+    await verify('google', signIdToken());
+    await verify('google', signIdToken());
+
+    expect(issuer.requests).toBe(1);
+  });
+
+  test('rejects tokens for another audience or issuer', async () => {
+    await expect(
+      verify('google', signIdToken({}, { audience: 'other-app' }))
+    ).rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' });
+
+    await expect(
+      verify('google', signIdToken({}, { issuer: 'https://evil.test' }))
+    ).rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' });
+  });
+
+  test('rejects expired and tampered tokens', async () => {
+    await expect(
+      verify('google', signIdToken({}, { expiresIn: -300 }))
+    ).rejects.toThrow('ID token has expired');
+
+    const [header, , signature] = signIdToken().split('.');
+    const payload = Buffer.from(
+      JSON.stringify({ sub: 'someone-else', aud: CLIENT_ID, iss: ISSUER_URL })
+    ).toString('base64url');
+
+    await expect(
+      verify('google', `${header}.${payload}.${signature}`)
+    ).rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' });
+  });
+
+  test('refreshes keys when the provider rotates', async () => {
+    await verify('google', signIdToken());
+    issuer.addKey('key-2');
+
+    const cooldown = OIDC_CONFIG.jwksRefreshCooldown;
+    OIDC_CONFIG.jwksRefreshCooldown = 0;
+    try {
+      const identity = await verify(
+        'google',
+        signIdToken({}, { kid: 'key-2' })
+      );
+      expect(identity.subject).toBe('provider-user-1');
+      expect(issuer.requests).toBe(2);
+    } finally {
+      OIDC_CONFIG.jwksRefreshCooldown = cooldown;
+    }
+  });
+
+  test('does not refetch keys for unknown kids during the cooldown', async () => {
+    await verify('google', signIdToken());
+    const forged = jwt.sign({ sub: 'x' }, 'secret', { keyid: 'unknown' });
+
+    await expect(verify('google', forged)).rejects.toMatchObject({
+      code: 'INVALID_ID_TOKEN',
+    });
+    expect(issuer.requests).toBe(1);
+  });
+
+  test('checks the nonce in raw or SHA-256 form', async () => {
+    const nonce = NONCE;
+    const hashed = crypto.createHash('sha256').update(nonce).digest('hex');
+
+    // Apple sends email_verified as a string
+    const identity = await verify(
+      'apple',
+      signIdToken({ nonce: hashed, email_verified: 'true' }),
+      { nonce }
+    );
+    expect(identity.emailVerified).toBe(true);
+
+    await expect(
+      verify('apple', signIdToken({ nonce }), { nonce: 'other' })
+    ).rejects.toThrow('ID token nonce does not match');
+  });
+
+  test('requires a nonce', async () => {
+    await expect(
+      verifyIdToken('google', signIdToken({ nonce: undefined }))
+    ).rejects.toThrow('ID token nonce does not match');
+    await expect(
+      verify('google', signIdToken(), { nonce: '' })
+    ).rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' });
+  });
+
+  describe('provider signin', () => {
+    const signIn = () =>
+      authService.signInWithProvider({
+        provider: 'google',
+        idToken: signIdToken(),
+        nonce: NONCE,
+      });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('issues nonces and stores only their hash', async () => {
+      jest.spyOn(OidcNonce, 'create').mockImplementation(async (doc) => doc);
+
+      const { nonce, expiresAt } =
+        await authService.createProviderNonce('google');
+
+      const [stored] = OidcNonce.create.mock.calls[0];
+      expect(stored.provider).toBe('google');
+      expect(stored.nonceHash).toBe(
+        crypto.createHash('sha256').update(nonce).digest('hex')
+      );
+      expect(expiresAt - Date.now()).toBeGreaterThan(
+        OIDC_CONFIG.nonceExpiry - 1000
+      );
+    });
+
+    test('uses up the nonce of the signin', async () => {
+      const user = new User({ email: 'jane@example.com' });
+      jest.spyOn(OidcNonce, 'findOneAndDelete').mockResolvedValue({});
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue(user);
+
+      await expect(signIn()).resolves.toEqual({ user, isNewUser: false });
+      expect(OidcNonce.findOneAndDelete).toHaveBeenCalledWith(
+        expect.objectContaining({
+          nonceHash: crypto.createHash('sha256').update(NONCE).digest('hex'),
+          provider: 'google',
+        })
+      );
+    });
+
+    test('rejects replayed tokens once the nonce is used', async () => {
+      jest.spyOn(OidcNonce, 'findOneAndDelete').mockResolvedValue(null);
+      jest.spyOn(User, 'findByIdentity');
+
+      await expect(signIn()).rejects.toMatchObject({
+        statusCode: 401,
+        code: 'INVALID_OIDC_NONCE',
+      });
+      expect(User.findByIdentity).not.toHaveBeenCalled();
+    });
+  });
+
+  test('rejects unsupported providers', async () => {
+    await expect(verify('facebook', signIdToken())).rejects.toMatchObject({
+      code: 'UNSUPPORTED_PROVIDER',
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const bcrypt = require('bcryptjs');
+
+const User = require('../src/models/User');
+const {
+  PASSWORD_REQUIREMENTS,
+  validatePassword,
+} = require('../src/config/security');
+const {
+  sha1,
+  parseCorpus,
+  isBreachedPassword,
+} = require('../src/utils/breachedPasswords');
+
+const codesFor = (password, options) =>
+  validatePassword(password, options).violations.map(
+    (violation) => violation.code
+  );
+
+describe('Password policy', () => {
+  test('accepts a strong password', () => {
+    expect(validatePassword('Harbor!Lantern42')).toEqual({
+      isValid: true,
+      errors: [],
+      violations: [],
+    });
+  });
+
+  test('reports each broken rule with its own code', () => {
+    expect(codesFor('short')).toEqual([
+      'PASSWORD_TOO_SHORT',
+      'PASSWORD_NO_UPPERCASE',
+      'PASSWORD_NO_NUMBER',
+      'PASSWORD_NO_SPECIAL_CHAR',
+    ]);
+    expect(
+      codesFor('Sarah.Johnson!42', { email: 'sarah.johnson@x.com' })
+    ).toEqual(['PASSWORD_CONTAINS_EMAIL']);
+  });
+
+  test('rejects breached passwords that meet the other rules', () => {
+    expect(codesFor('Password123!')).toEqual(['PASSWORD_BREACHED']);
+    expect(codesFor('P@ssw0rd')).toEqual(['PASSWORD_BREACHED']);
+  });
+});
+
+describe('Breached password corpus', () => {
+  test('buckets HIBP-style lines by hash prefix', () => {
+    const hash = sha1('hunter2');
+    const buckets = parseCorpus(`${hash}:17\r\nnot-a-hash\n`);
+
+    expect(hash).toBe('F3BBBD66A63D4BF1747940578EC3D0103530E21D');
+    expect([...buckets.keys()]).toEqual(['F3BBB']);
+    expect(buckets.get('F3BBB').has(hash.slice(5))).toBe(true);
+  });
+
+  test('checks the password and its lowercase form', () => {
+    expect(isBreachedPassword('qwerty123')).toBe(true);
+    expect(isBreachedPassword('QWERTY123')).toBe(true);
+    expect(isBreachedPassword('Harbor!Lantern42')).toBe(false);
+  });
+});
+
+describe('Password history and expiry', () => {
+  test('keeps earlier hashes and refuses their reuse', async () => {
+    const user = new User({
+      email: 'sarah@example.com',
+      password: await bcrypt.hash('First!Pass1', 4),
+      passwordHistory: [await bcrypt.hash('Older!Pass1', 4)],
+    });
+
+    expect(await user.isPasswordReused('First!Pass1')).toBe(true);
+    expect(await user.isPasswordReused('Older!Pass1')).toBe(true);
+    expect(await user.isPasswordReused('Brand!New42')).toBe(false);
+
+    const currentHash = user.password;
+    user.setPassword('Brand!New42');
+
+    expect(user.password).toBe('Brand!New42');
+    expect(user.passwordHistory[0]).toBe(currentHash);
+    expect(user.passwordHistory).toHaveLength(2);
+    expect(user.passwordChangedAt).toBeInstanceOf(Date);
+  });
+
+  test('expires passwords after the configured maximum age', () => {
+    const { maxAge } = PASSWORD_REQUIREMENTS;
+    const user = new User({ email: 'sarah@example.com' });
+    user.passwordChangedAt = new Date(Date.now() - 91 * 24 * 60 * 60 * 1000);
+
+    try {
+      PASSWORD_REQUIREMENTS.maxAge = null;
+      expect(user.isPasswordExpired()).toBe(false);
+
+      PASSWORD_REQUIREMENTS.maxAge = 90 * 24 * 60 * 60 * 1000;
+      expect(user.isPasswordExpired()).toBe(true);
+    } finally {
+      PASSWORD_REQUIREMENTS.maxAge = maxAge;
+    }
+  });
+});
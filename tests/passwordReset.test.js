@@ -0,0 +1,189 @@
+jest.mock('../src/utils/mailer');
+
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const RevokedToken = require('../src/models/RevokedToken');
+const { sendMail } = require('../src/utils/mailer');
+const {
+  forgotPassword,
+  resetPassword,
+} = require('../src/controllers/authController');
+const { PASSWORD_RESET, hashSensitiveData } = require('../src/config/security');
+const helpers = require('./helpers');
+
+const { buildRequest, buildResponse } = helpers;
+
+const buildUser = (overrides = {}) =>
+  helpers.buildUser({
+    password: 'SecurePass123!',
+    refreshTokens: [{ tokenHash: 'hash', family: 'family-1' }],
+    passkeys: [{ credentialId: 'credential-1', publicKey: 'key' }],
+    failedLoginAttempts: 3,
+    ...overrides,
+  });
+
+// A query resolving to `result`, e.g. User.findByEmail(...).select(...)
+const resolveQuery = (result) => ({ select: () => Promise.resolve(result) });
+
+beforeEach(() => {
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue();
+  sendMail.mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendMail.mockReset();
+});
+
+describe('Password reset tokens', () => {
+  test('store only the hash and expire after the configured time', () => {
+    const user = buildUser();
+    const token = user.createPasswordResetToken();
+
+    expect(user.passwordResetToken).toBe(hashSensitiveData(token));
+    expect(user.passwordResetExpires - Date.now()).toBeGreaterThan(
+      PASSWORD_RESET.tokenExpiry - 1000
+    );
+  });
+
+  test('resetting consumes the token, ends every session and removes passkeys', () => {
+    const user = buildUser();
+    user.createPasswordResetToken();
+    user.resetPassword('AnotherPass456!');
+
+    expect(user.passwordResetToken).toBeUndefined();
+    expect(user.refreshTokens).toHaveLength(0);
+    expect(user.passkeys).toHaveLength(0);
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(user.password).toBe('AnotherPass456!');
+    expect(user.passwordHistory).toHaveLength(1);
+  });
+
+  test('cool down after a link is sent', () => {
+    const user = buildUser();
+    expect(user.isPasswordResetCoolingDown()).toBe(false);
+
+    user.createPasswordResetToken();
+    expect(user.isPasswordResetCoolingDown()).toBe(true);
+
+    user.passwordResetExpires = new Date(
+      Date.now() + PASSWORD_RESET.tokenExpiry - PASSWORD_RESET.resendCooldown
+    );
+    expect(user.isPasswordResetCoolingDown()).toBe(false);
+  });
+});
+
+describe('forgotPassword', () => {
+  const request = async (user) => {
+    jest.spyOn(User, 'findByEmail').mockReturnValue(resolveQuery(user));
+    const res = buildResponse();
+    const next = jest.fn();
+    await forgotPassword(
+      buildRequest({ body: { email: 'sarah@example.com' } }),
+      res,
+      next
+    );
+    return { res, next };
+  };
+
+  const expectGenericResponse = ({ res }) => {
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      message:
+        'If an account exists for this email, a password reset link has been sent',
+    });
+  };
+
+  test('emails a reset link to existing accounts', async () => {
+    const user = buildUser();
+
+    expectGenericResponse(await request(user));
+    expect(user.passwordResetToken).toBeDefined();
+    expect(user.save).toHaveBeenCalled();
+    expect(sendMail).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'sarah@example.com' })
+    );
+  });
+
+  test('sends nothing for unknown addresses', async () => {
+    expectGenericResponse(await request(null));
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  test('sends no second link during the cooldown', async () => {
+    const user = buildUser();
+    await request(user);
+    const firstToken = user.passwordResetToken;
+
+    expectGenericResponse(await request(user));
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(user.passwordResetToken).toBe(firstToken);
+  });
+
+  test('passes failures to the error handler', async () => {
+    const user = buildUser();
+    const failure = new Error('connection lost');
+    user.save.mockRejectedValue(failure);
+
+    const { res, next } = await request(user);
+
+    expect(next).toHaveBeenCalledWith(failure);
+    expect(res.json).not.toHaveBeenCalled();
+  });
+});
+
+describe('resetPassword', () => {
+  const request = async (user, newPassword = 'AnotherPass456!') => {
+    jest
+      .spyOn(User, 'findByPasswordResetToken')
+      .mockReturnValue(Promise.resolve(user));
+    jest.spyOn(RevokedToken, 'revokeAllForUser').mockResolvedValue();
+    const res = buildResponse();
+    const next = jest.fn();
+    await resetPassword(
+      buildRequest({ body: { token: 'reset-token', newPassword } }),
+      res,
+      next
+    );
+    return { res, next };
+  };
+
+  test('rejects unknown or expired tokens', async () => {
+    const { res } = await request(null);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'INVALID_RESET_TOKEN' })
+    );
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: 'auth.password_reset',
+        outcome: 'failure',
+      })
+    );
+  });
+
+  test('sets the new password and revokes access tokens', async () => {
+    const user = buildUser();
+    user.createPasswordResetToken();
+
+    const { res, next } = await request(user);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(user.passwordResetToken).toBeUndefined();
+    expect(RevokedToken.revokeAllForUser).toHaveBeenCalledWith(
+      user._id,
+      'password_reset'
+    );
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: 'auth.password_reset',
+        metadata: { passkeysRemoved: 1 },
+      })
+    );
+  });
+});
@@ -0,0 +1,104 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  createRateLimiter,
+  emailTargetKey,
+} = require('../src/middleware/rateLimiter');
+const { RATE_LIMITS } = require('../src/config/security');
+
+// An app with one limited route answering `status`, counting in memory.
+// Callers pick their IP with X-Forwarded-For.
+const buildApp = (profileName, options, status = 200) => {
+  const app = express();
+  app.set('trust proxy', 1);
+  app.use(express.json());
+  app.post(
+    '/',
+    createRateLimiter(profileName, { store: undefined, ...options }),
+    (req, res) => res.status(status).json({ success: status < 400 })
+  );
+  return app;
+};
+
+const send = (app, body, ip = '203.0.113.7') =>
+  request(app).post('/').set('X-Forwarded-For', ip).send(body);
+
+describe('Rate limit profiles', () => {
+  test('email requests count per caller, whatever the address', async () => {
+    const app = buildApp('email');
+    const { maxRequests } = RATE_LIMITS.email;
+
+    for (let i = 0; i < maxRequests; i++) {
+      const res = await send(app, { email: `user${i}@example.com` });
+      expect(res.status).toBe(200);
+    }
+    const limited = await send(app, { email: 'another@example.com' });
+    expect(limited.status).toBe(429);
+    expect(limited.body.code).toBe('RATE_LIMIT_EXCEEDED');
+
+    // Other callers have their own counter
+    const other = await send(
+      app,
+      { email: 'another@example.com' },
+      '198.51.100.4'
+    );
+    expect(other.status).toBe(200);
+  });
+
+  test('email requests count per address, whoever sends them', async () => {
+    const app = buildApp('emailTarget', { keyGenerator: emailTargetKey });
+    const { maxRequests } = RATE_LIMITS.emailTarget;
+
+    for (let i = 0; i < maxRequests; i++) {
+      const res = await send(
+        app,
+        { email: 'sarah@example.com' },
+        `198.51.100.${i}`
+      );
+      expect(res.status).toBe(200);
+    }
+    const limited = await send(
+      app,
+      { email: ' Sarah@Example.com ' },
+      '192.0.2.1'
+    );
+    expect(limited.status).toBe(429);
+
+    // Other addresses have their own counter
+    expect((await send(app, { email: 'alex@example.com' })).status).toBe(200);
+  });
+
+  test('address keys ignore the caller', () => {
+    expect(
+      emailTargetKey({ ip: '203.0.113.7', body: { email: 'A@B.co' } })
+    ).toBe('email:a@b.co');
+    expect(
+      emailTargetKey({
+        ip: '198.51.100.4',
+        userId: 'u1',
+        body: { newEmail: 'new@b.co' },
+      })
+    ).toBe('email:new@b.co');
+  });
+
+  test('auth requests only count failures', async () => {
+    const { maxRequests } = RATE_LIMITS.auth;
+
+    const succeeding = buildApp('auth');
+    for (let i = 0; i < maxRequests + 2; i++) {
+      expect((await send(succeeding, {})).status).toBe(200);
+    }
+
+    const failing = buildApp('auth', {}, 401);
+    for (let i = 0; i < maxRequests; i++) {
+      expect((await send(failing, {})).status).toBe(401);
+    }
+    expect((await send(failing, {})).status).toBe(429);
+  });
+
+  test('rejects unknown profiles', () => {
+    expect(() => createRateLimiter('missing')).toThrow(
+      'Unknown rate limit profile "missing"'
+    );
+  });
+});
@@ -0,0 +1,151 @@
+jest.mock('../src/middleware/rateLimiter', () => ({
+  ...jest.requireActual('../src/middleware/rateLimiter'),
+  generalLimiter: (req, res, next) => next(),
+  onboardingLimiter: (req, res, next) => next(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const RevokedToken = require('../src/models/RevokedToken');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const {
+  generateAccessToken,
+  generateMfaChallengeToken,
+  generateTokenPair,
+  verifyToken,
+} = require('../src/utils/jwt');
+const { requireRecentAuth } = require('../src/middleware/auth');
+const { buildUser, useTestSecret } = require('./helpers');
+
+describe('Authentication claims', () => {
+  useTestSecret();
+
+  test('access tokens carry auth_time and amr when given', () => {
+    const authTime = new Date('2024-01-15T10:30:00Z');
+    const decoded = verifyToken(
+      generateAccessToken('507f1f77bcf86cd799439011', {
+        authTime,
+        amr: ['pwd', 'otp', 'mfa'],
+      })
+    );
+
+    expect(decoded.auth_time).toBe(authTime.getTime() / 1000);
+    expect(decoded.amr).toEqual(['pwd', 'otp', 'mfa']);
+  });
+
+  test('other tokens leave the claims out', () => {
+    const { accessToken } = generateTokenPair('507f1f77bcf86cd799439011');
+    const decoded = verifyToken(accessToken);
+
+    expect(decoded).not.toHaveProperty('auth_time');
+    expect(decoded).not.toHaveProperty('amr');
+  });
+
+  test('MFA challenge tokens remember the first factor', () => {
+    const decoded = verifyToken(
+      generateMfaChallengeToken('507f1f77bcf86cd799439011', { amr: ['fed'] }),
+      'mfa'
+    );
+
+    expect(decoded.amr).toEqual(['fed']);
+  });
+});
+
+describe('requireRecentAuth', () => {
+  const run = (middleware, authTime) => {
+    const next = jest.fn();
+    try {
+      middleware({ authTime }, {}, next);
+    } catch (error) {
+      return error;
+    }
+    return next.mock.calls.length === 1 ? 'next' : null;
+  };
+
+  test('passes recent authentication', () => {
+    expect(run(requireRecentAuth('5m'), new Date(Date.now() - 60000))).toBe(
+      'next'
+    );
+  });
+
+  test('rejects stale or missing authentication', () => {
+    const middleware = requireRecentAuth(5 * 60 * 1000);
+
+    for (const authTime of [new Date(Date.now() - 10 * 60000), null]) {
+      const error = run(middleware, authTime);
+      expect(error.statusCode).toBe(403);
+      expect(error.code).toBe('REAUTHENTICATION_REQUIRED');
+      expect(error.details).toEqual({ maxAge: 300 });
+    }
+  });
+});
+
+describe('Routes needing recent authentication', () => {
+  const MINUTE = 60 * 1000;
+
+  // Credential and medical data changes a stolen access token must not be
+  // enough for
+  const ROUTES = [
+    ['put', '/api/onboarding/medical-history'],
+    ['post', '/api/onboarding/lab-results'],
+    ['post', '/api/users/change-password'],
+    ['post', '/api/users/2fa/setup'],
+    ['post', '/api/users/2fa/verify'],
+    ['post', '/api/users/passkeys/register/options'],
+    ['post', '/api/users/passkeys/register'],
+    ['delete', '/api/users/passkeys/65a4f0c2e4b0a1b2c3d4e5f7'],
+  ];
+
+  const buildApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/users', require('../src/routes/users'));
+    app.use('/api/onboarding', require('../src/routes/onboarding'));
+    app.use(errorHandler);
+    return app;
+  };
+
+  const send = ([method, path], authTime) => {
+    const user = buildUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const token = generateAccessToken(user._id, { authTime });
+    return request(buildApp())
+      [method](path)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+  };
+
+  useTestSecret();
+
+  beforeEach(() => {
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue();
+    jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(ROUTES)(
+    '%s %s rejects refreshed or stale tokens',
+    async (...route) => {
+      for (const authTime of [null, new Date(Date.now() - 10 * MINUTE)]) {
+        const res = await send(route, authTime);
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('REAUTHENTICATION_REQUIRED');
+      }
+    }
+  );
+
+  test('a recent signin gets through to validation', async () => {
+    const res = await send(
+      ['post', '/api/users/passkeys/register'],
+      new Date(Date.now() - MINUTE)
+    );
+
+    expect(res.status).toBe(400);
+  });
+});
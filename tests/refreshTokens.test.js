@@ -0,0 +1,164 @@
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const RevokedToken = require('../src/models/RevokedToken');
+const { refreshSession } = require('../src/services/authService');
+const { refreshToken: refresh } = require('../src/controllers/authController');
+const { generateRefreshToken, decodeToken } = require('../src/utils/jwt');
+const { hashSensitiveData } = require('../src/config/security');
+const { buildUser, buildRequest, useTestSecret } = require('./helpers');
+
+useTestSecret();
+
+describe('Refresh token storage', () => {
+  test('stores a hash of the token, never the token', () => {
+    const user = buildUser();
+    const token = generateRefreshToken(user._id);
+
+    const session = user.addRefreshToken(token);
+    const stored = session.toObject();
+
+    expect(stored.tokenHash).toBe(hashSensitiveData(token));
+    expect(JSON.stringify(stored)).not.toContain(token);
+    expect(user.isValidRefreshToken(token)).toBe(true);
+    expect(user.isValidRefreshToken(generateRefreshToken(user._id))).toBe(
+      false
+    );
+  });
+
+  test('retires the previous token on rotation', () => {
+    const user = buildUser();
+    const token = generateRefreshToken(user._id);
+    const session = user.addRefreshToken(token);
+    const { family } = decodeToken(token).payload;
+
+    const successor = generateRefreshToken(user._id, { family });
+    user.rotateRefreshToken(session, successor);
+
+    expect(user.isCurrentRefreshToken(session, successor)).toBe(true);
+    expect(user.isCurrentRefreshToken(session, token)).toBe(false);
+    expect(user.findRefreshTokenFamily(token, { family })).toBe(session);
+  });
+
+  test('matches sessions not yet migrated by jti', () => {
+    const user = buildUser();
+    const token = generateRefreshToken(user._id);
+    const { jti, family } = decodeToken(token).payload;
+    user.refreshTokens.push({ jti, family });
+
+    expect(user.isCurrentRefreshToken(user.refreshTokens[0], token)).toBe(true);
+    expect(
+      user.isCurrentRefreshToken(
+        user.refreshTokens[0],
+        generateRefreshToken(user._id, { family })
+      )
+    ).toBe(false);
+  });
+});
+
+describe('refreshSession', () => {
+  // A signed-in user and the refresh token of their session
+  const signIn = () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const refreshToken = generateRefreshToken(user._id);
+    user.addRefreshToken(refreshToken);
+    return { user, refreshToken };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(RevokedToken, 'revokeSession').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rotates the refresh token within its family', async () => {
+    const { user, refreshToken } = signIn();
+
+    const { tokens } = await refreshSession(refreshToken);
+
+    expect(tokens.accessToken).toBeDefined();
+    expect(tokens.refreshToken).not.toBe(refreshToken);
+    expect(decodeToken(tokens.refreshToken).payload.family).toBe(
+      decodeToken(refreshToken).payload.family
+    );
+    expect(user.refreshTokens).toHaveLength(1);
+    expect(decodeToken(tokens.accessToken).payload.sid).toBe(
+      user.refreshTokens[0]._id.toString()
+    );
+
+    // The successor works in turn
+    await expect(refreshSession(tokens.refreshToken)).resolves.toBeDefined();
+  });
+
+  test('reusing a retired token revokes the whole family', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { user, refreshToken } = signIn();
+    const { tokens } = await refreshSession(refreshToken);
+    const sessionId = user.refreshTokens[0]._id;
+
+    await expect(refreshSession(refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+      code: 'REFRESH_TOKEN_REUSED',
+    });
+    expect(user.refreshTokens).toHaveLength(0);
+    // Access tokens issued to the session stop working too
+    expect(RevokedToken.revokeSession).toHaveBeenCalledWith(
+      user._id,
+      sessionId,
+      'refresh_token_reuse'
+    );
+
+    // Whoever holds the successor is signed out too
+    await expect(refreshSession(tokens.refreshToken)).rejects.toMatchObject({
+      code: 'INVALID_REFRESH_TOKEN',
+    });
+  });
+
+  test('rejects missing, forged and unknown tokens', async () => {
+    const { user } = signIn();
+
+    await expect(refreshSession()).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'REFRESH_TOKEN_REQUIRED',
+    });
+    await expect(refreshSession('not-a-token')).rejects.toMatchObject({
+      code: 'INVALID_REFRESH_TOKEN',
+    });
+    await expect(
+      refreshSession(generateRefreshToken(user._id))
+    ).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+});
+
+describe('refreshToken', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records reuse in the security log', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue();
+    jest.spyOn(RevokedToken, 'revokeSession').mockResolvedValue();
+    const user = buildUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const retired = generateRefreshToken(user._id);
+    user.addRefreshToken(retired);
+    await refreshSession(retired);
+    const next = jest.fn();
+
+    await refresh(buildRequest({ body: { refreshToken: retired } }), {}, next);
+
+    expect(next.mock.calls[0][0].code).toBe('REFRESH_TOKEN_REUSED');
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: 'access.token_rejected',
+        outcome: 'failure',
+        code: 'REFRESH_TOKEN_REUSED',
+        target: user._id.toString(),
+        metadata: { family: decodeToken(retired).payload.family },
+      })
+    );
+  });
+});
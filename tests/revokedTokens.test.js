@@ -0,0 +1,100 @@
+// Impersonation tokens outlive regular access tokens in this suite
+process.env.IMPERSONATION_TOKEN_EXPIRES_IN = '1h';
+
+const RevokedToken = require('../src/models/RevokedToken');
+const { getMaxAccessTokenLifetime } = require('../src/utils/jwt');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const HOUR = 60 * 60 * 1000;
+
+// Revocation entries kept in memory; `exists` understands the equality and
+// $gt conditions RevokedToken.isRevoked queries with
+const revocations = [];
+const matches = (entry, condition) =>
+  Object.entries(condition).every(([field, value]) =>
+    value && value.$gt
+      ? entry[field] > value.$gt
+      : String(entry[field]) === String(value)
+  );
+
+// Verified access token payload issued `secondsAgo` seconds ago
+const issued = (secondsAgo, claims = {}) => ({
+  userId: USER_ID,
+  jti: `jti-${secondsAgo}`,
+  iat: Math.floor(Date.now() / 1000) - secondsAgo,
+  ...claims,
+});
+
+describe('Access token revocation', () => {
+  afterAll(() => {
+    delete process.env.IMPERSONATION_TOKEN_EXPIRES_IN;
+  });
+
+  beforeEach(() => {
+    revocations.length = 0;
+    jest
+      .spyOn(RevokedToken, 'create')
+      .mockImplementation(async (entry) => revocations.push(entry));
+    jest
+      .spyOn(RevokedToken, 'updateOne')
+      .mockImplementation(async (filter, { $setOnInsert }) =>
+        revocations.push($setOnInsert)
+      );
+    jest
+      .spyOn(RevokedToken, 'exists')
+      .mockImplementation(async ({ $or }) =>
+        revocations.some((entry) =>
+          $or.some((condition) => matches(entry, condition))
+        )
+      );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('revokes a single token by its jti', async () => {
+    await RevokedToken.revokeToken({
+      jti: 'jti-60',
+      userId: USER_ID,
+      expiresAt: new Date(Date.now() + HOUR),
+      reason: 'logout',
+    });
+
+    expect(await RevokedToken.isRevoked(issued(60))).toBe(true);
+    expect(await RevokedToken.isRevoked(issued(30))).toBe(false);
+  });
+
+  test('skips tokens that have already expired', async () => {
+    await RevokedToken.revokeToken({
+      jti: 'jti-60',
+      userId: USER_ID,
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    expect(revocations).toHaveLength(0);
+  });
+
+  test('revoking all tokens spares those issued afterwards', async () => {
+    await RevokedToken.revokeAllForUser(USER_ID, 'logout_all');
+
+    expect(await RevokedToken.isRevoked(issued(5))).toBe(true);
+    expect(await RevokedToken.isRevoked(issued(-1))).toBe(false);
+    expect(
+      await RevokedToken.isRevoked(
+        issued(5, { userId: '507f1f77bcf86cd799439012' })
+      )
+    ).toBe(false);
+  });
+
+  test('entries outlive the longest-lived access tokens', async () => {
+    expect(getMaxAccessTokenLifetime()).toBe(HOUR);
+
+    await RevokedToken.revokeAllForUser(USER_ID, 'password_change');
+    await RevokedToken.revokeSession(USER_ID, 'session-1');
+
+    for (const { expiresAt } of revocations) {
+      expect(expiresAt - Date.now()).toBeGreaterThan(HOUR - 1000);
+    }
+  });
+});
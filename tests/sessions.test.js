@@ -0,0 +1,180 @@
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const RevokedToken = require('../src/models/RevokedToken');
+const { generateTokenPair } = require('../src/utils/jwt');
+const { authenticateToken } = require('../src/middleware/auth');
+const { startSession } = require('../src/services/authService');
+const { logout } = require('../src/controllers/authController');
+const {
+  getSessions,
+  revokeSession,
+} = require('../src/controllers/sessionController');
+const { SESSION_CONFIG } = require('../src/config/security');
+const helpers = require('./helpers');
+
+const { buildUser, buildResponse, useTestSecret } = helpers;
+
+// Revocation entries kept in memory; `exists` understands the equality and
+// $gt conditions RevokedToken.isRevoked queries with
+const revocations = [];
+const matches = (entry, condition) =>
+  Object.entries(condition).every(([field, value]) =>
+    value && value.$gt
+      ? entry[field] > value.$gt
+      : String(entry[field]) === String(value)
+  );
+
+// Sign in on a device: a session plus the access token issued for it
+const signIn = (user, deviceName) => {
+  const session = user.addRefreshToken(
+    generateTokenPair(user._id).refreshToken,
+    { deviceName }
+  );
+  const { accessToken } = generateTokenPair(user._id, {
+    sessionId: session._id,
+  });
+  return { session, accessToken };
+};
+
+// A request made by `user`
+const buildRequest = (user, overrides = {}) =>
+  helpers.buildRequest({ user, userId: user._id.toString(), ...overrides });
+
+const authenticate = async (user, accessToken) => {
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  const next = jest.fn();
+  await authenticateToken(
+    buildRequest(user, {
+      headers: { authorization: `Bearer ${accessToken}` },
+    }),
+    {},
+    next
+  );
+  return next.mock.calls[0][0];
+};
+
+describe('Device sessions', () => {
+  useTestSecret();
+
+  beforeEach(() => {
+    revocations.length = 0;
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue();
+    jest
+      .spyOn(RevokedToken, 'create')
+      .mockImplementation(async (entry) => revocations.push(entry));
+    jest
+      .spyOn(RevokedToken, 'exists')
+      .mockImplementation(async ({ $or }) =>
+        revocations.some((entry) =>
+          $or.some((condition) => matches(entry, condition))
+        )
+      );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists sessions and marks the current one', async () => {
+    const user = buildUser();
+    const phone = signIn(user, "Sarah's iPhone");
+    signIn(user, 'Work laptop');
+    const res = buildResponse();
+
+    await getSessions(
+      buildRequest(user, { sessionId: phone.session._id.toString() }),
+      res,
+      jest.fn()
+    );
+
+    const { sessions } = res.json.mock.calls[0][0].data;
+    expect(sessions).toHaveLength(2);
+    expect(sessions.find((s) => s.current).deviceName).toBe("Sarah's iPhone");
+  });
+
+  test('returns 404 for unknown sessions', async () => {
+    const user = buildUser();
+    const res = buildResponse();
+
+    await revokeSession(
+      buildRequest(user, { params: { id: '507f1f77bcf86cd799439011' } }),
+      res,
+      jest.fn()
+    );
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(revocations).toHaveLength(0);
+  });
+
+  test('revoking a session rejects its access tokens at once', async () => {
+    const user = buildUser();
+    const phone = signIn(user, "Sarah's iPhone");
+    const laptop = signIn(user, 'Work laptop');
+    expect(await authenticate(user, phone.accessToken)).toBeUndefined();
+
+    const res = buildResponse();
+    await revokeSession(
+      buildRequest(user, { params: { id: phone.session._id.toString() } }),
+      res,
+      jest.fn()
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(user.refreshTokens).toHaveLength(1);
+
+    const error = await authenticate(user, phone.accessToken);
+    expect(error.statusCode).toBe(401);
+    expect(error.code).toBe('TOKEN_REVOKED');
+
+    // Other devices stay signed in
+    expect(await authenticate(user, laptop.accessToken)).toBeUndefined();
+  });
+
+  test('logging out rejects every access token of the session', async () => {
+    const user = buildUser();
+    const phone = signIn(user, "Sarah's iPhone");
+    const laptop = signIn(user, 'Work laptop');
+    // E.g. an elevated token from re-authentication on the same device
+    const { accessToken: elevated } = generateTokenPair(user._id, {
+      sessionId: phone.session._id,
+    });
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+
+    await logout(
+      buildRequest(user, {
+        body: {},
+        sessionId: phone.session._id.toString(),
+      }),
+      buildResponse(),
+      jest.fn()
+    );
+
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(user._id.toString(), {
+      $pull: { refreshTokens: { $or: [{ _id: phone.session._id }] } },
+    });
+    for (const token of [phone.accessToken, elevated]) {
+      expect((await authenticate(user, token)).code).toBe('TOKEN_REVOKED');
+    }
+    expect(await authenticate(user, laptop.accessToken)).toBeUndefined();
+  });
+
+  test('a session dropped for a new signin is signed out', async () => {
+    const user = buildUser();
+    const devices = [];
+    for (let i = 0; i < SESSION_CONFIG.maxConcurrentSessions; i++) {
+      devices.push(signIn(user, `Device ${i}`));
+      devices[i].session.lastUsedAt = new Date(Date.now() - (10 - i) * 60000);
+    }
+
+    await startSession(user, { deviceName: 'New phone' });
+
+    expect(user.refreshTokens).toHaveLength(
+      SESSION_CONFIG.maxConcurrentSessions
+    );
+    expect(user.refreshTokens.id(devices[0].session._id)).toBeNull();
+    expect((await authenticate(user, devices[0].accessToken)).code).toBe(
+      'TOKEN_REVOKED'
+    );
+    expect(await authenticate(user, devices[1].accessToken)).toBeUndefined();
+  });
+});
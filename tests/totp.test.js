@@ -0,0 +1,69 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl,
+} = require('../src/utils/totp');
+
+// Shared secret from the RFC 4226 / RFC 6238 test vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP utilities', () => {
+  test('base32 round-trips arbitrary bytes', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('HOTP matches RFC 4226 test vectors', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314'];
+
+    expected.forEach((code, counter) => {
+      expect(generateHotp(RFC_SECRET, counter)).toBe(code);
+    });
+  });
+
+  test('TOTP matches RFC 6238 SHA-1 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+    ];
+
+    vectors.forEach(([seconds, code]) => {
+      expect(
+        generateTotp(RFC_SECRET, { timestamp: seconds * 1000, digits: 8 })
+      ).toBe(code);
+    });
+  });
+
+  test('verifyTotp accepts adjacent steps and returns the matched step', () => {
+    const secret = generateSecret();
+    const timestamp = 1700000000000;
+    const previous = generateTotp(secret, { timestamp: timestamp - 30000 });
+
+    expect(verifyTotp(secret, previous, { timestamp })).toBe(
+      Math.floor(timestamp / 30000) - 1
+    );
+    expect(verifyTotp(secret, previous, { timestamp, window: 0 })).toBeNull();
+    expect(verifyTotp(secret, 'abcdef', { timestamp })).toBeNull();
+  });
+
+  test('buildOtpAuthUrl produces an otpauth URI', () => {
+    const url = buildOtpAuthUrl({
+      secret: RFC_SECRET,
+      accountName: 'user@example.com',
+      issuer: 'Slim',
+    });
+
+    expect(url).toBe(
+      'otpauth://totp/Slim%3Auser%40example.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=Slim&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
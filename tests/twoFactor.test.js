@@ -0,0 +1,148 @@
+const bcrypt = require('bcryptjs');
+
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const { disableTwoFactor } = require('../src/controllers/twoFactorController');
+const { generateTotp } = require('../src/utils/totp');
+const { ACCOUNT_LOCKOUT, MFA_CONFIG } = require('../src/config/security');
+const helpers = require('./helpers');
+
+const { buildRequest, buildResponse } = helpers;
+
+const PASSWORD = 'SecurePass123!';
+
+// A user with two-factor authentication enabled. `password: null` builds an
+// account created without one (provider, magic link or passkey signup).
+const buildUser = async ({ password = PASSWORD } = {}) => {
+  const user = helpers.buildUser({
+    password: password && (await bcrypt.hash(password, 4)),
+  });
+  const secret = user.beginTwoFactorSetup();
+  user.confirmTwoFactorSetup(generateTotp(secret, MFA_CONFIG));
+  // Let the next code from the same step be used again
+  user.twoFactor.lastUsedStep = null;
+  return user;
+};
+
+const currentCode = (user) => generateTotp(user.twoFactor.secret, MFA_CONFIG);
+
+describe('disableTwoFactor', () => {
+  const disable = async (user, body) => {
+    jest
+      .spyOn(User, 'findById')
+      .mockReturnValue({ select: () => Promise.resolve(user) });
+    const res = buildResponse();
+    const next = jest.fn();
+    await disableTwoFactor(buildRequest({ userId: user.id, body }), res, next);
+    return { res, error: next.mock.calls[0]?.[0] };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('disables with the password and a code', async () => {
+    const user = await buildUser();
+    user.failedLoginAttempts = 2;
+
+    const { res, error } = await disable(user, {
+      password: PASSWORD,
+      code: currentCode(user),
+    });
+
+    expect(error).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(user.twoFactor.enabled).toBe(false);
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({ action: 'mfa.disable', outcome: 'success' })
+    );
+  });
+
+  test('accounts without a password disable with a code alone', async () => {
+    const user = await buildUser({ password: null });
+
+    const { error } = await disable(user, { code: currentCode(user) });
+
+    expect(error).toBeUndefined();
+    expect(user.twoFactor.enabled).toBe(false);
+  });
+
+  test('wrong passwords count towards the lockout', async () => {
+    const user = await buildUser();
+
+    for (let i = 1; i < ACCOUNT_LOCKOUT.maxFailedAttempts; i++) {
+      const { error } = await disable(user, {
+        password: 'WrongPass123!',
+        code: currentCode(user),
+      });
+      expect(error.code).toBe('INVALID_PASSWORD');
+      expect(user.failedLoginAttempts).toBe(i);
+    }
+
+    const { error } = await disable(user, {
+      password: 'WrongPass123!',
+      code: currentCode(user),
+    });
+    expect(error.statusCode).toBe(423);
+    expect(error.code).toBe('ACCOUNT_LOCKED');
+
+    // Locked: even the right factors are refused
+    const locked = await disable(user, {
+      password: PASSWORD,
+      code: currentCode(user),
+    });
+    expect(locked.error.code).toBe('ACCOUNT_LOCKED');
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: 'mfa.disable',
+        outcome: 'failure',
+        code: 'ACCOUNT_LOCKED',
+      })
+    );
+  });
+
+  test('wrong codes count too', async () => {
+    const user = await buildUser({ password: null });
+
+    const { error } = await disable(user, { code: '000000' });
+
+    expect(error.code).toBe('INVALID_MFA_CODE');
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(user.twoFactor.enabled).toBe(true);
+  });
+});
+
+describe('Recovery codes', () => {
+  test('carry 100 random bits and are stored hashed', async () => {
+    const user = await buildUser();
+    const codes = user.generateRecoveryCodes();
+
+    expect(codes).toHaveLength(MFA_CONFIG.recoveryCodeCount);
+    expect(new Set(codes).size).toBe(codes.length);
+    for (const code of codes) {
+      expect(code).toMatch(/^[a-z2-7]{5}(-[a-z2-7]{5}){3}$/);
+    }
+    expect(JSON.stringify(user.twoFactor.recoveryCodes)).not.toContain(
+      codes[0]
+    );
+  });
+
+  test('each works once, however it is typed', async () => {
+    const user = await buildUser();
+    const [code] = user.generateRecoveryCodes();
+
+    expect(
+      user.useRecoveryCode(` ${code.toUpperCase().replace(/-/g, ' ')} `)
+    ).toBe(true);
+    expect(user.useRecoveryCode(code)).toBe(false);
+    expect(user.getRemainingRecoveryCodes()).toBe(
+      MFA_CONFIG.recoveryCodeCount - 1
+    );
+  });
+});
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+
+const cbor = require('../src/utils/cbor');
+const webauthn = require('../src/utils/webauthn');
+
+const RP_ID = 'localhost';
+const ORIGIN = 'http://localhost:19006';
+
+// Just enough CBOR encoding to build attestation objects and COSE keys
+const encodeHead = (majorType, value) => {
+  if (value < 24) return Buffer.from([(majorType << 5) | value]);
+  if (value < 0x100) return Buffer.from([(majorType << 5) | 24, value]);
+  const head = Buffer.alloc(3);
+  head[0] = (majorType << 5) | 25;
+  head.writeUInt16BE(value, 1);
+  return head;
+};
+
+const encode = (value) => {
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+  }
+  if (typeof value === 'number') {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (value instanceof Map) {
+    const parts = [encodeHead(5, value.size)];
+    value.forEach((item, key) => parts.push(encode(key), encode(item)));
+    return Buffer.concat(parts);
+  }
+  throw new Error(`Cannot encode ${typeof value}`);
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// Software authenticator holding one discoverable credential
+const createAuthenticator = (type = 'ES256') => {
+  const { privateKey, publicKey } =
+    type === 'EdDSA'
+      ? crypto.generateKeyPairSync('ed25519')
+      : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const coseKey =
+    type === 'EdDSA'
+      ? new Map([
+          [1, 1],
+          [3, -8],
+          [-1, 6],
+          [-2, Buffer.from(jwk.x, 'base64url')],
+        ])
+      : new Map([
+          [1, 2],
+          [3, -7],
+          [-1, 1],
+          [-2, Buffer.from(jwk.x, 'base64url')],
+          [-3, Buffer.from(jwk.y, 'base64url')],
+        ]);
+
+  const credentialId = crypto.randomBytes(16);
+  const authenticator = {
+    signCount: 0,
+    id: credentialId.toString('base64url'),
+  };
+
+  const authData = ({ flags = 0x05, rpId = RP_ID, attested = false }) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(authenticator.signCount);
+    const parts = [
+      sha256(rpId),
+      Buffer.from([attested ? flags | 0x40 : flags]),
+      counter,
+    ];
+    if (attested) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, credentialId, encode(coseKey));
+    }
+    return Buffer.concat(parts);
+  };
+
+  const clientData = (type, challenge, origin = ORIGIN) =>
+    Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+  authenticator.create = (challenge, options = {}) => ({
+    id: authenticator.id,
+    type: 'public-key',
+    response: {
+      clientDataJSON: clientData(
+        'webauthn.create',
+        challenge,
+        options.origin
+      ).toString('base64url'),
+      attestationObject: encode(
+        new Map([
+          ['fmt', 'none'],
+          ['attStmt', new Map()],
+          ['authData', authData({ ...options, attested: true })],
+        ])
+      ).toString('base64url'),
+      transports: ['internal'],
+    },
+  });
+
+  authenticator.get = (challenge, options = {}) => {
+    authenticator.signCount += options.counterStep ?? 1;
+    const rawAuthData = authData(options);
+    const rawClientData = clientData('webauthn.get', challenge, options.origin);
+    const signature = crypto.sign(
+      type === 'EdDSA' ? null : 'sha256',
+      Buffer.concat([rawAuthData, sha256(rawClientData)]),
+      privateKey
+    );
+
+    return {
+      id: authenticator.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: rawClientData.toString('base64url'),
+        authenticatorData: rawAuthData.toString('base64url'),
+        signature: signature.toString('base64url'),
+      },
+    };
+  };
+
+  return authenticator;
+};
+
+const register = (authenticator, options) => {
+  const challenge = webauthn.generateChallenge();
+  return webauthn.verifyRegistrationResponse({
+    credential: authenticator.create(challenge, options),
+    expectedChallenge: challenge,
+  });
+};
+
+const signIn = (authenticator, passkey, options) => {
+  const challenge = webauthn.generateChallenge();
+  return webauthn.verifyAuthenticationResponse({
+    credential: authenticator.get(challenge, options),
+    expectedChallenge: challenge,
+    passkey,
+  });
+};
+
+describe('CBOR decoder', () => {
+  it('decodes maps with integer and string keys', () => {
+    const value = cbor.decode(
+      encode(
+        new Map([
+          [1, 2],
+          [-3, Buffer.from('ab')],
+          ['fmt', 'none'],
+        ])
+      )
+    );
+
+    expect(value.get(1)).toBe(2);
+    expect(value.get(-3)).toEqual(Buffer.from('ab'));
+    expect(value.get('fmt')).toBe('none');
+  });
+
+  it('rejects truncated and trailing data', () => {
+    const encoded = encode(new Map([['authData', Buffer.alloc(40)]]));
+
+    expect(() => cbor.decode(encoded.subarray(0, 20))).toThrow(/end of data/);
+    expect(() =>
+      cbor.decode(Buffer.concat([encoded, Buffer.from([0])]))
+    ).toThrow(/trailing data/);
+  });
+});
+
+describe('WebAuthn ceremonies', () => {
+  it('registers and signs in with an ES256 passkey', () => {
+    const authenticator = createAuthenticator('ES256');
+    const passkey = register(authenticator);
+
+    expect(passkey.credentialId).toBe(authenticator.id);
+    expect(passkey.algorithm).toBe(webauthn.COSE_ALGORITHMS.ES256);
+    expect(passkey.transports).toEqual(['internal']);
+
+    const result = signIn(authenticator, passkey);
+    expect(result.signCount).toBe(1);
+  });
+
+  it('registers and signs in with an Ed25519 passkey', () => {
+    const authenticator = createAuthenticator('EdDSA');
+    const passkey = register(authenticator);
+
+    expect(passkey.algorithm).toBe(webauthn.COSE_ALGORITHMS.EdDSA);
+    expect(signIn(authenticator, passkey).signCount).toBe(1);
+  });
+
+  it('rejects responses for another origin or relying party', () => {
+    const authenticator = createAuthenticator();
+
+    expect(() =>
+      register(authenticator, { origin: 'https://evil.example' })
+    ).toThrow(/Origin/);
+    expect(() => register(authenticator, { rpId: 'evil.example' })).toThrow(
+      /relying party/
+    );
+  });
+
+  it('requires user verification', () => {
+    const authenticator = createAuthenticator();
+
+    expect(() => register(authenticator, { flags: 0x01 })).toThrow(
+      /verification/
+    );
+  });
+
+  it('rejects a mismatched challenge', () => {
+    const authenticator = createAuthenticator();
+    const passkey = register(authenticator);
+
+    expect(() =>
+      webauthn.verifyAuthenticationResponse({
+        credential: authenticator.get(webauthn.generateChallenge()),
+        expectedChallenge: webauthn.generateChallenge(),
+        passkey,
+      })
+    ).toThrow(/Challenge/);
+  });
+
+  it('rejects signatures from another key', () => {
+    const passkey = register(createAuthenticator());
+    const impostor = createAuthenticator();
+    impostor.id = passkey.credentialId;
+
+    expect(() => signIn(impostor, passkey)).toThrow(/Signature/);
+  });
+
+  it('rejects a sign counter that does not increase', () => {
+    const authenticator = createAuthenticator();
+    const passkey = register(authenticator);
+    passkey.signCount = signIn(authenticator, passkey).signCount;
+
+    expect(() => signIn(authenticator, passkey, { counterStep: 0 })).toThrow(
+      expect.objectContaining({ code: 'PASSKEY_COUNTER_MISMATCH' })
+    );
+  });
+
+  it('builds discoverable credential options', () => {
+    const userId = '64b7f0c2a1b2c3d4e5f60718';
+    const options = webauthn.buildRegistrationOptions({
+      user: { _id: userId, email: 'jo@example.com' },
+      challenge: 'abc',
+      excludeCredentials: [{ credentialId: 'xyz', transports: ['usb'] }],
+    });
+
+    expect(options.rp.id).toBe(RP_ID);
+    expect(options.user.id).toBe(webauthn.getUserHandle(userId));
+    expect(options.authenticatorSelection.residentKey).toBe('required');
+    expect(options.excludeCredentials).toEqual([
+      { type: 'public-key', id: 'xyz', transports: ['usb'] },
+    ]);
+  });
+});